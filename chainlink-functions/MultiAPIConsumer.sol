@@ -1,45 +1,91 @@
 // SPDX-License-Identifier: MIT
-pragma solidity 0.8.19;
+pragma solidity ^0.8.19;
 
 import {FunctionsClient} from "@chainlink/contracts/src/v0.8/functions/v1_0_0/FunctionsClient.sol";
 import {ConfirmedOwner} from "@chainlink/contracts/src/v0.8/shared/access/ConfirmedOwner.sol";
 import {FunctionsRequest} from "@chainlink/contracts/src/v0.8/functions/v1_0_0/libraries/FunctionsRequest.sol";
 
+/**
+ * @notice A decoded box office response, see box-office-response.js for the encoding
+ * @dev Revenue figures are whole dollars. topTitleHash is keccak256 of the top-grossing
+ * movie's "Release" name, the same key MovieRegistry.movieIdByKey uses.
+ */
+struct BoxOfficeData {
+    uint256 totalRevenue;
+    uint256 movieCount;
+    bytes32 topTitleHash;
+    uint256 topGross;
+}
+
+/**
+ * @notice A single movie's figures for a period, returned by MOVIE requests
+ * @dev gross is whole dollars. theaters is 0 when the API doesn't report it.
+ */
+struct MovieBoxOfficeData {
+    uint256 gross;
+    uint256 theaters;
+    uint256 rank;
+}
+
 /**
  * @title BoxOfficeConsumer
  * @notice A smart contract that uses Chainlink Functions to call box office API endpoints
- * @dev This contract handles different types of box office data including daily, weekly, monthly, seasonal, quarterly, and yearly data
+ * @dev This contract handles different types of box office data including daily, weekly, monthly, seasonal, quarterly, and yearly data,
+ * plus per-movie data for any of those periods
  */
 contract BoxOfficeConsumer is FunctionsClient, ConfirmedOwner {
     using FunctionsRequest for FunctionsRequest.Request;
 
+    // Lifecycle of a request id: sent (Pending), then Fulfilled or Failed exactly once
+    enum RequestStatus {
+        None,
+        Pending,
+        Fulfilled,
+        Failed
+    }
+
     // State variables
     bytes32 public s_lastRequestId;
     bytes public s_lastResponse;
     bytes public s_lastError;
 
     // Data storage for different box office responses
-    mapping(bytes32 => uint256) public s_dailyData; // For daily box office data
-    mapping(bytes32 => uint256) public s_weeklyData; // For weekly box office data
-    mapping(bytes32 => uint256) public s_monthlyData; // For monthly box office data
-    mapping(bytes32 => uint256) public s_seasonalData; // For seasonal box office data
-    mapping(bytes32 => uint256) public s_quarterlyData; // For quarterly box office data
-    mapping(bytes32 => uint256) public s_yearlyData; // For yearly box office data
+    mapping(bytes32 => BoxOfficeData) public s_dailyData; // For daily box office data
+    mapping(bytes32 => BoxOfficeData) public s_weeklyData; // For weekly box office data
+    mapping(bytes32 => BoxOfficeData) public s_monthlyData; // For monthly box office data
+    mapping(bytes32 => BoxOfficeData) public s_seasonalData; // For seasonal box office data
+    mapping(bytes32 => BoxOfficeData) public s_quarterlyData; // For quarterly box office data
+    mapping(bytes32 => BoxOfficeData) public s_yearlyData; // For yearly box office data
+    mapping(bytes32 => MovieBoxOfficeData) public s_movieData; // For single movie box office data
     mapping(bytes32 => uint256) public s_healthData; // For API health status
 
     // Request tracking
     mapping(bytes32 => string) public s_requestTypes; // Track what type of data each request is for
     mapping(bytes32 => uint256) public s_requestTimestamps; // Track when requests were made
+    mapping(bytes32 => string) public s_requestParams; // Track the period (args[1]) each request is for
+    mapping(bytes32 => string) public s_requestMovies; // Track the movie (args[2]) each MOVIE request is for
+    mapping(bytes32 => string) public s_requestPeriodTypes; // Track the period type (args[3]) each MOVIE request is for
+    mapping(bytes32 => RequestStatus) public s_requestStatus; // Track where each request is in its lifecycle
+
+    // Requests sent but not yet fulfilled, in no particular order
+    bytes32[] private s_pendingRequests;
+    mapping(bytes32 => uint256) private s_pendingRequestIndex; // 1-based position in s_pendingRequests
 
     // Events
     event RequestSent(bytes32 indexed requestId, string requestType, uint256 timestamp);
-    event RequestFulfilled(bytes32 indexed requestId, string requestType, uint256 data, uint256 timestamp);
+    event RequestFulfilled(bytes32 indexed requestId, string requestType, bytes response, uint256 timestamp);
     event RequestFailed(bytes32 indexed requestId, string requestType, string error, uint256 timestamp);
+    event DonIdUpdated(bytes32 donId);
+    event GasLimitUpdated(uint32 gasLimit);
 
     // Custom errors
     error UnexpectedRequestID(bytes32 requestId);
     error EmptySource();
     error EmptyArgs();
+    error MissingMovie();
+    error InvalidGasLimit();
+    error MissingSecrets();
+    error NotBoxOfficeRequest(bytes32 requestId);
 
     // Request types
     string public constant REQUEST_TYPE_DAILY = "DAILY";
@@ -48,30 +94,42 @@ contract BoxOfficeConsumer is FunctionsClient, ConfirmedOwner {
     string public constant REQUEST_TYPE_SEASONAL = "SEASONAL";
     string public constant REQUEST_TYPE_QUARTERLY = "QUARTERLY";
     string public constant REQUEST_TYPE_YEARLY = "YEARLY";
+    string public constant REQUEST_TYPE_MOVIE = "MOVIE";
     string public constant REQUEST_TYPE_HEALTH = "HEALTH";
 
-    // Router address - Hardcoded for Sepolia
-    // Check to get the router address for your supported network https://docs.chain.link/chainlink-functions/supported-networks
-    address router = 0xb83E47C2bC239B3bf370bc41e1459A34b41238D0;
+    // Size of an encoded BoxOfficeData: four static 32-byte fields
+    uint256 public constant BOX_OFFICE_RESPONSE_LENGTH = 128;
+    // Size of an encoded MovieBoxOfficeData: three static 32-byte fields
+    uint256 public constant MOVIE_RESPONSE_LENGTH = 96;
+    // Size of an encoded health status: a single uint256
+    uint256 public constant HEALTH_RESPONSE_LENGTH = 32;
 
-    // donID - Hardcoded for Sepolia
-    // Check to get the donID for your supported network https://docs.chain.link/chainlink-functions/supported-networks
-    bytes32 donID = 0x66756e2d657468657265756d2d7365706f6c69612d3100000000000000000000;
+    // DON that runs the requests, e.g. "fun-ethereum-sepolia-1" as bytes32
+    // See networks.js, or https://docs.chain.link/chainlink-functions/supported-networks for other networks
+    bytes32 donID;
 
-    // Callback gas limit
-    uint32 gasLimit = 300000;
+    // Callback gas limit, at most the router's maximum for the network
+    uint32 gasLimit;
 
     /**
-     * @notice Initializes the contract with the Chainlink router address and sets the contract owner
+     * @notice Initializes the contract with the network's Chainlink Functions settings and sets the contract owner
+     * @param router The Functions router address (or a local mock router)
+     * @param _donID The DON ID requests are sent to
+     * @param _gasLimit The callback gas limit for fulfillments
      */
-    constructor() FunctionsClient(router) ConfirmedOwner(msg.sender) {}
+    constructor(address router, bytes32 _donID, uint32 _gasLimit) FunctionsClient(router) ConfirmedOwner(msg.sender) {
+        if (_gasLimit == 0) revert InvalidGasLimit();
+        donID = _donID;
+        gasLimit = _gasLimit;
+    }
 
     /**
      * @notice Sends a request to Chainlink Functions to fetch box office data
      * @param source The JavaScript source code to execute
-     * @param args The arguments to pass to the source code
+     * @param args The arguments to pass to the source code. MOVIE requests also need the movie
+     * in args[2] and can pass the period type in args[3] (DAILY by default)
      * @param subscriptionId The subscription ID for billing
-     * @param requestType The type of request (DAILY, WEEKLY, MONTHLY, SEASONAL, QUARTERLY, YEARLY, HEALTH)
+     * @param requestType The type of request (DAILY, WEEKLY, MONTHLY, SEASONAL, QUARTERLY, YEARLY, MOVIE, HEALTH)
      * @return requestId The ID of the request
      */
     function sendRequest(
@@ -80,27 +138,91 @@ contract BoxOfficeConsumer is FunctionsClient, ConfirmedOwner {
         uint64 subscriptionId,
         string calldata requestType
     ) external onlyOwner returns (bytes32 requestId) {
+        FunctionsRequest.Request memory req = _buildRequest(source, args, requestType);
+        return _sendBoxOfficeRequest(req, args, subscriptionId, requestType);
+    }
+
+    /**
+     * @notice Sends a request whose source reads encrypted secrets, e.g. the API key of an authenticated provider
+     * @dev Secrets are either hosted remotely, referenced by encryptedSecretsUrls, or hosted by the DON
+     * in a slot and version returned by the toolkit's SecretsManager.uploadEncryptedSecretsToDON
+     * @param source The JavaScript source code to execute
+     * @param args The arguments to pass to the source code, as for sendRequest
+     * @param subscriptionId The subscription ID for billing
+     * @param requestType The type of request, as for sendRequest
+     * @param encryptedSecretsUrls Encrypted URLs of remotely hosted secrets, or empty to use DON-hosted secrets
+     * @param donHostedSecretsSlotID The slot the DON-hosted secrets were uploaded to
+     * @param donHostedSecretsVersion The version of the DON-hosted secrets
+     * @return requestId The ID of the request
+     */
+    function sendRequestWithSecrets(
+        string calldata source,
+        string[] calldata args,
+        uint64 subscriptionId,
+        string calldata requestType,
+        bytes calldata encryptedSecretsUrls,
+        uint8 donHostedSecretsSlotID,
+        uint64 donHostedSecretsVersion
+    ) external onlyOwner returns (bytes32 requestId) {
+        FunctionsRequest.Request memory req = _buildRequest(source, args, requestType);
+
+        if (encryptedSecretsUrls.length > 0) {
+            req.addSecretsReference(encryptedSecretsUrls);
+        } else if (donHostedSecretsVersion > 0) {
+            req.addDONHostedSecrets(donHostedSecretsSlotID, donHostedSecretsVersion);
+        } else {
+            revert MissingSecrets();
+        }
+
+        return _sendBoxOfficeRequest(req, args, subscriptionId, requestType);
+    }
+
+    function _buildRequest(
+        string calldata source,
+        string[] calldata args,
+        string calldata requestType
+    ) private pure returns (FunctionsRequest.Request memory req) {
         if (bytes(source).length == 0) revert EmptySource();
         if (args.length == 0) revert EmptyArgs();
+        if (_isMovieRequest(requestType) && (args.length < 3 || bytes(args[2]).length == 0)) revert MissingMovie();
 
-        FunctionsRequest.Request memory req;
         req.initializeRequestForInlineJavaScript(source);
+        req.setArgs(args);
+    }
 
-        if (args.length > 0) req.setArgs(args);
-
+    function _sendBoxOfficeRequest(
+        FunctionsRequest.Request memory req,
+        string[] calldata args,
+        uint64 subscriptionId,
+        string calldata requestType
+    ) private returns (bytes32) {
         s_lastRequestId = _sendRequest(req.encodeCBOR(), subscriptionId, gasLimit, donID);
-        
+
         // Store request metadata
         s_requestTypes[s_lastRequestId] = requestType;
         s_requestTimestamps[s_lastRequestId] = block.timestamp;
+        s_requestParams[s_lastRequestId] = args.length > 1 ? args[1] : "";
+        s_requestStatus[s_lastRequestId] = RequestStatus.Pending;
+        s_pendingRequests.push(s_lastRequestId);
+        s_pendingRequestIndex[s_lastRequestId] = s_pendingRequests.length;
+        if (_isMovieRequest(requestType)) {
+            s_requestMovies[s_lastRequestId] = args[2];
+            s_requestPeriodTypes[s_lastRequestId] = args.length > 3 ? args[3] : REQUEST_TYPE_DAILY;
+        }
 
         emit RequestSent(s_lastRequestId, requestType, block.timestamp);
-        
+
         return s_lastRequestId;
     }
 
+    function _isMovieRequest(string calldata requestType) private pure returns (bool) {
+        return keccak256(bytes(requestType)) == keccak256(bytes(REQUEST_TYPE_MOVIE));
+    }
+
     /**
      * @notice Callback function used by Functions oracle to return the response
+     * @dev Any pending request can be fulfilled, in any order; unknown and already
+     * fulfilled ids revert
      * @param requestId The request ID for fulfillment
      * @param response The response from the Functions oracle
      * @param err Any errors from the Functions oracle
@@ -110,9 +232,10 @@ contract BoxOfficeConsumer is FunctionsClient, ConfirmedOwner {
         bytes memory response,
         bytes memory err
     ) internal override {
-        if (s_lastRequestId != requestId) {
+        if (s_requestStatus[requestId] != RequestStatus.Pending) {
             revert UnexpectedRequestID(requestId);
         }
+        _removePendingRequest(requestId);
 
         s_lastResponse = response;
         s_lastError = err;
@@ -121,13 +244,40 @@ contract BoxOfficeConsumer is FunctionsClient, ConfirmedOwner {
         uint256 timestamp = s_requestTimestamps[requestId];
 
         if (err.length > 0) {
-            emit RequestFailed(requestId, requestType, string(err), timestamp);
+            _failRequest(requestId, requestType, string(err), timestamp);
             return;
         }
 
-        // Decode the response based on request type
-        uint256 decodedData = abi.decode(response, (uint256));
-        
+        // Health checks return a plain uint256; every other type returns an encoded BoxOfficeData
+        if (keccak256(bytes(requestType)) == keccak256(bytes(REQUEST_TYPE_HEALTH))) {
+            if (response.length != HEALTH_RESPONSE_LENGTH) {
+                _failRequest(requestId, requestType, "Malformed health response", timestamp);
+                return;
+            }
+            s_healthData[requestId] = abi.decode(response, (uint256));
+            s_requestStatus[requestId] = RequestStatus.Fulfilled;
+            emit RequestFulfilled(requestId, requestType, response, timestamp);
+            return;
+        }
+
+        // Movie requests return an encoded MovieBoxOfficeData
+        if (keccak256(bytes(requestType)) == keccak256(bytes(REQUEST_TYPE_MOVIE))) {
+            if (response.length != MOVIE_RESPONSE_LENGTH) {
+                _failRequest(requestId, requestType, "Malformed movie response", timestamp);
+                return;
+            }
+            s_movieData[requestId] = decodeMovieData(response);
+            s_requestStatus[requestId] = RequestStatus.Fulfilled;
+            emit RequestFulfilled(requestId, requestType, response, timestamp);
+            return;
+        }
+
+        if (response.length != BOX_OFFICE_RESPONSE_LENGTH) {
+            _failRequest(requestId, requestType, "Malformed box office response", timestamp);
+            return;
+        }
+        BoxOfficeData memory decodedData = decodeBoxOfficeData(response);
+
         // Store the data in the appropriate mapping
         if (keccak256(bytes(requestType)) == keccak256(bytes(REQUEST_TYPE_DAILY))) {
             s_dailyData[requestId] = decodedData;
@@ -141,67 +291,135 @@ contract BoxOfficeConsumer is FunctionsClient, ConfirmedOwner {
             s_quarterlyData[requestId] = decodedData;
         } else if (keccak256(bytes(requestType)) == keccak256(bytes(REQUEST_TYPE_YEARLY))) {
             s_yearlyData[requestId] = decodedData;
-        } else if (keccak256(bytes(requestType)) == keccak256(bytes(REQUEST_TYPE_HEALTH))) {
-            s_healthData[requestId] = decodedData;
         }
 
-        emit RequestFulfilled(requestId, requestType, decodedData, timestamp);
+        s_requestStatus[requestId] = RequestStatus.Fulfilled;
+        emit RequestFulfilled(requestId, requestType, response, timestamp);
+    }
+
+    function _failRequest(bytes32 requestId, string memory requestType, string memory error, uint256 timestamp) private {
+        s_requestStatus[requestId] = RequestStatus.Failed;
+        emit RequestFailed(requestId, requestType, error, timestamp);
+    }
+
+    // Swap-and-pop removal, so the pending set stays compact however many requests are in flight
+    function _removePendingRequest(bytes32 requestId) private {
+        uint256 index = s_pendingRequestIndex[requestId] - 1;
+        bytes32 lastRequestId = s_pendingRequests[s_pendingRequests.length - 1];
+
+        s_pendingRequests[index] = lastRequestId;
+        s_pendingRequestIndex[lastRequestId] = index + 1;
+        s_pendingRequests.pop();
+        delete s_pendingRequestIndex[requestId];
+    }
+
+    /**
+     * @notice Set the DON requests are sent to, e.g. after Chainlink rotates a network's DON
+     * @param _donID The new DON ID
+     */
+    function setDonId(bytes32 _donID) external onlyOwner {
+        donID = _donID;
+        emit DonIdUpdated(_donID);
+    }
+
+    /**
+     * @notice Set the callback gas limit for new requests
+     * @param _gasLimit The new gas limit, at most the router's maximum for the network
+     */
+    function setGasLimit(uint32 _gasLimit) external onlyOwner {
+        if (_gasLimit == 0) revert InvalidGasLimit();
+        gasLimit = _gasLimit;
+        emit GasLimitUpdated(_gasLimit);
     }
 
     /**
      * @notice Get the latest daily box office data for a specific request
      * @param requestId The request ID to get data for
-     * @return The daily box office data (composite metric)
+     * @return The daily box office data
      */
-    function getDailyData(bytes32 requestId) external view returns (uint256) {
+    function getDailyData(bytes32 requestId) external view returns (BoxOfficeData memory) {
         return s_dailyData[requestId];
     }
 
     /**
      * @notice Get the latest weekly box office data for a specific request
      * @param requestId The request ID to get data for
-     * @return The weekly box office data (composite metric)
+     * @return The weekly box office data
      */
-    function getWeeklyData(bytes32 requestId) external view returns (uint256) {
+    function getWeeklyData(bytes32 requestId) external view returns (BoxOfficeData memory) {
         return s_weeklyData[requestId];
     }
 
     /**
      * @notice Get the latest monthly box office data for a specific request
      * @param requestId The request ID to get data for
-     * @return The monthly box office data (composite metric)
+     * @return The monthly box office data
      */
-    function getMonthlyData(bytes32 requestId) external view returns (uint256) {
+    function getMonthlyData(bytes32 requestId) external view returns (BoxOfficeData memory) {
         return s_monthlyData[requestId];
     }
 
     /**
      * @notice Get the latest seasonal box office data for a specific request
      * @param requestId The request ID to get data for
-     * @return The seasonal box office data (composite metric)
+     * @return The seasonal box office data
      */
-    function getSeasonalData(bytes32 requestId) external view returns (uint256) {
+    function getSeasonalData(bytes32 requestId) external view returns (BoxOfficeData memory) {
         return s_seasonalData[requestId];
     }
 
     /**
      * @notice Get the latest quarterly box office data for a specific request
      * @param requestId The request ID to get data for
-     * @return The quarterly box office data (composite metric)
+     * @return The quarterly box office data
      */
-    function getQuarterlyData(bytes32 requestId) external view returns (uint256) {
+    function getQuarterlyData(bytes32 requestId) external view returns (BoxOfficeData memory) {
         return s_quarterlyData[requestId];
     }
 
     /**
      * @notice Get the latest yearly box office data for a specific request
      * @param requestId The request ID to get data for
-     * @return The yearly box office data (composite metric)
+     * @return The yearly box office data
      */
-    function getYearlyData(bytes32 requestId) external view returns (uint256) {
+    function getYearlyData(bytes32 requestId) external view returns (BoxOfficeData memory) {
         return s_yearlyData[requestId];
     }
 
+    /**
+     * @notice Get the box office data of any aggregate (DAILY to YEARLY) request
+     * @dev Lets contracts such as FilmBet's BoxOfficeResolver read a result by request ID alone;
+     * check getRequestStatus first, as pending and failed requests return zeroes
+     * @param requestId The request ID to get data for
+     * @return The box office data stored for the request's type
+     */
+    function getBoxOfficeData(bytes32 requestId) external view returns (BoxOfficeData memory) {
+        bytes32 requestType = keccak256(bytes(s_requestTypes[requestId]));
+        if (requestType == keccak256(bytes(REQUEST_TYPE_DAILY))) {
+            return s_dailyData[requestId];
+        } else if (requestType == keccak256(bytes(REQUEST_TYPE_WEEKLY))) {
+            return s_weeklyData[requestId];
+        } else if (requestType == keccak256(bytes(REQUEST_TYPE_MONTHLY))) {
+            return s_monthlyData[requestId];
+        } else if (requestType == keccak256(bytes(REQUEST_TYPE_SEASONAL))) {
+            return s_seasonalData[requestId];
+        } else if (requestType == keccak256(bytes(REQUEST_TYPE_QUARTERLY))) {
+            return s_quarterlyData[requestId];
+        } else if (requestType == keccak256(bytes(REQUEST_TYPE_YEARLY))) {
+            return s_yearlyData[requestId];
+        }
+        revert NotBoxOfficeRequest(requestId);
+    }
+
+    /**
+     * @notice Get the latest single movie box office data for a specific request
+     * @param requestId The request ID to get data for
+     * @return The movie's gross, theater count and rank for the requested period
+     */
+    function getMovieData(bytes32 requestId) external view returns (MovieBoxOfficeData memory) {
+        return s_movieData[requestId];
+    }
+
     /**
      * @notice Get the latest health status for a specific request
      * @param requestId The request ID to get data for
@@ -212,15 +430,24 @@ contract BoxOfficeConsumer is FunctionsClient, ConfirmedOwner {
     }
 
     /**
-     * @notice Decode box office data into its components
-     * @param boxOfficeData The encoded box office data
-     * @return movieCount Number of movies tracked
-     * @return revenueThousands Revenue in thousands
+     * @notice Decode a box office response into its components
+     * @param response The ABI-encoded (totalRevenue, movieCount, topTitleHash, topGross) returned by source.js
+     * @return data The decoded box office data
+     */
+    function decodeBoxOfficeData(bytes memory response) public pure returns (BoxOfficeData memory data) {
+        (data.totalRevenue, data.movieCount, data.topTitleHash, data.topGross) = abi.decode(
+            response,
+            (uint256, uint256, bytes32, uint256)
+        );
+    }
+
+    /**
+     * @notice Decode a movie response into its components
+     * @param response The ABI-encoded (gross, theaters, rank) returned by source.js
+     * @return data The decoded movie data
      */
-    function decodeBoxOfficeData(uint256 boxOfficeData) external pure returns (uint32 movieCount, uint256 revenueThousands) {
-        movieCount = uint32(boxOfficeData & 0xFFFFFFFF);
-        revenueThousands = (boxOfficeData >> 32);
-        return (movieCount, revenueThousands);
+    function decodeMovieData(bytes memory response) public pure returns (MovieBoxOfficeData memory data) {
+        (data.gross, data.theaters, data.rank) = abi.decode(response, (uint256, uint256, uint256));
     }
 
     /**
@@ -233,12 +460,56 @@ contract BoxOfficeConsumer is FunctionsClient, ConfirmedOwner {
         return (s_requestTypes[requestId], s_requestTimestamps[requestId]);
     }
 
+    /**
+     * @notice Get where a request is in its lifecycle
+     * @param requestId The request ID to get the status for
+     * @return The status (None for unknown ids, then Pending, Fulfilled or Failed)
+     */
+    function getRequestStatus(bytes32 requestId) external view returns (RequestStatus) {
+        return s_requestStatus[requestId];
+    }
+
+    /**
+     * @notice Get every request still waiting for fulfillment
+     * @return The pending request IDs, in no particular order
+     */
+    function getPendingRequests() external view returns (bytes32[] memory) {
+        return s_pendingRequests;
+    }
+
+    /**
+     * @notice Get the number of requests still waiting for fulfillment
+     * @return The pending request count
+     */
+    function getPendingRequestCount() external view returns (uint256) {
+        return s_pendingRequests.length;
+    }
+
+    /**
+     * @notice Get the period parameter a request was made for
+     * @param requestId The request ID to get the period for
+     * @return The period (e.g. "2024-01-15" for daily, "2024-3" for weekly)
+     */
+    function getRequestParam(bytes32 requestId) external view returns (string memory) {
+        return s_requestParams[requestId];
+    }
+
+    /**
+     * @notice Get the movie a MOVIE request was made for
+     * @param requestId The request ID to get the movie for
+     * @return movie The movie's "Release" name (args[2])
+     * @return periodType The period type the request's period is in (e.g. "WEEKLY")
+     */
+    function getRequestMovie(bytes32 requestId) external view returns (string memory movie, string memory periodType) {
+        return (s_requestMovies[requestId], s_requestPeriodTypes[requestId]);
+    }
+
     /**
      * @notice Get the router address
      * @return The router address
      */
     function getRouter() external view returns (address) {
-        return router;
+        return address(i_router);
     }
 
     /**
@@ -248,4 +519,12 @@ contract BoxOfficeConsumer is FunctionsClient, ConfirmedOwner {
     function getDonID() external view returns (bytes32) {
         return donID;
     }
+
+    /**
+     * @notice Get the callback gas limit
+     * @return The callback gas limit
+     */
+    function getGasLimit() external view returns (uint32) {
+        return gasLimit;
+    }
 } 
\ No newline at end of file
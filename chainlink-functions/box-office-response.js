@@ -0,0 +1,115 @@
+// Encode/decode helpers for the box office response returned by source.js
+//
+// Every aggregate request type (DAILY through YEARLY) returns
+// abi.encode(uint256 totalRevenue, uint256 movieCount, bytes32 topTitleHash, uint256 topGross)
+// - totalRevenue: summed gross of every movie in whole dollars
+// - movieCount: number of movies in the API response
+// - topTitleHash: keccak256 of the top-grossing movie's "Release" name, the same
+//   key MovieRegistry.movieIdByKey uses
+// - topGross: that movie's gross in whole dollars
+//
+// All four fields are static, so the encoding is four 32-byte big-endian words.
+// BoxOfficeConsumer.decodeBoxOfficeData decodes the same layout on-chain.
+//
+// MOVIE returns abi.encode(uint256 gross, uint256 theaters, uint256 rank) for a
+// single film in the requested period, decoded by BoxOfficeConsumer.decodeMovieData.
+
+const WORD_HEX_LENGTH = 64;
+const RESPONSE_FIELDS = ["totalRevenue", "movieCount", "topTitleHash", "topGross"];
+const MOVIE_RESPONSE_FIELDS = ["gross", "theaters", "rank"];
+const MAX_UINT256 = (1n << 256n) - 1n;
+
+function encodeWord(value, name) {
+  const word = BigInt(value);
+  if (word < 0n || word > MAX_UINT256) {
+    throw new Error(`${name} does not fit in a uint256: ${value}`);
+  }
+  return word.toString(16).padStart(WORD_HEX_LENGTH, "0");
+}
+
+function encodeBytes32(value, name) {
+  if (!/^0x[0-9a-fA-F]{64}$/.test(value)) {
+    throw new Error(`${name} must be a 0x-prefixed 32-byte hex string: ${value}`);
+  }
+  return value.slice(2).toLowerCase();
+}
+
+// Returns the ABI-encoded response as a 0x-prefixed hex string
+function encodeBoxOfficeResponse({ totalRevenue, movieCount, topTitleHash, topGross }) {
+  return (
+    "0x" +
+    encodeWord(totalRevenue, "totalRevenue") +
+    encodeWord(movieCount, "movieCount") +
+    encodeBytes32(topTitleHash, "topTitleHash") +
+    encodeWord(topGross, "topGross")
+  );
+}
+
+// Accepts a 0x-prefixed hex string, e.g. a Functions responseBytesHexstring
+function decodeBoxOfficeResponse(responseHex) {
+  const hex = responseHex.startsWith("0x") ? responseHex.slice(2) : responseHex;
+  if (hex.length !== RESPONSE_FIELDS.length * WORD_HEX_LENGTH) {
+    throw new Error(
+      `Box office response must be ${RESPONSE_FIELDS.length * 32} bytes, got ${hex.length / 2}`
+    );
+  }
+
+  const words = RESPONSE_FIELDS.map((_, i) =>
+    hex.slice(i * WORD_HEX_LENGTH, (i + 1) * WORD_HEX_LENGTH)
+  );
+  return {
+    totalRevenue: BigInt("0x" + words[0]),
+    movieCount: BigInt("0x" + words[1]),
+    topTitleHash: "0x" + words[2],
+    topGross: BigInt("0x" + words[3]),
+  };
+}
+
+function encodeMovieResponse({ gross, theaters, rank }) {
+  return (
+    "0x" + encodeWord(gross, "gross") + encodeWord(theaters, "theaters") + encodeWord(rank, "rank")
+  );
+}
+
+function decodeMovieResponse(responseHex) {
+  const hex = responseHex.startsWith("0x") ? responseHex.slice(2) : responseHex;
+  if (hex.length !== MOVIE_RESPONSE_FIELDS.length * WORD_HEX_LENGTH) {
+    throw new Error(
+      `Movie response must be ${MOVIE_RESPONSE_FIELDS.length * 32} bytes, got ${hex.length / 2}`
+    );
+  }
+
+  const [gross, theaters, rank] = MOVIE_RESPONSE_FIELDS.map((_, i) =>
+    BigInt("0x" + hex.slice(i * WORD_HEX_LENGTH, (i + 1) * WORD_HEX_LENGTH))
+  );
+  return { gross, theaters, rank };
+}
+
+// HEALTH returns a plain uint256 (1 = healthy), MOVIE a movie response and every
+// other type a box office response
+function decodeResponse(requestType, responseHex) {
+  if (requestType === "HEALTH") {
+    return BigInt(responseHex);
+  }
+  return requestType === "MOVIE"
+    ? decodeMovieResponse(responseHex)
+    : decodeBoxOfficeResponse(responseHex);
+}
+
+// Parses an API dollar string such as "$9,764,735" to whole dollars without
+// going through floating point; cents, if any, are dropped
+function parseDollars(value) {
+  const digits = value.toString().replace(/[$,\s]/g, "").split(".")[0];
+  return /^\d+$/.test(digits) ? BigInt(digits) : 0n;
+}
+
+module.exports = {
+  encodeBoxOfficeResponse,
+  decodeBoxOfficeResponse,
+  encodeMovieResponse,
+  decodeMovieResponse,
+  decodeResponse,
+  parseDollars,
+  RESPONSE_FIELDS,
+  MOVIE_RESPONSE_FIELDS,
+};
@@ -1,11 +1,24 @@
-const { ethers } = require("hardhat");
+const { ethers, network } = require("hardhat");
+const { getNetworkConfig } = require("./networks");
 require("dotenv").config();
 
 async function main() {
-  console.log("Deploying BoxOfficeConsumer...");
+  // The in-process Hardhat network has no Functions router to deploy against
+  if (network.name === "hardhat") {
+    throw new Error(
+      "Pick a network to deploy to with --network, e.g. npx hardhat run deploy.js --network sepolia"
+    );
+  }
+  const config = getNetworkConfig(network.name);
+
+  console.log(`Deploying BoxOfficeConsumer to ${network.name}...`);
 
-  const BoxOfficeConsumer = await ethers.getContractFactory("MultiAPIConsumer");
-  const boxOfficeConsumer = await BoxOfficeConsumer.deploy();
+  const BoxOfficeConsumer = await ethers.getContractFactory("BoxOfficeConsumer");
+  const boxOfficeConsumer = await BoxOfficeConsumer.deploy(
+    config.routerAddress,
+    config.donId,
+    config.callbackGasLimit
+  );
 
   await boxOfficeConsumer.deployed();
 
@@ -14,54 +27,37 @@ async function main() {
 
   // Verify deployment by checking key parameters
   console.log("\nVerifying deployment...");
-  
-  try {
-    const owner = await boxOfficeConsumer.owner();
-    const router = await boxOfficeConsumer.getRouter();
-    const donID = await boxOfficeConsumer.getDonID();
-
-    console.log(`Owner verification: ${owner}`);
-    console.log(`Router verification: ${router}`);
-    console.log(`DonID verification: ${donID}`);
-
-    // Check if we're on Sepolia network
-    const network = await ethers.provider.getNetwork();
-    const isSepolia = network.chainId === 11155111; // Sepolia chain ID
 
-    if (isSepolia) {
-      // Verify router address matches Sepolia configuration
-      const expectedRouter = "0xb83E47C2bC239B3bf370bc41e1459A34b41238D0";
-      if (router === expectedRouter) {
-        console.log("Router address matches Sepolia configuration");
-      } else {
-        console.log("Router address mismatch for Sepolia!");
-      }
+  const owner = await boxOfficeConsumer.owner();
+  const router = await boxOfficeConsumer.getRouter();
+  const donID = await boxOfficeConsumer.getDonID();
+  const gasLimit = await boxOfficeConsumer.getGasLimit();
 
-      // Verify DonID matches Sepolia configuration
-      const expectedDonID = "0x66756e2d657468657265756d2d7365706f6c69612d3100000000000000000000";
-      if (donID === expectedDonID) {
-        console.log("DonID matches Sepolia configuration");
-      } else {
-        console.log("DonID mismatch for Sepolia!");
-      }
-    } else {
-      console.log("Contract deployed on non-Sepolia network. Router and DonID are hardcoded for Sepolia.");
-    }
-
-    console.log("Contract deployed and verified successfully!");
-  } catch (error) {
-    console.log("Verification failed:", error.message);
+  if (router.toLowerCase() === config.routerAddress.toLowerCase()) {
+    console.log(`Router matches ${network.name} configuration`);
+  } else {
+    console.log(`Router mismatch for ${network.name}!`);
+  }
+  if (donID === config.donId) {
+    console.log(`DonID matches ${network.name} configuration`);
+  } else {
+    console.log(`DonID mismatch for ${network.name}!`);
   }
 
   // Display contract information
   console.log("\nContract Information:");
   console.log("=====================");
-  console.log(`Contract Name: MultiAPIConsumer`);
+  console.log(`Contract Name: BoxOfficeConsumer`);
   console.log(`Contract Address: ${boxOfficeConsumer.address}`);
-  console.log(`Network: ${network.name} (Chain ID: ${network.chainId})`);
+  console.log(`Network: ${network.name} (Chain ID: ${config.chainId})`);
   console.log(`Owner: ${owner}`);
   console.log(`Router: ${router}`);
   console.log(`DonID: ${donID}`);
+  console.log(`Callback Gas Limit: ${gasLimit}`);
+  if (config.explorerUrl) {
+    console.log(`View contract: ${config.explorerUrl}/address/${boxOfficeConsumer.address}`);
+  }
+  console.log(`\nSet CONSUMER_ADDRESS=${boxOfficeConsumer.address} and NETWORK=${network.name} to send requests to it.`);
 
   // Display available endpoints
   console.log("\nAvailable box office endpoints:");
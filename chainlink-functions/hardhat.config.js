@@ -1,5 +1,6 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("@chainlink/env-enc").config();
+const { networks } = require("./networks");
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
@@ -20,41 +21,19 @@ module.exports = {
       url: "http://127.0.0.1:8545",
       chainId: 31337,
     },
-    sepolia: {
-      url: process.env.ETHEREUM_SEPOLIA_RPC_URL || "",
-      accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
-      chainId: 11155111,
-    },
-    mumbai: {
-      url: process.env.POLYGON_MUMBAI_RPC_URL || "",
-      accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
-      chainId: 80001,
-    },
-    fuji: {
-      url: process.env.AVALANCHE_FUJI_RPC_URL || "",
-      accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
-      chainId: 43113,
-    },
-    bscTestnet: {
-      url: process.env.BSC_TESTNET_RPC_URL || "",
-      accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
-      chainId: 97,
-    },
-    arbitrumSepolia: {
-      url: process.env.ARBITRUM_SEPOLIA_RPC_URL || "",
-      accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
-      chainId: 421614,
-    },
-    baseSepolia: {
-      url: process.env.BASE_SEPOLIA_RPC_URL || "",
-      accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
-      chainId: 84532,
-    },
-    optimismSepolia: {
-      url: process.env.OPTIMISM_SEPOLIA_RPC_URL || "",
-      accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
-      chainId: 11155420,
-    },
+    // Every live network in the shared Chainlink Functions table
+    ...Object.fromEntries(
+      Object.entries(networks)
+        .filter(([, network]) => network.rpcUrlEnv)
+        .map(([name, network]) => [
+          name,
+          {
+            url: process.env[network.rpcUrlEnv] || "",
+            accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
+            chainId: network.chainId,
+          },
+        ])
+    ),
   },
   etherscan: {
     apiKey: {
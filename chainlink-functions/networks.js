@@ -0,0 +1,141 @@
+// Chainlink Functions settings per network, shared by hardhat.config.js, deploy.js
+// and the request scripts. Keys match the Hardhat network names.
+//
+// Addresses come from https://docs.chain.link/chainlink-functions/supported-networks
+// Any value can be overridden from the environment, e.g. to point at a local mock
+// router or a freshly deployed consumer:
+// FUNCTIONS_ROUTER_ADDRESS, LINK_TOKEN_ADDRESS, DON_ID, CALLBACK_GAS_LIMIT,
+// CONSUMER_ADDRESS, SUBSCRIPTION_ID, FUNCTIONS_GATEWAY_URLS (comma-separated)
+// There are no default consumers or subscriptions: the request scripts need
+// CONSUMER_ADDRESS and SUBSCRIPTION_ID for a consumer deployed with deploy.js
+
+const DEFAULT_NETWORK = "sepolia";
+const DEFAULT_CALLBACK_GAS_LIMIT = 300000;
+// DON gateways that accept DON-hosted secrets uploads on every testnet
+const TESTNET_GATEWAY_URLS = [
+  "https://01.functions-gateway.testnet.chain.link/",
+  "https://02.functions-gateway.testnet.chain.link/",
+];
+
+const networks = {
+  // Local Functions testnet (e.g. startLocalFunctionsTestnet from @chainlink/functions-toolkit);
+  // its router and LINK token addresses change every run, so pass them in the environment
+  localhost: {
+    chainId: 31337,
+    rpcUrl: "http://127.0.0.1:8545",
+    routerAddress: "",
+    linkTokenAddress: "",
+    donId: "local-functions-testnet",
+    explorerUrl: "",
+  },
+  sepolia: {
+    chainId: 11155111,
+    rpcUrlEnv: "ETHEREUM_SEPOLIA_RPC_URL",
+    routerAddress: "0xb83E47C2bC239B3bf370bc41e1459A34b41238D0",
+    linkTokenAddress: "0x779877A7B0D9E8603169DdbD7836e478b4624789",
+    donId: "fun-ethereum-sepolia-1",
+    explorerUrl: "https://sepolia.etherscan.io",
+  },
+  mumbai: {
+    chainId: 80001,
+    rpcUrlEnv: "POLYGON_MUMBAI_RPC_URL",
+    routerAddress: "0x6E2dc0F9DB014aE19888F539E59285D2Ea04244C",
+    linkTokenAddress: "0x326C977E6efc84E512bB9C30f76E30c160eD06FB",
+    donId: "fun-polygon-mumbai-1",
+    explorerUrl: "https://mumbai.polygonscan.com",
+  },
+  fuji: {
+    chainId: 43113,
+    rpcUrlEnv: "AVALANCHE_FUJI_RPC_URL",
+    routerAddress: "0xA9d587a00A31A52Ed70D6026794a8FC5E2F5dCb0",
+    linkTokenAddress: "0x0b9d5D9136855f6FEc3c0993feE6E9CE8a297846",
+    donId: "fun-avalanche-fuji-1",
+    explorerUrl: "https://testnet.snowtrace.io",
+  },
+  // Chainlink Functions isn't available on BNB Chain testnet; set
+  // FUNCTIONS_ROUTER_ADDRESS and DON_ID if that changes
+  bscTestnet: {
+    chainId: 97,
+    rpcUrlEnv: "BSC_TESTNET_RPC_URL",
+    routerAddress: "",
+    linkTokenAddress: "0x84b9B910527Ad5C03A9Ca831909E21e236EA7b06",
+    donId: "",
+    explorerUrl: "https://testnet.bscscan.com",
+  },
+  arbitrumSepolia: {
+    chainId: 421614,
+    rpcUrlEnv: "ARBITRUM_SEPOLIA_RPC_URL",
+    routerAddress: "0x234a5fb5Bd614a7AA2FfAB244D603abFA0Ac5C5C",
+    linkTokenAddress: "0xb1D4538B4571d411F07960EF2838Ce337FE1E80E",
+    donId: "fun-arbitrum-sepolia-1",
+    explorerUrl: "https://sepolia.arbiscan.io",
+  },
+  baseSepolia: {
+    chainId: 84532,
+    rpcUrlEnv: "BASE_SEPOLIA_RPC_URL",
+    routerAddress: "0xf9B8fc078197181C841c296C876945aaa425B278",
+    linkTokenAddress: "0xE4aB69C077896252FAFBD49EFD26B5D171A32410",
+    donId: "fun-base-sepolia-1",
+    explorerUrl: "https://sepolia.basescan.org",
+  },
+  optimismSepolia: {
+    chainId: 11155420,
+    rpcUrlEnv: "OPTIMISM_SEPOLIA_RPC_URL",
+    routerAddress: "0xC17094E3A1348E5C7544D4fF8A36c28f2C6AAE28",
+    linkTokenAddress: "0xE4aB69C077896252FAFBD49EFD26B5D171A32410",
+    donId: "fun-optimism-sepolia-1",
+    explorerUrl: "https://sepolia-optimism.etherscan.io",
+  },
+};
+
+// DON IDs are short strings stored on-chain as right-padded bytes32
+function donIdToBytes32(donId) {
+  const hex = Buffer.from(donId, "utf8").toString("hex");
+  if (hex.length > 64) {
+    throw new Error(`DON ID does not fit in a bytes32: ${donId}`);
+  }
+  return "0x" + hex.padEnd(64, "0");
+}
+
+// Returns the settings for `name` (the NETWORK environment variable, then sepolia,
+// by default) with environment overrides applied
+function getNetworkConfig(name = process.env.NETWORK || DEFAULT_NETWORK) {
+  const network = networks[name];
+  if (!network) {
+    throw new Error(`Unknown network: ${name}. Expected one of ${Object.keys(networks).join(", ")}`);
+  }
+
+  const env = process.env;
+  const donId = env.DON_ID || network.donId;
+  const config = {
+    name,
+    chainId: network.chainId,
+    rpcUrl: network.rpcUrl || env[network.rpcUrlEnv] || "",
+    routerAddress: env.FUNCTIONS_ROUTER_ADDRESS || network.routerAddress,
+    linkTokenAddress: env.LINK_TOKEN_ADDRESS || network.linkTokenAddress,
+    donId: donId ? donIdToBytes32(donId) : "",
+    donName: donId,
+    gatewayUrls: env.FUNCTIONS_GATEWAY_URLS
+      ? env.FUNCTIONS_GATEWAY_URLS.split(",").map((url) => url.trim())
+      : network.gatewayUrls || TESTNET_GATEWAY_URLS,
+    explorerUrl: network.explorerUrl,
+    callbackGasLimit: Number(env.CALLBACK_GAS_LIMIT || network.callbackGasLimit || DEFAULT_CALLBACK_GAS_LIMIT),
+    consumerAddress: env.CONSUMER_ADDRESS || "",
+    subscriptionId: Number(env.SUBSCRIPTION_ID || 0),
+  };
+
+  if (!config.routerAddress || !config.donId) {
+    throw new Error(
+      `Chainlink Functions is not configured for ${name} - set FUNCTIONS_ROUTER_ADDRESS and DON_ID`
+    );
+  }
+  return config;
+}
+
+module.exports = {
+  networks,
+  getNetworkConfig,
+  donIdToBytes32,
+  DEFAULT_NETWORK,
+  DEFAULT_CALLBACK_GAS_LIMIT,
+};
@@ -4,39 +4,49 @@ const {
   SubscriptionManager,
   simulateScript,
   ResponseListener,
-  ReturnType,
-  decodeResult,
   FulfillmentCode,
 } = require("@chainlink/functions-toolkit");
 const ethers = require("ethers");
+const { decodeResponse } = require("./box-office-response");
+const { getNetworkConfig } = require("./networks");
+const { loadSecrets, buildSecretsReference } = require("./secrets");
 require("dotenv").config();
 
-// Configuration
-const consumerAddress = "0x3416c861d45190a04a7497052a9efc13b960125f";
-const subscriptionId = 5085;
-
-// Network configuration for Ethereum Sepolia
-const routerAddress = "0xb83E47C2bC239B3bf370bc41e1459A34b41238D0";
-const linkTokenAddress = "0x779877A7B0D9E8603169DdbD7836e478b4624789";
-const donId = "0x66756e2d657468657265756d2d7365706f6c69612d3100000000000000000000";
-const explorerUrl = "https://sepolia.etherscan.io";
+// Network configuration, selected with the NETWORK environment variable (sepolia by default)
+const networkConfig = getNetworkConfig();
+const {
+  consumerAddress,
+  subscriptionId,
+  routerAddress,
+  linkTokenAddress,
+  donId,
+  explorerUrl,
+  callbackGasLimit,
+} = networkConfig;
 
 // BoxOfficeConsumer ABI
 const boxOfficeConsumerAbi = [
   "function sendRequest(string source, string[] args, uint64 subscriptionId, string requestType) external returns (bytes32 requestId)",
-  "function getDailyData(bytes32 requestId) external view returns (uint256)",
-  "function getWeeklyData(bytes32 requestId) external view returns (uint256)",
-  "function getMonthlyData(bytes32 requestId) external view returns (uint256)",
-  "function getSeasonalData(bytes32 requestId) external view returns (uint256)",
-  "function getQuarterlyData(bytes32 requestId) external view returns (uint256)",
-  "function getYearlyData(bytes32 requestId) external view returns (uint256)",
+  "function sendRequestWithSecrets(string source, string[] args, uint64 subscriptionId, string requestType, bytes encryptedSecretsUrls, uint8 donHostedSecretsSlotID, uint64 donHostedSecretsVersion) external returns (bytes32 requestId)",
+  "function getDailyData(bytes32 requestId) external view returns (tuple(uint256 totalRevenue, uint256 movieCount, bytes32 topTitleHash, uint256 topGross))",
+  "function getWeeklyData(bytes32 requestId) external view returns (tuple(uint256 totalRevenue, uint256 movieCount, bytes32 topTitleHash, uint256 topGross))",
+  "function getMonthlyData(bytes32 requestId) external view returns (tuple(uint256 totalRevenue, uint256 movieCount, bytes32 topTitleHash, uint256 topGross))",
+  "function getSeasonalData(bytes32 requestId) external view returns (tuple(uint256 totalRevenue, uint256 movieCount, bytes32 topTitleHash, uint256 topGross))",
+  "function getQuarterlyData(bytes32 requestId) external view returns (tuple(uint256 totalRevenue, uint256 movieCount, bytes32 topTitleHash, uint256 topGross))",
+  "function getYearlyData(bytes32 requestId) external view returns (tuple(uint256 totalRevenue, uint256 movieCount, bytes32 topTitleHash, uint256 topGross))",
+  "function getMovieData(bytes32 requestId) external view returns (tuple(uint256 gross, uint256 theaters, uint256 rank))",
   "function getHealthData(bytes32 requestId) external view returns (uint256)",
-  "function decodeBoxOfficeData(uint256 boxOfficeData) external pure returns (uint32 movieCount, uint256 revenueThousands)",
+  "function decodeBoxOfficeData(bytes response) external pure returns (tuple(uint256 totalRevenue, uint256 movieCount, bytes32 topTitleHash, uint256 topGross))",
+  "function decodeMovieData(bytes response) external pure returns (tuple(uint256 gross, uint256 theaters, uint256 rank))",
   "function getRequestMetadata(bytes32 requestId) external view returns (string requestType, uint256 timestamp)",
+  "function getRequestMovie(bytes32 requestId) external view returns (string movie, string periodType)",
+  "function getRequestStatus(bytes32 requestId) external view returns (uint8)",
+  "function getPendingRequests() external view returns (bytes32[])",
   "function getRouter() external view returns (address)",
   "function getDonID() external view returns (bytes32)",
+  "function getGasLimit() external view returns (uint32)",
   "event RequestSent(bytes32 indexed requestId, string requestType, uint256 timestamp)",
-  "event RequestFulfilled(bytes32 indexed requestId, string requestType, uint256 data, uint256 timestamp)",
+  "event RequestFulfilled(bytes32 indexed requestId, string requestType, bytes response, uint256 timestamp)",
   "event RequestFailed(bytes32 indexed requestId, string requestType, string error, uint256 timestamp)"
 ];
 
@@ -47,9 +57,15 @@ function initializeProvider() {
     throw new Error("private key not provided - check your environment variables");
   }
 
-  const rpcUrl = process.env.ETHEREUM_SEPOLIA_RPC_URL;
+  const rpcUrl = networkConfig.rpcUrl;
   if (!rpcUrl) {
-    throw new Error("rpcUrl not provided - check your environment variables");
+    throw new Error(`rpcUrl not provided for ${networkConfig.name} - check your environment variables`);
+  }
+  if (!consumerAddress) {
+    throw new Error(`consumer address not set for ${networkConfig.name} - set CONSUMER_ADDRESS`);
+  }
+  if (!subscriptionId) {
+    throw new Error(`subscription not set for ${networkConfig.name} - set SUBSCRIPTION_ID`);
   }
 
   const provider = new ethers.providers.JsonRpcProvider(rpcUrl);
@@ -63,25 +79,35 @@ function initializeProvider() {
 function displayDecodedData(requestType, decodedResponse) {
   switch (requestType) {
     case "HEALTH":
-      const healthStatus = decodedResponse === 1 ? "Healthy" : "Unhealthy";
+      const healthStatus = decodedResponse === 1n ? "Healthy" : "Unhealthy";
       console.log(`Box Office API Status: ${healthStatus}`);
       break;
+    case "MOVIE":
+      console.log("Movie Box Office Data:");
+      console.log(`   - Gross: $${decodedResponse.gross.toLocaleString()}`);
+      console.log(`   - Theaters: ${decodedResponse.theaters}`);
+      console.log(`   - Rank: ${decodedResponse.rank}`);
+      break;
     default:
-      const movieCount = decodedResponse & 0xFFFFFFFF;
-      const revenueThousands = (decodedResponse >> 32);
-      const totalRevenue = revenueThousands * 1000;
-      
       console.log(`${requestType.charAt(0) + requestType.slice(1).toLowerCase()} Box Office Data:`);
-      console.log(`   - Movies Tracked: ${movieCount}`);
-      console.log(`   - Revenue: $${revenueThousands.toLocaleString()} thousand`);
-      console.log(`   - Total Revenue: $${totalRevenue.toLocaleString()}`);
+      console.log(`   - Movies Tracked: ${decodedResponse.movieCount}`);
+      console.log(`   - Total Revenue: $${decodedResponse.totalRevenue.toLocaleString()}`);
+      console.log(`   - Top Grossing Title Hash: ${decodedResponse.topTitleHash}`);
+      console.log(`   - Top Gross: $${decodedResponse.topGross.toLocaleString()}`);
       break;
   }
 }
 
-// Main request function
+// Main request function. options.extraArgs are appended to [requestType, additionalParam],
+// e.g. the movie and period type of a MOVIE request. Secrets from .env.enc (see secrets.js)
+// are passed to the simulation and, unless options.secretsLocation is "none", to the DON:
+// "donHosted" (the default) or "remote"
 async function makeRequest(requestType, additionalParam = "", options = {}) {
   const {
+    extraArgs = [],
+    secretsLocation = "donHosted",
+    secretsSlotId = 0,
+    secretsExpirationMinutes = 24 * 60,
     enableSimulation = true,
     enableEstimation = true,
     enableOnChainRequest = true,
@@ -93,7 +119,9 @@ async function makeRequest(requestType, additionalParam = "", options = {}) {
     .readFileSync(path.resolve(__dirname, "source.js"))
     .toString();
 
-  const args = [requestType, additionalParam];
+  const args = [requestType, additionalParam, ...extraArgs];
+  const secrets = secretsLocation === "none" ? {} : loadSecrets();
+  const useSecrets = Object.keys(secrets).length > 0;
   const { provider, signer } = initializeProvider();
 
   let result = {
@@ -116,7 +144,7 @@ async function makeRequest(requestType, additionalParam = "", options = {}) {
         source: source,
         args: args,
         bytesArgs: [],
-        secrets: {},
+        secrets: secrets,
       });
 
       result.simulation = simulationResponse;
@@ -126,12 +154,10 @@ async function makeRequest(requestType, additionalParam = "", options = {}) {
         if (verbose) console.log(`Error during simulation: ${simulationResponse.errorString}`);
         return result;
       } else {
-        const returnType = ReturnType.uint256;
         const responseBytesHexstring = simulationResponse.responseBytesHexstring;
         if (ethers.utils.arrayify(responseBytesHexstring).length > 0) {
-          const decodedResponse = decodeResult(responseBytesHexstring, returnType);
+          const decodedResponse = decodeResponse(requestType, responseBytesHexstring);
           if (verbose) {
-            console.log(`Decoded simulation response: ${decodedResponse}`);
             displayDecodedData(requestType, decodedResponse);
           }
           result.decodedData = decodedResponse;
@@ -154,7 +180,7 @@ async function makeRequest(requestType, additionalParam = "", options = {}) {
       const estimatedCostInJuels = await subscriptionManager.estimateFunctionsRequestCost({
         donId: donId,
         subscriptionId: subscriptionId,
-        callbackGasLimit: 300000,
+        callbackGasLimit: callbackGasLimit,
         gasPriceWei: BigInt(gasPriceWei),
       });
 
@@ -176,16 +202,35 @@ async function makeRequest(requestType, additionalParam = "", options = {}) {
         signer
       );
 
-      const transaction = await boxOfficeConsumer.sendRequest(
-        source,
-        args,
-        subscriptionId,
-        requestType
-      );
+      let transaction;
+      if (useSecrets) {
+        const secretsReference = await buildSecretsReference(signer, networkConfig, secrets, {
+          location: secretsLocation,
+          slotId: secretsSlotId,
+          expirationMinutes: secretsExpirationMinutes,
+          verbose,
+        });
+        transaction = await boxOfficeConsumer.sendRequestWithSecrets(
+          source,
+          args,
+          subscriptionId,
+          requestType,
+          secretsReference.encryptedSecretsUrls,
+          secretsReference.slotId,
+          secretsReference.version
+        );
+      } else {
+        transaction = await boxOfficeConsumer.sendRequest(
+          source,
+          args,
+          subscriptionId,
+          requestType
+        );
+      }
 
       result.transaction = {
         hash: transaction.hash,
-        explorerUrl: `${explorerUrl}/tx/${transaction.hash}`
+        explorerUrl: explorerUrl ? `${explorerUrl}/tx/${transaction.hash}` : ""
       };
 
       if (verbose) {
@@ -220,9 +265,8 @@ async function makeRequest(requestType, additionalParam = "", options = {}) {
           }
           
           if (response.responseBytesHexstring && ethers.utils.arrayify(response.responseBytesHexstring).length > 0) {
-            const decodedResponse = decodeResult(response.responseBytesHexstring, ReturnType.uint256);
+            const decodedResponse = decodeResponse(requestType, response.responseBytesHexstring);
             if (verbose) {
-              console.log(`Decoded response: ${decodedResponse}`);
               displayDecodedData(requestType, decodedResponse);
             }
             result.decodedData = decodedResponse;
@@ -280,6 +324,13 @@ async function requestYearlyData(year = "", options = {}) {
   return await makeRequest("YEARLY", year, options);
 }
 
+// movie is the "Release" name the API reports, e.g. "Inside Out 2"; period is in
+// periodType's format, e.g. requestMovieData("Inside Out 2", "2024-25", "WEEKLY")
+async function requestMovieData(movie, period = "", periodType = "DAILY", options = {}) {
+  console.log("=== REQUESTING MOVIE BOX OFFICE DATA ===");
+  return await makeRequest("MOVIE", period, { ...options, extraArgs: [movie, periodType] });
+}
+
 async function requestHealthCheck(options = {}) {
   console.log("=== REQUESTING API HEALTH CHECK ===");
   return await makeRequest("HEALTH", "", options);
@@ -297,6 +348,7 @@ module.exports = {
   requestSeasonalData,
   requestQuarterlyData,
   requestYearlyData,
+  requestMovieData,
   requestHealthCheck,
   
   // Utility functions
@@ -304,10 +356,12 @@ module.exports = {
   initializeProvider,
   
   // Constants
+  networkConfig,
   consumerAddress,
   subscriptionId,
   routerAddress,
   linkTokenAddress,
   donId,
-  explorerUrl
+  explorerUrl,
+  callbackGasLimit
 }; 
\ No newline at end of file
@@ -4,37 +4,43 @@ const {
   SubscriptionManager,
   simulateScript,
   ResponseListener,
-  ReturnType,
-  decodeResult,
   FulfillmentCode,
 } = require("@chainlink/functions-toolkit");
 const ethers = require("ethers");
+const { decodeResponse } = require("./box-office-response");
+const { getNetworkConfig } = require("./networks");
+const { loadSecrets, buildSecretsReference } = require("./secrets");
 require("dotenv").config();
 
-const consumerAddress = "0x3416c861d45190a04a7497052a9efc13b960125f"; // REPLACE with your deployed contract address
-const subscriptionId = 5085; // REPLACE with your subscription ID
-
-const routerAddress = "0xb83E47C2bC239B3bf370bc41e1459A34b41238D0";
-const linkTokenAddress = "0x779877A7B0D9E8603169DdbD7836e478b4624789";
-const donId = "0x66756e2d657468657265756d2d7365706f6c69612d3100000000000000000000";
-const explorerUrl = "https://sepolia.etherscan.io";
+// Selected with NETWORK (sepolia by default); CONSUMER_ADDRESS and SUBSCRIPTION_ID are required
+const networkConfig = getNetworkConfig();
+const {
+  consumerAddress,
+  subscriptionId,
+  routerAddress,
+  linkTokenAddress,
+  donId,
+  explorerUrl,
+  callbackGasLimit,
+} = networkConfig;
 
 // BoxOfficeConsumer ABI (simplified for the functions we need)
 const boxOfficeConsumerAbi = [
   "function sendRequest(string source, string[] args, uint64 subscriptionId, string requestType) external returns (bytes32 requestId)",
-  "function getDailyData(bytes32 requestId) external view returns (uint256)",
-  "function getWeeklyData(bytes32 requestId) external view returns (uint256)",
-  "function getMonthlyData(bytes32 requestId) external view returns (uint256)",
-  "function getSeasonalData(bytes32 requestId) external view returns (uint256)",
-  "function getQuarterlyData(bytes32 requestId) external view returns (uint256)",
-  "function getYearlyData(bytes32 requestId) external view returns (uint256)",
+  "function sendRequestWithSecrets(string source, string[] args, uint64 subscriptionId, string requestType, bytes encryptedSecretsUrls, uint8 donHostedSecretsSlotID, uint64 donHostedSecretsVersion) external returns (bytes32 requestId)",
+  "function getDailyData(bytes32 requestId) external view returns (tuple(uint256 totalRevenue, uint256 movieCount, bytes32 topTitleHash, uint256 topGross))",
+  "function getWeeklyData(bytes32 requestId) external view returns (tuple(uint256 totalRevenue, uint256 movieCount, bytes32 topTitleHash, uint256 topGross))",
+  "function getMonthlyData(bytes32 requestId) external view returns (tuple(uint256 totalRevenue, uint256 movieCount, bytes32 topTitleHash, uint256 topGross))",
+  "function getSeasonalData(bytes32 requestId) external view returns (tuple(uint256 totalRevenue, uint256 movieCount, bytes32 topTitleHash, uint256 topGross))",
+  "function getQuarterlyData(bytes32 requestId) external view returns (tuple(uint256 totalRevenue, uint256 movieCount, bytes32 topTitleHash, uint256 topGross))",
+  "function getYearlyData(bytes32 requestId) external view returns (tuple(uint256 totalRevenue, uint256 movieCount, bytes32 topTitleHash, uint256 topGross))",
   "function getHealthData(bytes32 requestId) external view returns (uint256)",
-  "function decodeBoxOfficeData(uint256 boxOfficeData) external pure returns (uint32 movieCount, uint256 revenueThousands)",
+  "function decodeBoxOfficeData(bytes response) external pure returns (tuple(uint256 totalRevenue, uint256 movieCount, bytes32 topTitleHash, uint256 topGross))",
   "function getRequestMetadata(bytes32 requestId) external view returns (string requestType, uint256 timestamp)",
   "function getRouter() external view returns (address)",
   "function getDonID() external view returns (bytes32)",
   "event RequestSent(bytes32 indexed requestId, string requestType, uint256 timestamp)",
-  "event RequestFulfilled(bytes32 indexed requestId, string requestType, uint256 data, uint256 timestamp)",
+  "event RequestFulfilled(bytes32 indexed requestId, string requestType, bytes response, uint256 timestamp)",
   "event RequestFailed(bytes32 indexed requestId, string requestType, string error, uint256 timestamp)"
 ];
 
@@ -44,15 +50,23 @@ const makeRequest = async (requestType, additionalParam = "") => {
     .toString();
 
   const args = [requestType, additionalParam];
+  // API credentials from .env.enc, uploaded to the DON for the on-chain request
+  const secrets = loadSecrets();
 
   const privateKey = process.env.PRIVATE_KEY;
   if (!privateKey) {
     throw new Error("private key not provided - check your environment variables");
   }
 
-  const rpcUrl = process.env.ETHEREUM_SEPOLIA_RPC_URL;
+  const rpcUrl = networkConfig.rpcUrl;
   if (!rpcUrl) {
-    throw new Error("rpcUrl not provided - check your environment variables");
+    throw new Error(`rpcUrl not provided for ${networkConfig.name} - check your environment variables`);
+  }
+  if (!consumerAddress) {
+    throw new Error(`consumer address not set for ${networkConfig.name} - set CONSUMER_ADDRESS`);
+  }
+  if (!subscriptionId) {
+    throw new Error(`subscription not set for ${networkConfig.name} - set SUBSCRIPTION_ID`);
   }
 
   const provider = new ethers.providers.JsonRpcProvider(rpcUrl);
@@ -65,7 +79,7 @@ const makeRequest = async (requestType, additionalParam = "") => {
     source: source,
     args: args,
     bytesArgs: [],
-    secrets: {},
+    secrets: secrets,
   });
 
   console.log("Simulation result:", response);
@@ -74,11 +88,9 @@ const makeRequest = async (requestType, additionalParam = "") => {
     console.log(`Error during simulation: ${response.errorString}`);
     return;
   } else {
-    const returnType = ReturnType.uint256;
     const responseBytesHexstring = response.responseBytesHexstring;
     if (ethers.utils.arrayify(responseBytesHexstring).length > 0) {
-      const decodedResponse = decodeResult(responseBytesHexstring, returnType);
-      console.log(`Decoded response to ${returnType}: ${decodedResponse}`);
+      const decodedResponse = decodeResponse(requestType, responseBytesHexstring);
       
       displayDecodedData(requestType, decodedResponse);
       
@@ -104,7 +116,7 @@ const makeRequest = async (requestType, additionalParam = "") => {
   const estimatedCostInJuels = await subscriptionManager.estimateFunctionsRequestCost({
     donId: donId,
     subscriptionId: subscriptionId,
-    callbackGasLimit: 300000,
+    callbackGasLimit: callbackGasLimit,
     gasPriceWei: BigInt(gasPriceWei),
   });
 
@@ -118,12 +130,26 @@ const makeRequest = async (requestType, additionalParam = "") => {
     signer
   );
 
-  const transaction = await boxOfficeConsumer.sendRequest(
-    source,
-    args,
-    subscriptionId,
-    requestType
-  );
+  let transaction;
+  if (Object.keys(secrets).length > 0) {
+    const secretsReference = await buildSecretsReference(signer, networkConfig, secrets);
+    transaction = await boxOfficeConsumer.sendRequestWithSecrets(
+      source,
+      args,
+      subscriptionId,
+      requestType,
+      secretsReference.encryptedSecretsUrls,
+      secretsReference.slotId,
+      secretsReference.version
+    );
+  } else {
+    transaction = await boxOfficeConsumer.sendRequest(
+      source,
+      args,
+      subscriptionId,
+      requestType
+    );
+  }
 
   console.log(`Request sent! Transaction hash: ${transaction.hash}`);
   console.log(`View transaction: ${explorerUrl}/tx/${transaction.hash}`);
@@ -150,8 +176,7 @@ const makeRequest = async (requestType, additionalParam = "") => {
       console.log(`Cost: ${ethers.utils.formatEther(response.totalCostInJuels)} LINK`);
       
       if (response.responseBytesHexstring && ethers.utils.arrayify(response.responseBytesHexstring).length > 0) {
-        const decodedResponse = decodeResult(response.responseBytesHexstring, ReturnType.uint256);
-        console.log(`Decoded response: ${decodedResponse}`);
+        const decodedResponse = decodeResponse(requestType, response.responseBytesHexstring);
         
         displayDecodedData(requestType, decodedResponse);
       }
@@ -208,18 +233,15 @@ const makeRequest = async (requestType, additionalParam = "") => {
 function displayDecodedData(requestType, decodedResponse) {
   switch (requestType) {
     case "HEALTH":
-      const healthStatus = decodedResponse === 1 ? "Healthy" : "Unhealthy";
+      const healthStatus = decodedResponse === 1n ? "Healthy" : "Unhealthy";
       console.log(`Box Office API Status: ${healthStatus}`);
       break;
     default:
-      const movieCount = decodedResponse & 0xFFFFFFFF;
-      const revenueThousands = (decodedResponse >> 32);
-      const totalRevenue = revenueThousands * 1000;
-      
       console.log(`${requestType.charAt(0) + requestType.slice(1).toLowerCase()} Box Office Data:`);
-      console.log(`   - Movies Tracked: ${movieCount}`);
-      console.log(`   - Revenue: $${revenueThousands.toLocaleString()} thousand`);
-      console.log(`   - Total Revenue: $${totalRevenue.toLocaleString()}`);
+      console.log(`   - Movies Tracked: ${decodedResponse.movieCount}`);
+      console.log(`   - Total Revenue: $${decodedResponse.totalRevenue.toLocaleString()}`);
+      console.log(`   - Top Grossing Title Hash: ${decodedResponse.topTitleHash}`);
+      console.log(`   - Top Gross: $${decodedResponse.topGross.toLocaleString()}`);
       break;
   }
 }
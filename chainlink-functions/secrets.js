@@ -0,0 +1,81 @@
+const fs = require("fs");
+const path = require("path");
+const { SecretsManager } = require("@chainlink/functions-toolkit");
+require("@chainlink/env-enc").config();
+
+// Where encrypted secrets are written for remote hosting when SECRETS_URLS isn't set
+const OFFCHAIN_SECRETS_PATH = path.resolve(__dirname, "offchain-secrets.json");
+
+// Secrets source.js reads to authenticate with the box office provider. Set them in the
+// encrypted .env.enc with `npx env-enc set` so API keys never sit in plain text:
+// BOX_OFFICE_API_KEY, BOX_OFFICE_API_KEY_HEADER (optional), BOX_OFFICE_API_URL (optional)
+function loadSecrets() {
+  const secrets = {};
+  if (process.env.BOX_OFFICE_API_KEY) secrets.apiKey = process.env.BOX_OFFICE_API_KEY;
+  if (process.env.BOX_OFFICE_API_KEY_HEADER) secrets.apiKeyHeader = process.env.BOX_OFFICE_API_KEY_HEADER;
+  if (process.env.BOX_OFFICE_API_URL) secrets.apiBaseUrl = process.env.BOX_OFFICE_API_URL;
+  return secrets;
+}
+
+// Encrypts `secrets` for the network's DON and returns the reference sendRequestWithSecrets takes:
+// - "donHosted": uploads them to the DON gateways in `slotId`, for `expirationMinutes`
+// - "remote": encrypts the SECRETS_URLS (or `secretsUrls`) they're hosted at. Without URLs the
+//   encrypted secrets are written to offchain-secrets.json to host first, e.g. as a private gist
+async function buildSecretsReference(signer, networkConfig, secrets, options = {}) {
+  const {
+    location = "donHosted",
+    slotId = 0,
+    expirationMinutes = 24 * 60,
+    secretsUrls = process.env.SECRETS_URLS ? process.env.SECRETS_URLS.split(",").map((url) => url.trim()) : [],
+    verbose = true,
+  } = options;
+
+  const secretsManager = new SecretsManager({
+    signer: signer,
+    functionsRouterAddress: networkConfig.routerAddress,
+    donId: networkConfig.donName,
+  });
+  await secretsManager.initialize();
+
+  if (location === "remote") {
+    if (secretsUrls.length === 0) {
+      const encryptedSecretsObj = await secretsManager.encryptSecrets(secrets);
+      fs.writeFileSync(OFFCHAIN_SECRETS_PATH, JSON.stringify(encryptedSecretsObj));
+      throw new Error(
+        `Encrypted secrets written to ${OFFCHAIN_SECRETS_PATH} - host the file and set SECRETS_URLS to its URL`
+      );
+    }
+
+    if (verbose) console.log(`Using remote secrets hosted at ${secretsUrls.length} URL(s)`);
+    return {
+      location,
+      encryptedSecretsUrls: await secretsManager.encryptSecretsUrls(secretsUrls),
+      slotId: 0,
+      version: 0,
+    };
+  }
+
+  if (location !== "donHosted") {
+    throw new Error(`Unsupported secrets location: ${location}. Expected "donHosted" or "remote"`);
+  }
+
+  const encryptedSecretsObj = await secretsManager.encryptSecrets(secrets);
+  const { version, success } = await secretsManager.uploadEncryptedSecretsToDON({
+    encryptedSecretsHexstring: encryptedSecretsObj.encryptedSecrets,
+    gatewayUrls: networkConfig.gatewayUrls,
+    slotId: slotId,
+    minutesUntilExpiration: expirationMinutes,
+  });
+  if (!success) {
+    throw new Error("Uploading secrets to the DON failed");
+  }
+
+  if (verbose) console.log(`Secrets uploaded to DON slot ${slotId}, version ${version}`);
+  return { location, encryptedSecretsUrls: "0x", slotId, version };
+}
+
+module.exports = {
+  loadSecrets,
+  buildSecretsReference,
+  OFFCHAIN_SECRETS_PATH,
+};
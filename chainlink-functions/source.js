@@ -1,10 +1,19 @@
 // Box Office API Consumer Source Code
 // This example shows how to call multiple box office API endpoints from a single Chainlink Functions request
-// and return aggregated data from the express-boxoffice.vercel.app API
+// and return aggregated data from the express-boxoffice.vercel.app API, or from an authenticated
+// provider with the same endpoints configured through encrypted secrets
+
+// Encrypted secrets, all optional (see "Encrypted Secrets" in the README):
+// secrets.apiKey = API key, sent as a bearer token in the Authorization header
+// secrets.apiKeyHeader = header to send secrets.apiKey in instead, e.g. "x-api-key"
+// secrets.apiBaseUrl = provider base URL, replacing https://express-boxoffice.vercel.app
 
 // Arguments can be provided when a request is initiated on-chain
-// args[0] = requestType (DAILY, WEEKLY, MONTHLY, SEASONAL, QUARTERLY, YEARLY, HEALTH)
+// args[0] = requestType (DAILY, WEEKLY, MONTHLY, SEASONAL, QUARTERLY, YEARLY, MOVIE, HEALTH)
 // args[1] = additional parameters (e.g., date for daily, year/week for weekly, etc.)
+// For MOVIE requests only:
+// args[2] = the movie's "Release" name as the API reports it (MovieRegistry's boxOfficeKey)
+// args[3] = the period type args[1] is in (DAILY by default, or WEEKLY, MONTHLY, SEASONAL, QUARTERLY, YEARLY)
 
 const requestType = args[0];
 const additionalParam = args[1] || "";
@@ -12,17 +21,35 @@ const additionalParam = args[1] || "";
 console.log(`Request type: ${requestType}`);
 console.log(`Additional parameter: ${additionalParam}`);
 
-// Function to make HTTP requests with error handling
+// ethers is only used to ABI-encode the response and hash the top title
+const { ethers } = await import("npm:ethers@6.10.0");
+
+// secrets is always set by the DON, but may be missing when the source is run by other tools
+const providerSecrets = typeof secrets === "object" && secrets !== null ? secrets : {};
+const apiBaseUrl = (providerSecrets.apiBaseUrl || "https://express-boxoffice.vercel.app").replace(/\/+$/, "");
+const authHeaders = {};
+if (providerSecrets.apiKey) {
+    if (providerSecrets.apiKeyHeader) {
+        authHeaders[providerSecrets.apiKeyHeader] = providerSecrets.apiKey;
+    } else {
+        authHeaders.Authorization = `Bearer ${providerSecrets.apiKey}`;
+    }
+}
+
+// Function to make HTTP requests with error handling. Auth headers from secrets are
+// added to every request and never logged.
 async function makeRequest(url, headers = {}, params = {}) {
     console.log(`Making request to: ${url}`);
     console.log(`Headers:`, headers);
+    console.log(`Authenticated: ${Object.keys(authHeaders).length > 0}`);
     console.log(`Params:`, params);
     
     const request = Functions.makeHttpRequest({
         url: url,
         headers: {
             "Content-Type": "application/json",
-            ...headers
+            ...headers,
+            ...authHeaders
         },
         params: params
     });
@@ -68,34 +95,76 @@ async function makeRequest(url, headers = {}, params = {}) {
     return response.data;
 }
 
+// Parse a dollar amount like "$9,764,735" to whole dollars as a BigInt, so
+// totals keep full precision. Mirrors parseDollars in box-office-response.js.
+function parseDollars(value) {
+    const digits = value.toString().replace(/[$,\s]/g, '').split('.')[0];
+    return /^\d+$/.test(digits) ? BigInt(digits) : 0n;
+}
+
+// Function to get a single movie's revenue in whole dollars
+function movieRevenue(movie) {
+    // The API returns "Daily" field with dollar amounts like "$9,764,735"
+    if (movie.Daily) {
+        return parseDollars(movie.Daily);
+    } else if (movie.Gross) {
+        return parseDollars(movie.Gross);
+    } else if (movie.revenue) {
+        return parseDollars(movie.revenue);
+    } else if (movie.gross) {
+        return parseDollars(movie.gross);
+    }
+    return 0n;
+}
+
 // Function to calculate total revenue from box office data
 function calculateTotalRevenue(boxOfficeData) {
-    if (!boxOfficeData || !Array.isArray(boxOfficeData)) return 0;
-    
-    return boxOfficeData.reduce((total, movie) => {
-        // The API returns "Daily" field with dollar amounts like "$9,764,735"
-        let revenue = 0;
-        
-        if (movie.Daily) {
-            // Remove "$" and "," from the Daily field and convert to number
-            const dailyStr = movie.Daily.toString().replace(/[$,]/g, '');
-            revenue = parseFloat(dailyStr) || 0;
-        } else if (movie.revenue) {
-            revenue = parseFloat(movie.revenue) || 0;
-        } else if (movie.gross) {
-            revenue = parseFloat(movie.gross) || 0;
-        }
-        
-        return total + revenue;
-    }, 0);
+    if (!boxOfficeData || !Array.isArray(boxOfficeData)) return 0n;
+    
+    return boxOfficeData.reduce((total, movie) => total + movieRevenue(movie), 0n);
 }
 
 // Function to calculate average revenue per movie
 function calculateAverageRevenue(boxOfficeData) {
-    if (!boxOfficeData || !Array.isArray(boxOfficeData) || boxOfficeData.length === 0) return 0;
+    if (!boxOfficeData || !Array.isArray(boxOfficeData) || boxOfficeData.length === 0) return 0n;
     
     const totalRevenue = calculateTotalRevenue(boxOfficeData);
-    return totalRevenue / boxOfficeData.length;
+    return totalRevenue / BigInt(boxOfficeData.length);
+}
+
+// Function to find the highest-grossing movie, or null for an empty response
+function findTopGrossing(boxOfficeData) {
+    let top = null;
+    for (const movie of boxOfficeData) {
+        const gross = movieRevenue(movie);
+        if (top === null || gross > top.gross) {
+            top = { title: (movie.Release || movie.title || '').toString(), gross: gross };
+        }
+    }
+    return top;
+}
+
+// Encode the response as
+// abi.encode(uint256 totalRevenue, uint256 movieCount, bytes32 topTitleHash, uint256 topGross),
+// decoded on-chain by BoxOfficeConsumer.decodeBoxOfficeData. topTitleHash is
+// keccak256 of the "Release" name, the key MovieRegistry uses, or zero if no movies.
+function encodeBoxOfficeResult(boxOfficeData) {
+    const totalRevenue = calculateTotalRevenue(boxOfficeData);
+    const movieCount = boxOfficeData.length;
+    const top = findTopGrossing(boxOfficeData);
+    const topTitleHash = top ? ethers.id(top.title) : ethers.ZeroHash;
+    const topGross = top ? top.gross : 0n;
+    
+    console.log(`Encoded result:`);
+    console.log(`- Total revenue: $${totalRevenue.toLocaleString()}`);
+    console.log(`- Movie count: ${movieCount}`);
+    console.log(`- Top grossing: ${top ? top.title : 'none'} ($${topGross.toLocaleString()})`);
+    
+    const encoded = ethers.AbiCoder.defaultAbiCoder().encode(
+        ["uint256", "uint256", "bytes32", "uint256"],
+        [totalRevenue, movieCount, topTitleHash, topGross]
+    );
+    return ethers.getBytes(encoded);
 }
 
 // Function to validate and parse date parameter
@@ -198,26 +267,21 @@ function parseQuarterParam(quarterStr) {
 // Handle different box office request types
 switch (requestType) {
     case "DAILY":
-        await handleDailyRequest();
-        break;
+        return await handleDailyRequest();
     case "WEEKLY":
-        await handleWeeklyRequest();
-        break;
+        return await handleWeeklyRequest();
     case "MONTHLY":
-        await handleMonthlyRequest();
-        break;
+        return await handleMonthlyRequest();
     case "SEASONAL":
-        await handleSeasonalRequest();
-        break;
+        return await handleSeasonalRequest();
     case "QUARTERLY":
-        await handleQuarterlyRequest();
-        break;
+        return await handleQuarterlyRequest();
     case "YEARLY":
-        await handleYearlyRequest();
-        break;
+        return await handleYearlyRequest();
+    case "MOVIE":
+        return await handleMovieRequest();
     case "HEALTH":
-        await handleHealthRequest();
-        break;
+        return await handleHealthRequest();
     default:
         throw new Error(`Unknown request type: ${requestType}`);
 }
@@ -229,7 +293,7 @@ async function handleDailyRequest() {
         const date = parseDateParam(additionalParam);
         console.log(`Fetching daily box office data for date: ${date}`);
         
-        const response = await makeRequest("https://express-boxoffice.vercel.app/daily", {}, {
+        const response = await makeRequest(`${apiBaseUrl}/daily`, {}, {
             date: date
         });
         
@@ -252,25 +316,7 @@ async function handleDailyRequest() {
             console.log(JSON.stringify(movie, null, 2));
         });
         
-        // Create a composite metric that includes movie count and total revenue
-        // We'll encode this as a single uint256 where:
-        // - First 32 bits: movie count
-        // - Remaining bits: total revenue (in thousands)
-        
-        const movieCountBits = movieCount;
-        const revenueBits = Math.floor(totalRevenue / 1000) << 32; // Convert to thousands and shift
-        
-        const compositeMetric = movieCountBits | revenueBits;
-        
-        console.log(`Composite metric: ${compositeMetric}`);
-        console.log(`- Movie count: ${movieCount}`);
-        console.log(`- Revenue (thousands): ${Math.floor(totalRevenue / 1000)}`);
-        
-        // Store the raw JSON data for retrieval
-        console.log(`\nRaw JSON data stored for retrieval`);
-        console.log(`Total movies in response: ${response.length}`);
-        
-        return Functions.encodeUint256(compositeMetric);
+        return encodeBoxOfficeResult(response);
     } catch (error) {
         throw new Error(`Daily request failed: ${error.message}`);
     }
@@ -294,7 +340,7 @@ async function handleWeeklyRequest() {
         
         console.log(`Fetching weekly box office data for year: ${year}, week: ${week}`);
         
-        const response = await makeRequest("https://express-boxoffice.vercel.app/weekly", {}, {
+        const response = await makeRequest(`${apiBaseUrl}/weekly`, {}, {
             year: year,
             week: week
         });
@@ -318,15 +364,7 @@ async function handleWeeklyRequest() {
             console.log(JSON.stringify(movie, null, 2));
         });
         
-        const movieCountBits = movieCount;
-        const revenueBits = Math.floor(totalRevenue / 1000) << 32;
-        
-        const compositeMetric = movieCountBits | revenueBits;
-        
-        console.log(`\nRaw JSON data stored for retrieval`);
-        console.log(`Total movies in response: ${response.length}`);
-        
-        return Functions.encodeUint256(compositeMetric);
+        return encodeBoxOfficeResult(response);
     } catch (error) {
         throw new Error(`Weekly request failed: ${error.message}`);
     }
@@ -350,7 +388,7 @@ async function handleMonthlyRequest() {
         
         console.log(`Fetching monthly box office data for year: ${year}, month: ${month}`);
         
-        const response = await makeRequest("https://express-boxoffice.vercel.app/monthly", {}, {
+        const response = await makeRequest(`${apiBaseUrl}/monthly`, {}, {
             year: year,
             month: month
         });
@@ -374,15 +412,7 @@ async function handleMonthlyRequest() {
             console.log(JSON.stringify(movie, null, 2));
         });
         
-        const movieCountBits = movieCount;
-        const revenueBits = Math.floor(totalRevenue / 1000) << 32;
-        
-        const compositeMetric = movieCountBits | revenueBits;
-        
-        console.log(`\nRaw JSON data stored for retrieval`);
-        console.log(`Total movies in response: ${response.length}`);
-        
-        return Functions.encodeUint256(compositeMetric);
+        return encodeBoxOfficeResult(response);
     } catch (error) {
         throw new Error(`Monthly request failed: ${error.message}`);
     }
@@ -406,7 +436,7 @@ async function handleSeasonalRequest() {
         
         console.log(`Fetching seasonal box office data for year: ${year}, season: ${season}`);
         
-        const response = await makeRequest("https://express-boxoffice.vercel.app/seasonal", {}, {
+        const response = await makeRequest(`${apiBaseUrl}/seasonal`, {}, {
             year: year,
             season: season
         });
@@ -430,15 +460,7 @@ async function handleSeasonalRequest() {
             console.log(JSON.stringify(movie, null, 2));
         });
         
-        const movieCountBits = movieCount;
-        const revenueBits = Math.floor(totalRevenue / 1000) << 32;
-        
-        const compositeMetric = movieCountBits | revenueBits;
-        
-        console.log(`\nRaw JSON data stored for retrieval`);
-        console.log(`Total movies in response: ${response.length}`);
-        
-        return Functions.encodeUint256(compositeMetric);
+        return encodeBoxOfficeResult(response);
     } catch (error) {
         throw new Error(`Seasonal request failed: ${error.message}`);
     }
@@ -462,7 +484,7 @@ async function handleQuarterlyRequest() {
         
         console.log(`Fetching quarterly box office data for year: ${year}, quarter: ${quarter}`);
         
-        const response = await makeRequest("https://express-boxoffice.vercel.app/quarterly", {}, {
+        const response = await makeRequest(`${apiBaseUrl}/quarterly`, {}, {
             year: year,
             quarter: quarter
         });
@@ -486,15 +508,7 @@ async function handleQuarterlyRequest() {
             console.log(JSON.stringify(movie, null, 2));
         });
         
-        const movieCountBits = movieCount;
-        const revenueBits = Math.floor(totalRevenue / 1000) << 32;
-        
-        const compositeMetric = movieCountBits | revenueBits;
-        
-        console.log(`\nRaw JSON data stored for retrieval`);
-        console.log(`Total movies in response: ${response.length}`);
-        
-        return Functions.encodeUint256(compositeMetric);
+        return encodeBoxOfficeResult(response);
     } catch (error) {
         throw new Error(`Quarterly request failed: ${error.message}`);
     }
@@ -507,7 +521,7 @@ async function handleYearlyRequest() {
         const year = parseYearParam(additionalParam);
         console.log(`Fetching yearly box office data for year: ${year}`);
         
-        const response = await makeRequest("https://express-boxoffice.vercel.app/yearly", {}, {
+        const response = await makeRequest(`${apiBaseUrl}/yearly`, {}, {
             year: year
         });
         
@@ -530,17 +544,102 @@ async function handleYearlyRequest() {
             console.log(JSON.stringify(movie, null, 2));
         });
         
-        const movieCountBits = movieCount;
-        const revenueBits = Math.floor(totalRevenue / 1000) << 32;
+        return encodeBoxOfficeResult(response);
+    } catch (error) {
+        throw new Error(`Yearly request failed: ${error.message}`);
+    }
+}
+
+// Function to fetch the box office chart for a period, e.g. ("WEEKLY", "2024-3")
+async function fetchPeriodData(periodType, param) {
+    const parts = param.split('-');
+    
+    switch (periodType) {
+        case "DAILY":
+            return await makeRequest(`${apiBaseUrl}/daily`, {}, {
+                date: parseDateParam(param)
+            });
+        case "WEEKLY":
+            return await makeRequest(`${apiBaseUrl}/weekly`, {}, {
+                year: parseYearParam(parts[0]),
+                week: parseWeekParam(parts[1])
+            });
+        case "MONTHLY":
+            return await makeRequest(`${apiBaseUrl}/monthly`, {}, {
+                year: parseYearParam(parts[0]),
+                month: parseMonthParam(parts[1])
+            });
+        case "SEASONAL":
+            return await makeRequest(`${apiBaseUrl}/seasonal`, {}, {
+                year: parseYearParam(parts[0]),
+                season: parseSeasonParam(parts.slice(1).join('-'))
+            });
+        case "QUARTERLY":
+            return await makeRequest(`${apiBaseUrl}/quarterly`, {}, {
+                year: parseYearParam(parts[0]),
+                quarter: parseQuarterParam(parts[1])
+            });
+        case "YEARLY":
+            return await makeRequest(`${apiBaseUrl}/yearly`, {}, {
+                year: parseYearParam(param)
+            });
+        default:
+            throw new Error(`Unsupported period type: ${periodType}`);
+    }
+}
+
+// Function to parse a whole number field such as "4,035" theaters; "-" and blanks are 0
+function parseCount(value) {
+    const digits = (value === undefined || value === null ? '' : value.toString()).replace(/[,\s]/g, '');
+    return /^\d+$/.test(digits) ? BigInt(digits) : 0n;
+}
+
+async function handleMovieRequest() {
+    console.log("Fetching box office data for a single movie...");
+    
+    try {
+        const movieTitle = (args[2] || "").trim();
+        const periodType = (args[3] || "DAILY").toUpperCase();
+        if (!movieTitle) {
+            throw new Error("Missing movie identifier (args[2])");
+        }
+        
+        console.log(`Fetching ${periodType} box office data for "${movieTitle}", period: ${additionalParam}`);
         
-        const compositeMetric = movieCountBits | revenueBits;
+        const response = await fetchPeriodData(periodType, additionalParam);
         
-        console.log(`\nRaw JSON data stored for retrieval`);
-        console.log(`Total movies in response: ${response.length}`);
+        if (!response || !Array.isArray(response)) {
+            throw new Error("Box office API failed or returned invalid data");
+        }
         
-        return Functions.encodeUint256(compositeMetric);
+        // Match the "Release" name case-insensitively, as MovieRegistry keys are
+        // entered by hand
+        const index = response.findIndex(
+            (movie) => (movie.Release || movie.title || '').toString().trim().toLowerCase() === movieTitle.toLowerCase()
+        );
+        if (index === -1) {
+            throw new Error(`Movie not found for the period: ${movieTitle}`);
+        }
+        
+        const movie = response[index];
+        const gross = movieRevenue(movie);
+        const theaters = parseCount(movie.Theaters);
+        // Fall back to chart position when the API doesn't report a rank
+        const rank = parseCount(movie.Rank) || BigInt(index + 1);
+        
+        console.log(`Gross: $${gross.toLocaleString()}`);
+        console.log(`Theaters: ${theaters}`);
+        console.log(`Rank: ${rank}`);
+        
+        // abi.encode(uint256 gross, uint256 theaters, uint256 rank),
+        // decoded on-chain by BoxOfficeConsumer.decodeMovieData
+        const encoded = ethers.AbiCoder.defaultAbiCoder().encode(
+            ["uint256", "uint256", "uint256"],
+            [gross, theaters, rank]
+        );
+        return ethers.getBytes(encoded);
     } catch (error) {
-        throw new Error(`Yearly request failed: ${error.message}`);
+        throw new Error(`Movie request failed: ${error.message}`);
     }
 }
 
@@ -548,7 +647,7 @@ async function handleHealthRequest() {
     console.log("Checking box office API health...");
     
     try {
-        const response = await makeRequest("https://express-boxoffice.vercel.app/health");
+        const response = await makeRequest(`${apiBaseUrl}/health`);
         
         if (response === "OK!") {
             console.log("Box Office API is healthy");
@@ -0,0 +1,357 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./FilmBet.sol";
+
+/// @dev The BoxOfficeConsumer views the resolver reads results from
+interface IBoxOfficeConsumer {
+    function getRequestStatus(bytes32 requestId) external view returns (uint8);
+
+    function getRequestMetadata(
+        bytes32 requestId
+    ) external view returns (string memory requestType, uint256 timestamp);
+
+    function getRequestParam(
+        bytes32 requestId
+    ) external view returns (string memory);
+
+    function getBoxOfficeData(
+        bytes32 requestId
+    ) external view returns (BoxOfficeResolver.BoxOfficeData memory);
+}
+
+/**
+ * @title BoxOfficeResolver
+ * @notice Settles FilmBet pools from the box office results stored by BoxOfficeConsumer
+ * @dev Needs FilmBet's RESOLVER_ROLE. Yes/No pools are created through createConditionalPool
+ * with their condition, such as "DAILY revenue for 2024-01-15 > 50000 (thousands)", so it
+ * is fixed before anyone can bet. Scalar pools already carry their terms in FilmBet.
+ * Nothing is pushed from the Functions callback, which has to fit the DON's gas limit.
+ * Instead anyone records a fulfilled request with recordResult, which reads it from
+ * the consumer, and then settles the expired pools watching that request type and
+ * period in batches with resolvePools.
+ */
+contract BoxOfficeResolver is Ownable {
+    using SafeERC20 for IERC20;
+
+    enum Comparison {
+        GreaterThan,
+        GreaterOrEqual,
+        LessThan,
+        LessOrEqual,
+        Equal
+    }
+
+    struct Condition {
+        string requestType;
+        string period;
+        FilmBet.Metric metric;
+        Comparison comparison;
+        uint256 threshold;
+    }
+
+    /// @dev Same layout as BoxOfficeConsumer's BoxOfficeData; revenue in whole dollars
+    struct BoxOfficeData {
+        uint256 totalRevenue;
+        uint256 movieCount;
+        bytes32 topTitleHash;
+        uint256 topGross;
+    }
+
+    struct OracleResult {
+        BoxOfficeData data;
+        bytes32 requestId;
+        uint256 requestedAt;
+        bool fulfilled;
+    }
+
+    // BoxOfficeConsumer.RequestStatus.Fulfilled
+    uint8 internal constant REQUEST_FULFILLED = 2;
+
+    FilmBet public filmBet;
+    address public boxOfficeConsumer;
+
+    mapping(uint256 => Condition) public poolConditions;
+    mapping(uint256 => bool) public hasCondition;
+    mapping(uint256 => bool) public isScalarPool;
+    mapping(bytes32 => OracleResult) public results;
+    mapping(bytes32 => uint256[]) private conditionPools;
+
+    event ConsumerUpdated(address consumer);
+    event ConditionAttached(
+        uint256 indexed poolId,
+        string requestType,
+        string period,
+        FilmBet.Metric metric,
+        Comparison comparison,
+        uint256 threshold
+    );
+    event OracleResultRecorded(
+        bytes32 indexed key,
+        bytes32 indexed requestId,
+        string requestType,
+        string period,
+        uint256 totalRevenue,
+        uint256 movieCount
+    );
+    event PoolResolvedByOracle(uint256 indexed poolId, bool outcome, uint256 value);
+    event ScalarPoolResolvedByOracle(uint256 indexed poolId, uint256 actual);
+
+    constructor(
+        address _filmBet,
+        address _boxOfficeConsumer
+    ) Ownable(msg.sender) {
+        filmBet = FilmBet(_filmBet);
+        boxOfficeConsumer = _boxOfficeConsumer;
+    }
+
+    function setBoxOfficeConsumer(address _consumer) external onlyOwner {
+        boxOfficeConsumer = _consumer;
+        emit ConsumerUpdated(_consumer);
+    }
+
+    /**
+     * @notice Create a Yes/No pool resolved by this contract, with its machine-checkable
+     * condition attached in the same transaction
+     * @dev The caller is the pool's creator. FilmBet's creator bond is taken from the
+     * caller by this contract, so approve it here rather than on FilmBet.
+     */
+    function createConditionalPool(
+        string calldata _question,
+        uint256 _movieId,
+        uint256 _endTime,
+        FilmBet.PoolTerms calldata _terms,
+        Condition calldata _condition
+    ) external returns (uint256 poolId) {
+        require(bytes(_condition.requestType).length > 0, "Empty request type");
+
+        uint256 bond = filmBet.creatorBondAmount();
+        if (bond > 0) {
+            IERC20 token = IERC20(filmBet.getTokenAddress());
+            token.safeTransferFrom(msg.sender, address(this), bond);
+            token.forceApprove(address(filmBet), bond);
+        }
+
+        poolId = filmBet.createBetPoolFor(
+            msg.sender,
+            _question,
+            _movieId,
+            _endTime,
+            _terms
+        );
+        _attach(poolId, _condition);
+    }
+
+    /**
+     * @notice Feed a FilmBet scalar pool from the oracle, using the request type,
+     * period and metric the pool was created with
+     * @dev Anyone can attach one at any time, as the terms were fixed at creation
+     */
+    function attachScalarPool(uint256 _poolId) external {
+        (
+            string memory requestType,
+            string memory period,
+            FilmBet.Metric metric,
+            ,
+            ,
+            bool isScalar
+        ) = filmBet.scalarMarkets(_poolId);
+        require(isScalar, "Not a scalar pool");
+        require(!hasCondition[_poolId], "Condition already attached");
+
+        (, , , , , , , , , , address resolver) = filmBet.getPool(_poolId);
+        require(resolver == address(this), "Pool not resolved by oracle");
+
+        isScalarPool[_poolId] = true;
+        _attach(
+            _poolId,
+            Condition({
+                requestType: requestType,
+                period: period,
+                metric: metric,
+                comparison: Comparison.Equal,
+                threshold: 0
+            })
+        );
+    }
+
+    /**
+     * @notice Record a fulfilled consumer request as the result for its request type and period
+     * @dev Anyone can call this. The data is read from the consumer, so callers only
+     * choose when a result is recorded, never what it says; a result can only be
+     * replaced by one from a later request.
+     */
+    function recordResult(bytes32 _requestId) external {
+        IBoxOfficeConsumer consumer = IBoxOfficeConsumer(boxOfficeConsumer);
+        require(
+            consumer.getRequestStatus(_requestId) == REQUEST_FULFILLED,
+            "Request not fulfilled"
+        );
+        (string memory requestType, uint256 requestedAt) = consumer
+            .getRequestMetadata(_requestId);
+        string memory period = consumer.getRequestParam(_requestId);
+        BoxOfficeData memory data = consumer.getBoxOfficeData(_requestId);
+
+        bytes32 key = conditionKey(requestType, period);
+        OracleResult storage result = results[key];
+        require(
+            !result.fulfilled || requestedAt > result.requestedAt,
+            "Newer result recorded"
+        );
+        results[key] = OracleResult({
+            data: data,
+            requestId: _requestId,
+            requestedAt: requestedAt,
+            fulfilled: true
+        });
+
+        emit OracleResultRecorded(
+            key,
+            _requestId,
+            requestType,
+            period,
+            data.totalRevenue,
+            data.movieCount
+        );
+    }
+
+    /**
+     * @notice Resolve a pool from its recorded result
+     * @dev The result must come from a request sent once the pool closed. An earlier
+     * figure was public while bets were still open, and may cover only part of the period.
+     */
+    function resolvePool(uint256 _poolId) external {
+        require(hasCondition[_poolId], "No condition attached");
+        OracleResult storage result = _resultFor(_poolId);
+        require(result.fulfilled, "Result not available");
+
+        (, , uint256 endTime, , , , , , , , ) = filmBet.getPool(_poolId);
+        require(result.requestedAt >= endTime, "Result requested before close");
+
+        _resolve(_poolId, result.data);
+    }
+
+    /**
+     * @notice Resolve every listed pool that has closed and has a result requested
+     * since it closed, skipping the rest, e.g. all of getConditionPools(requestType, period)
+     * @return resolved The number of pools resolved
+     */
+    function resolvePools(
+        uint256[] calldata _poolIds
+    ) external returns (uint256 resolved) {
+        for (uint256 i = 0; i < _poolIds.length; i++) {
+            uint256 poolId = _poolIds[i];
+            if (!hasCondition[poolId]) continue;
+
+            OracleResult storage result = _resultFor(poolId);
+            if (!result.fulfilled) continue;
+
+            (
+                ,
+                ,
+                uint256 endTime,
+                ,
+                ,
+                ,
+                ,
+                ,
+                FilmBet.PoolStatus status,
+                ,
+
+            ) = filmBet.getPool(poolId);
+            if (
+                status != FilmBet.PoolStatus.Unresolved ||
+                block.timestamp < endTime ||
+                result.requestedAt < endTime
+            ) continue;
+
+            _resolve(poolId, result.data);
+            resolved++;
+        }
+    }
+
+    function evaluate(
+        uint256 _poolId,
+        BoxOfficeData memory _data
+    ) public view returns (bool) {
+        Condition storage condition = poolConditions[_poolId];
+        uint256 value = metricValue(condition.metric, _data);
+
+        if (condition.comparison == Comparison.GreaterThan) {
+            return value > condition.threshold;
+        } else if (condition.comparison == Comparison.GreaterOrEqual) {
+            return value >= condition.threshold;
+        } else if (condition.comparison == Comparison.LessThan) {
+            return value < condition.threshold;
+        } else if (condition.comparison == Comparison.LessOrEqual) {
+            return value <= condition.threshold;
+        }
+        return value == condition.threshold;
+    }
+
+    /// @notice The figure a condition or scalar line is compared against.
+    /// Revenue lines are in thousands of dollars, rounded down.
+    function metricValue(
+        FilmBet.Metric _metric,
+        BoxOfficeData memory _data
+    ) public pure returns (uint256) {
+        return
+            _metric == FilmBet.Metric.MovieCount
+                ? _data.movieCount
+                : _data.totalRevenue / 1000;
+    }
+
+    function conditionKey(
+        string memory _requestType,
+        string memory _period
+    ) public pure returns (bytes32) {
+        return keccak256(abi.encode(_requestType, _period));
+    }
+
+    function getConditionPools(
+        string calldata _requestType,
+        string calldata _period
+    ) external view returns (uint256[] memory) {
+        return conditionPools[conditionKey(_requestType, _period)];
+    }
+
+    function _attach(uint256 _poolId, Condition memory _condition) internal {
+        poolConditions[_poolId] = _condition;
+        hasCondition[_poolId] = true;
+        conditionPools[
+            conditionKey(_condition.requestType, _condition.period)
+        ].push(_poolId);
+
+        emit ConditionAttached(
+            _poolId,
+            _condition.requestType,
+            _condition.period,
+            _condition.metric,
+            _condition.comparison,
+            _condition.threshold
+        );
+    }
+
+    function _resultFor(
+        uint256 _poolId
+    ) internal view returns (OracleResult storage) {
+        Condition storage condition = poolConditions[_poolId];
+        return results[conditionKey(condition.requestType, condition.period)];
+    }
+
+    function _resolve(uint256 _poolId, BoxOfficeData memory _data) internal {
+        uint256 value = metricValue(poolConditions[_poolId].metric, _data);
+        if (isScalarPool[_poolId]) {
+            filmBet.resolveScalarPool(_poolId, value);
+            emit ScalarPoolResolvedByOracle(_poolId, value);
+            return;
+        }
+
+        bool outcome = evaluate(_poolId, _data);
+        filmBet.resolveBetPool(_poolId, outcome);
+        emit PoolResolvedByOracle(_poolId, outcome, value);
+    }
+}
@@ -0,0 +1,206 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+
+/**
+ * @title FeeRouter
+ * @notice Splits FilmBet's platform fees between recipients such as the treasury
+ * and the FBT staking vault, who each pull their share
+ * @dev FilmBet first pays `creatorShareBps` of every claim fee to the pool's creator
+ * and forwards the rest here as it's paid; other fees, such as slashed bonds, are
+ * swept here with withdrawFees. Recipient shares split it all and total 100%.
+ * Every change to the split waits `timelockDelay` before it can be executed,
+ * giving anyone time to sweep and distribute fees under the current split.
+ */
+contract FeeRouter is Ownable {
+    using SafeERC20 for IERC20;
+
+    uint256 public constant BASIS_POINTS = 10000;
+    uint256 public constant MAX_RECIPIENTS = 10;
+
+    struct Split {
+        uint256 creatorShareBps;
+        address[] accounts;
+        uint256[] shares;
+    }
+
+    uint256 public timelockDelay;
+    uint256 public creatorShareBps;
+    address[] private recipients;
+    uint256[] private recipientShares;
+
+    Split private pendingSplit;
+    uint256 public pendingSplitEta; // 0 when nothing is pending
+
+    // Balance per token already split between recipients
+    mapping(address => uint256) public accounted;
+    // token => recipient => amount they can claim
+    mapping(address => mapping(address => uint256)) public owed;
+
+    event SplitProposed(
+        uint256 creatorShareBps,
+        address[] accounts,
+        uint256[] shares,
+        uint256 eta
+    );
+    event SplitUpdated(
+        uint256 creatorShareBps,
+        address[] accounts,
+        uint256[] shares
+    );
+    event SplitCancelled();
+    event FeesDistributed(address indexed token, uint256 amount);
+    event FeesClaimed(
+        address indexed token,
+        address indexed recipient,
+        uint256 amount
+    );
+
+    constructor(
+        uint256 _timelockDelay,
+        uint256 _creatorShareBps,
+        address[] memory _accounts,
+        uint256[] memory _shares
+    ) Ownable(msg.sender) {
+        timelockDelay = _timelockDelay;
+        _setSplit(_creatorShareBps, _accounts, _shares);
+    }
+
+    /// @notice Queue a new split, replacing any pending one
+    function proposeSplit(
+        uint256 _creatorShareBps,
+        address[] calldata _accounts,
+        uint256[] calldata _shares
+    ) external onlyOwner {
+        _validateSplit(_creatorShareBps, _accounts, _shares);
+
+        pendingSplit = Split(_creatorShareBps, _accounts, _shares);
+        pendingSplitEta = block.timestamp + timelockDelay;
+
+        emit SplitProposed(
+            _creatorShareBps,
+            _accounts,
+            _shares,
+            pendingSplitEta
+        );
+    }
+
+    /// @notice Apply the pending split once its timelock has passed
+    function executeSplit() external onlyOwner {
+        require(pendingSplitEta != 0, "No pending split");
+        require(block.timestamp >= pendingSplitEta, "Timelock not expired");
+
+        Split memory split = pendingSplit;
+        delete pendingSplit;
+        pendingSplitEta = 0;
+
+        _setSplit(split.creatorShareBps, split.accounts, split.shares);
+    }
+
+    function cancelSplit() external onlyOwner {
+        require(pendingSplitEta != 0, "No pending split");
+
+        delete pendingSplit;
+        pendingSplitEta = 0;
+
+        emit SplitCancelled();
+    }
+
+    /// @notice Split any `_token` received since the last distribution
+    function distribute(address _token) public {
+        uint256 amount = IERC20(_token).balanceOf(address(this)) -
+            accounted[_token];
+        if (amount == 0) {
+            return;
+        }
+
+        uint256 assigned;
+        for (uint256 i = 0; i < recipients.length; i++) {
+            uint256 share = (amount * recipientShares[i]) / BASIS_POINTS;
+            owed[_token][recipients[i]] += share;
+            assigned += share;
+        }
+        // Rounding dust goes to the first recipient
+        owed[_token][recipients[0]] += amount - assigned;
+        accounted[_token] += amount;
+
+        emit FeesDistributed(_token, amount);
+    }
+
+    /// @notice Pull the caller's share of `_token`
+    function claim(address _token) external returns (uint256 amount) {
+        distribute(_token);
+
+        amount = owed[_token][msg.sender];
+        require(amount > 0, "Nothing to claim");
+        owed[_token][msg.sender] = 0;
+        accounted[_token] -= amount;
+        IERC20(_token).safeTransfer(msg.sender, amount);
+
+        emit FeesClaimed(_token, msg.sender, amount);
+    }
+
+    function getRecipients()
+        external
+        view
+        returns (address[] memory accounts, uint256[] memory shares)
+    {
+        return (recipients, recipientShares);
+    }
+
+    function getPendingSplit()
+        external
+        view
+        returns (
+            uint256 creatorShare,
+            address[] memory accounts,
+            uint256[] memory shares,
+            uint256 eta
+        )
+    {
+        return (
+            pendingSplit.creatorShareBps,
+            pendingSplit.accounts,
+            pendingSplit.shares,
+            pendingSplitEta
+        );
+    }
+
+    function _setSplit(
+        uint256 _creatorShareBps,
+        address[] memory _accounts,
+        uint256[] memory _shares
+    ) internal {
+        _validateSplit(_creatorShareBps, _accounts, _shares);
+
+        creatorShareBps = _creatorShareBps;
+        recipients = _accounts;
+        recipientShares = _shares;
+
+        emit SplitUpdated(_creatorShareBps, _accounts, _shares);
+    }
+
+    function _validateSplit(
+        uint256 _creatorShareBps,
+        address[] memory _accounts,
+        uint256[] memory _shares
+    ) internal pure {
+        require(_creatorShareBps <= 5000, "Max creator share is 50%");
+        require(
+            _accounts.length > 0 &&
+                _accounts.length <= MAX_RECIPIENTS &&
+                _accounts.length == _shares.length,
+            "Invalid recipients"
+        );
+
+        uint256 total;
+        for (uint256 i = 0; i < _accounts.length; i++) {
+            require(_accounts[i] != address(0), "Invalid recipients");
+            total += _shares[i];
+        }
+        require(total == BASIS_POINTS, "Shares must total 100%");
+    }
+}
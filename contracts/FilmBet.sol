@@ -2,23 +2,86 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
+import "./MovieRegistry.sol";
+import "./FeeRouter.sol";
+import "./PayoutMath.sol";
 
-contract FilmBet is Ownable {
+/**
+ * @dev Deployed behind a TransparentUpgradeableProxy. Storage is append-only:
+ * new state variables go after the existing ones and existing BetPool fields
+ * are never reordered. Run test/FilmBetUpgrade.ts before each upgrade.
+ */
+contract FilmBet is
+    Initializable,
+    OwnableUpgradeable,
+    AccessControlUpgradeable,
+    PausableUpgradeable
+{
+    using SafeERC20 for IERC20;
+
+    bytes32 public constant RESOLVER_ROLE = keccak256("RESOLVER_ROLE");
+    bytes32 public constant ARBITER_ROLE = keccak256("ARBITER_ROLE");
+    bytes32 public constant GUARDIAN_ROLE = keccak256("GUARDIAN_ROLE");
+
+    // When set, pools can only be created for registered movies
+    MovieRegistry public movieRegistry;
+    // FBT: the default stake token, and the token bonds are posted in
     IERC20 public token;
-    uint256 public feeBasisPoints = 200;
+    // Tokens pools may be denominated in
+    mapping(address => bool) public allowedTokens;
+    uint256 public feeBasisPoints;
+    uint256 public exitPenaltyBasisPoints;
     uint256 public constant BASIS_POINTS = 10000;
-    uint256 public totalFeesCollected;
+    // Fees owed to the platform, per token
+    mapping(address => uint256) public totalFeesCollected;
+    // Bond in `token` posted by every pool creator, 0 to make pools free
+    uint256 public creatorBondAmount;
+    // Share of each claim's platform fee paid to the pool creator, until a
+    // fee router is set
+    uint256 public creatorFeeBasisPoints;
+    // creator => token => earnings
+    mapping(address => mapping(address => uint256)) public creatorEarnings;
+    // Claims wait this long after resolution so the outcome can be challenged
+    uint256 public disputePeriod;
+    uint256 public disputeBondAmount;
+    // Paid from disputeRewardReserve on top of the bond when a challenge succeeds
+    uint256 public disputeRewardBasisPoints;
+
+    // Yes/No pools are two-outcome pools with these outcome indexes
+    uint256 public constant YES = 0;
+    uint256 public constant NO = 1;
+    // Scalar pools are two-outcome pools settled against a numeric line
+    uint256 public constant OVER = 0;
+    uint256 public constant UNDER = 1;
+    uint256 public constant MAX_OUTCOMES = 16;
+    // winningOutcome of a pool voided by its resolution, e.g. a scalar push,
+    // and the outcome an arbiter passes to overturn a resolution to Void
+    uint256 public constant VOID_OUTCOME = type(uint256).max;
+    // How long an arbiter has to rule on a challenge before anyone can void the pool
+    uint256 public constant ARBITRATION_PERIOD = 30 days;
+
+    enum PoolStatus {
+        Unresolved,
+        Resolved,
+        Void,
+        Disputed
+    }
 
-    enum BetOutcome {
-        Undecided,
-        Yes,
-        No
+    // The two figures BoxOfficeConsumer reports for every period
+    enum Metric {
+        MovieCount,
+        RevenueThousands
     }
 
     struct BetDetail {
-        uint256 amount;
-        bool choice;
+        uint256 amount; // total across all outcomes
+        uint256[] stakes; // stake per outcome index
         bool claimed;
     }
 
@@ -27,135 +90,801 @@ contract FilmBet is Ownable {
         string question;
         uint256 movieId;
         uint256 endTime;
-        uint256 totalYesStake;
-        uint256 totalNoStake;
-        BetOutcome outcome;
-        bool resolved;
+        string[] outcomes;
+        uint256[] outcomeStakes;
+        uint256 totalStake;
+        uint256 exitPenalties; // left behind by cash-outs, shared by remaining bettors
+        uint256 minStake; // per bet, 0 for no minimum
+        uint256 maxStake; // per user position, 0 for no maximum
+        uint256 creatorBond;
+        uint256 winningOutcome;
+        PoolStatus status;
+        address creator;
+        address resolver;
+        IERC20 stakeToken;
+        uint256 disputeEnd;
+        address challenger;
+        uint256 challengeBond;
         mapping(address => BetDetail) userBets;
     }
 
+    // Per-pool terms fixed at creation, so nobody can change them under
+    // bettors who have already seen the pool
+    struct PoolTerms {
+        address stakeToken; // an allowlisted token, address(0) for `token`
+        uint256 minStake; // per bet, 0 for no minimum
+        uint256 maxStake; // per user position, 0 for no maximum
+    }
+
+    struct ScalarMarket {
+        string requestType; // DAILY, WEEKLY, MONTHLY, ... as sent to BoxOfficeConsumer
+        string period; // e.g. "2024-01-15" or "2024-3"
+        Metric metric;
+        uint256 line;
+        uint256 actual;
+        bool isScalar;
+    }
+
     uint256 public betPoolCount;
     mapping(uint256 => BetPool) public betPools;
+    mapping(uint256 => ScalarMarket) public scalarMarkets;
+    // Indexes for FilmBetLens's discovery views, in creation / first-bet order
+    mapping(uint256 => uint256[]) public moviePools;
+    mapping(address => uint256[]) public userPools;
+    // Receives claim fees as they're paid plus swept fees, and once set
+    // governs the creator share
+    FeeRouter public feeRouter;
+    // FBT that pays challenger rewards, funded by forfeited bonds and
+    // fundDisputeRewards. Kept apart from fees so withdrawFees can't sweep it;
+    // the owner moves any surplus to fees with releaseDisputeRewards.
+    uint256 public disputeRewardReserve;
 
     event BetPoolCreated(
         uint256 indexed poolId,
         string question,
         uint256 movieId,
-        uint256 endTime
+        uint256 endTime,
+        address resolver,
+        string[] outcomes
     );
     event BetPlaced(
         uint256 indexed poolId,
         address indexed user,
-        bool choice,
+        uint256 outcome,
         uint256 amount
     );
-    event BetResolved(uint256 indexed poolId, BetOutcome outcome);
+    event BetResolved(
+        uint256 indexed poolId,
+        uint256 winningOutcome,
+        address indexed resolver
+    );
+    event BetPoolVoided(uint256 indexed poolId, address indexed resolver);
+    event ScalarPoolCreated(
+        uint256 indexed poolId,
+        string requestType,
+        string period,
+        Metric metric,
+        uint256 line
+    );
+    event ScalarResultReported(
+        uint256 indexed poolId,
+        uint256 actual,
+        uint256 line
+    );
     event WinningsClaimed(
         uint256 indexed poolId,
         address indexed user,
         uint256 amount
     );
-    event FeesWithdrawn(uint256 amount);
+    event BetPoolCancelled(uint256 indexed poolId, address indexed by);
+    event RefundClaimed(
+        uint256 indexed poolId,
+        address indexed user,
+        uint256 amount
+    );
+    event FeesWithdrawn(address indexed token, uint256 amount);
     event FeeUpdated(uint256 basisPoints);
+    event CashedOut(
+        uint256 indexed poolId,
+        address indexed user,
+        uint256 outcome,
+        uint256 amount,
+        uint256 penalty
+    );
+    event ExitPenaltyUpdated(uint256 basisPoints);
+    event MovieRegistryUpdated(address registry);
+    event FeeRouterSet(address router);
+    event EmergencyWithdrawal(
+        uint256 indexed poolId,
+        address indexed user,
+        uint256 amount
+    );
+    event StakeLimitsSet(
+        uint256 indexed poolId,
+        uint256 minStake,
+        uint256 maxStake
+    );
+    event CreatorBondPosted(
+        uint256 indexed poolId,
+        address indexed creator,
+        uint256 amount
+    );
+    event CreatorBondReturned(
+        uint256 indexed poolId,
+        address indexed creator,
+        uint256 amount
+    );
+    event CreatorBondSlashed(
+        uint256 indexed poolId,
+        address indexed creator,
+        uint256 amount
+    );
+    event CreatorBondUpdated(uint256 amount);
+    event CreatorFeeShareUpdated(uint256 basisPoints);
+    event CreatorEarningsWithdrawn(
+        address indexed creator,
+        address indexed token,
+        uint256 amount
+    );
+    event TokenAllowed(address indexed token, bool allowed);
+    event PoolTokenSet(uint256 indexed poolId, address indexed token);
+    event ResolutionChallenged(
+        uint256 indexed poolId,
+        address indexed challenger,
+        uint256 bond
+    );
+    event DisputeUpheld(
+        uint256 indexed poolId,
+        address indexed arbiter,
+        uint256 forfeitedBond
+    );
+    event DisputeOverturned(
+        uint256 indexed poolId,
+        address indexed arbiter,
+        uint256 previousOutcome,
+        uint256 newOutcome,
+        uint256 reward
+    );
+    event DisputeExpired(uint256 indexed poolId, uint256 returnedBond);
+    event DisputeRewardsFunded(address indexed funder, uint256 amount);
+    event DisputeRewardsReleased(uint256 amount);
+    event DisputeTermsUpdated(
+        uint256 period,
+        uint256 bondAmount,
+        uint256 rewardBasisPoints
+    );
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    function initialize(address _tokenAddress) external initializer {
+        __Ownable_init(msg.sender);
+        __AccessControl_init();
+        __Pausable_init();
 
-    constructor(address _tokenAddress) Ownable(msg.sender) {
         token = IERC20(_tokenAddress);
+        allowedTokens[_tokenAddress] = true;
+        feeBasisPoints = 200;
+        exitPenaltyBasisPoints = 500;
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
     }
 
+    /// @notice Create a Yes/No pool
+    /// @param _resolver The only address allowed to resolve this pool, or
+    /// address(0) to let any holder of RESOLVER_ROLE resolve it
+    /// @param _terms Stake token and limits; like the other terms they can't
+    /// change once the pool exists
     function createBetPool(
         string memory _question,
         uint256 _movieId,
-        uint256 _endTime
+        uint256 _endTime,
+        address _resolver,
+        PoolTerms memory _terms
     ) external returns (uint256) {
-        require(_endTime > block.timestamp, "End time must be in the future");
+        return
+            _createPool(
+                _question,
+                _movieId,
+                _endTime,
+                _resolver,
+                _yesNoOutcomes(),
+                _terms,
+                msg.sender
+            );
+    }
 
-        betPoolCount++;
-        BetPool storage pool = betPools[betPoolCount];
-        pool.id = betPoolCount;
-        pool.question = _question;
-        pool.movieId = _movieId;
-        pool.endTime = _endTime;
+    /// @notice Create a Yes/No pool that only takes bets before the movie is
+    /// released, e.g. on its opening weekend
+    function createPreReleasePool(
+        string memory _question,
+        uint256 _movieId,
+        uint256 _endTime,
+        address _resolver,
+        PoolTerms memory _terms
+    ) external returns (uint256) {
+        require(
+            address(movieRegistry) != address(0),
+            "Movie registry not set"
+        );
+        (, uint256 releaseDate, , , ) = movieRegistry.movies(_movieId);
+        require(block.timestamp < releaseDate, "Movie already released");
+        require(_endTime <= releaseDate, "Betting must close by release");
 
-        emit BetPoolCreated(betPoolCount, _question, _movieId, _endTime);
-        return betPoolCount;
+        return
+            _createPool(
+                _question,
+                _movieId,
+                _endTime,
+                _resolver,
+                _yesNoOutcomes(),
+                _terms,
+                msg.sender
+            );
+    }
+
+    /// @notice Create a Yes/No pool on behalf of `_creator`, resolved by the
+    /// caller, e.g. BoxOfficeResolver attaching its condition in the same
+    /// transaction. The caller posts the creator bond, returned to `_creator`.
+    function createBetPoolFor(
+        address _creator,
+        string memory _question,
+        uint256 _movieId,
+        uint256 _endTime,
+        PoolTerms memory _terms
+    ) external onlyRole(RESOLVER_ROLE) returns (uint256) {
+        return
+            _createPool(
+                _question,
+                _movieId,
+                _endTime,
+                msg.sender,
+                _yesNoOutcomes(),
+                _terms,
+                _creator
+            );
     }
 
+    /// @notice Create a pool with N named outcomes, e.g. box office brackets
+    /// like "under $50M", "$50-100M", "$100-150M", "over $150M"
+    function createMultiOutcomePool(
+        string memory _question,
+        uint256 _movieId,
+        uint256 _endTime,
+        address _resolver,
+        string[] memory _outcomes,
+        PoolTerms memory _terms
+    ) external returns (uint256) {
+        return
+            _createPool(
+                _question,
+                _movieId,
+                _endTime,
+                _resolver,
+                _outcomes,
+                _terms,
+                msg.sender
+            );
+    }
+
+    /// @notice Create an over/under pool on a box office figure, e.g. WEEKLY
+    /// revenue for "2024-3" against a line of 150000 (thousands)
+    function createScalarPool(
+        string memory _question,
+        uint256 _movieId,
+        uint256 _endTime,
+        address _resolver,
+        string memory _requestType,
+        string memory _period,
+        Metric _metric,
+        uint256 _line,
+        PoolTerms memory _terms
+    ) external returns (uint256 poolId) {
+        string[] memory outcomes = new string[](2);
+        outcomes[OVER] = "Over";
+        outcomes[UNDER] = "Under";
+        poolId = _createPool(
+            _question,
+            _movieId,
+            _endTime,
+            _resolver,
+            outcomes,
+            _terms,
+            msg.sender
+        );
+
+        scalarMarkets[poolId] = ScalarMarket({
+            requestType: _requestType,
+            period: _period,
+            metric: _metric,
+            line: _line,
+            actual: 0,
+            isScalar: true
+        });
+
+        emit ScalarPoolCreated(poolId, _requestType, _period, _metric, _line);
+    }
+
+    /// @notice Bet on a Yes/No pool, true for Yes and false for No
     function placeBet(uint256 _poolId, bool _choice, uint256 _amount) external {
+        require(
+            betPools[_poolId].outcomes.length == 2,
+            "Not a yes/no pool"
+        );
+        _placeBet(_poolId, _choice ? YES : NO, _amount);
+    }
+
+    /// @notice Approve and bet in one transaction using an EIP-2612 signature
+    function placeBetWithPermit(
+        uint256 _poolId,
+        bool _choice,
+        uint256 _amount,
+        uint256 _deadline,
+        uint8 _v,
+        bytes32 _r,
+        bytes32 _s
+    ) external {
+        require(
+            betPools[_poolId].outcomes.length == 2,
+            "Not a yes/no pool"
+        );
+        IERC20 stakeToken = betPools[_poolId].stakeToken;
+        // Anyone can submit the signature first, e.g. by copying it from the
+        // mempool, so a failed permit is fine as long as the allowance is set
+        try
+            IERC20Permit(address(stakeToken)).permit(
+                msg.sender,
+                address(this),
+                _amount,
+                _deadline,
+                _v,
+                _r,
+                _s
+            )
+        {} catch {
+            require(
+                stakeToken.allowance(msg.sender, address(this)) >= _amount,
+                "Permit failed"
+            );
+        }
+        _placeBet(_poolId, _choice ? YES : NO, _amount);
+    }
+
+    function placeOutcomeBet(
+        uint256 _poolId,
+        uint256 _outcome,
+        uint256 _amount
+    ) external {
+        _placeBet(_poolId, _outcome, _amount);
+    }
+
+    function resolveBetPool(
+        uint256 _poolId,
+        bool _outcome
+    ) external onlyRole(RESOLVER_ROLE) {
+        require(
+            betPools[_poolId].outcomes.length == 2,
+            "Not a yes/no pool"
+        );
+        require(!scalarMarkets[_poolId].isScalar, "Resolve with actual figure");
+        _resolve(_poolId, _outcome ? YES : NO);
+    }
+
+    function resolveOutcome(
+        uint256 _poolId,
+        uint256 _winningOutcome
+    ) external onlyRole(RESOLVER_ROLE) {
+        require(
+            _winningOutcome < betPools[_poolId].outcomes.length,
+            "Invalid outcome"
+        );
+        require(!scalarMarkets[_poolId].isScalar, "Resolve with actual figure");
+        _resolve(_poolId, _winningOutcome);
+    }
+
+    /// @notice Settle a scalar pool from the reported figure. Landing exactly
+    /// on the line is a push and refunds everyone.
+    function resolveScalarPool(
+        uint256 _poolId,
+        uint256 _actual
+    ) external onlyRole(RESOLVER_ROLE) {
+        ScalarMarket storage market = scalarMarkets[_poolId];
+        require(market.isScalar, "Not a scalar pool");
+
+        market.actual = _actual;
+        emit ScalarResultReported(_poolId, _actual, market.line);
+
+        if (_actual == market.line) {
+            _resolve(_poolId, VOID_OUTCOME);
+            return;
+        }
+
+        _resolve(_poolId, _actual > market.line ? OVER : UNDER);
+    }
+
+    /// @notice Challenge a resolution, including one that voided the pool,
+    /// during its dispute period by posting the dispute bond. Claims and
+    /// refunds stay frozen until an arbiter rules or ARBITRATION_PERIOD passes.
+    function challengeResolution(uint256 _poolId) external {
         BetPool storage pool = betPools[_poolId];
-        require(block.timestamp < pool.endTime, "Betting closed");
-        require(pool.userBets[msg.sender].amount == 0, "Already placed bet");
+        require(
+            pool.status == PoolStatus.Resolved ||
+                pool.status == PoolStatus.Void,
+            "Bet not resolved"
+        );
+        require(block.timestamp < pool.disputeEnd, "Dispute period over");
 
-        token.transferFrom(msg.sender, address(this), _amount);
+        token.safeTransferFrom(msg.sender, address(this), disputeBondAmount);
+        pool.status = PoolStatus.Disputed;
+        pool.disputeEnd = block.timestamp + ARBITRATION_PERIOD;
+        pool.challenger = msg.sender;
+        pool.challengeBond = disputeBondAmount;
 
-        BetDetail memory bet = BetDetail({
-            amount: _amount,
-            choice: _choice,
-            claimed: false
-        });
+        emit ResolutionChallenged(_poolId, msg.sender, disputeBondAmount);
+    }
+
+    /// @notice Keep the disputed outcome; the challenger's bond goes to the
+    /// dispute reward reserve
+    function upholdResolution(
+        uint256 _poolId
+    ) external onlyRole(ARBITER_ROLE) {
+        BetPool storage pool = betPools[_poolId];
+        require(pool.status == PoolStatus.Disputed, "Not disputed");
+
+        uint256 bond = pool.challengeBond;
+        pool.challengeBond = 0;
+        disputeRewardReserve += bond;
+        pool.status = pool.winningOutcome == VOID_OUTCOME
+            ? PoolStatus.Void
+            : PoolStatus.Resolved;
+        pool.disputeEnd = block.timestamp;
 
-        pool.userBets[msg.sender] = bet;
+        emit DisputeUpheld(_poolId, msg.sender, bond);
+    }
+
+    /// @notice Replace the disputed outcome, or void the pool with
+    /// VOID_OUTCOME, and return the challenger's bond plus a reward, capped
+    /// at the dispute reward reserve
+    function overturnResolution(
+        uint256 _poolId,
+        uint256 _winningOutcome
+    ) external onlyRole(ARBITER_ROLE) {
+        BetPool storage pool = betPools[_poolId];
+        require(pool.status == PoolStatus.Disputed, "Not disputed");
+        require(
+            _winningOutcome < pool.outcomes.length ||
+                _winningOutcome == VOID_OUTCOME,
+            "Invalid outcome"
+        );
+        require(_winningOutcome != pool.winningOutcome, "Same outcome");
 
-        if (_choice) {
-            pool.totalYesStake += _amount;
-        } else {
-            pool.totalNoStake += _amount;
+        uint256 bond = pool.challengeBond;
+        uint256 reward = (bond * disputeRewardBasisPoints) / BASIS_POINTS;
+        if (reward > disputeRewardReserve) {
+            reward = disputeRewardReserve;
         }
+        disputeRewardReserve -= reward;
+        pool.challengeBond = 0;
+        pool.disputeEnd = block.timestamp;
+
+        emit DisputeOverturned(
+            _poolId,
+            msg.sender,
+            pool.winningOutcome,
+            _winningOutcome,
+            reward
+        );
+        _settle(_poolId, pool, _winningOutcome);
+
+        token.safeTransfer(pool.challenger, bond + reward);
+    }
 
-        emit BetPlaced(_poolId, msg.sender, _choice, _amount);
+    /// @notice Add FBT to the reserve that pays challenger rewards. Callable
+    /// by anyone.
+    function fundDisputeRewards(uint256 _amount) external {
+        require(_amount > 0, "Amount must be positive");
+        token.safeTransferFrom(msg.sender, address(this), _amount);
+        disputeRewardReserve += _amount;
+        emit DisputeRewardsFunded(msg.sender, _amount);
     }
 
-    function resolveBetPool(uint256 _poolId, bool _outcome) external {
+    /// @notice Move FBT the reserve doesn't need into the collected fees, from
+    /// where withdrawFees sends it to the fee router like any other fee
+    function releaseDisputeRewards(uint256 _amount) external onlyOwner {
+        require(_amount <= disputeRewardReserve, "Exceeds reserve");
+        disputeRewardReserve -= _amount;
+        totalFeesCollected[address(token)] += _amount;
+        emit DisputeRewardsReleased(_amount);
+    }
+
+    /// @notice Void a disputed pool nobody ruled on within ARBITRATION_PERIOD,
+    /// refunding every bettor and the challenger's bond
+    function expireDispute(uint256 _poolId) external {
         BetPool storage pool = betPools[_poolId];
-        require(!pool.resolved, "Already resolved");
-        require(block.timestamp >= pool.endTime, "Betting still active");
+        require(pool.status == PoolStatus.Disputed, "Not disputed");
+        require(block.timestamp >= pool.disputeEnd, "Arbitration active");
+
+        uint256 bond = pool.challengeBond;
+        pool.challengeBond = 0;
+        pool.disputeEnd = block.timestamp;
+        pool.winningOutcome = VOID_OUTCOME;
+
+        emit DisputeExpired(_poolId, bond);
+        _void(_poolId, pool);
+
+        token.safeTransfer(pool.challenger, bond);
+    }
+
+    /// @notice Void a pool before it is resolved, e.g. because it can no
+    /// longer be settled. All stakes become refundable.
+    function cancelBetPool(uint256 _poolId) external {
+        _cancel(_poolId);
+    }
+
+    /// @notice Void a pool whose question is invalid and slash its creator bond
+    function cancelInvalidPool(uint256 _poolId) external onlyOwner {
+        BetPool storage pool = betPools[_poolId];
+        uint256 bond = pool.creatorBond;
+        pool.creatorBond = 0;
+        totalFeesCollected[address(token)] += bond;
+
+        emit CreatorBondSlashed(_poolId, pool.creator, bond);
+        _cancel(_poolId);
+    }
+
+    /// @notice Return the creator bond once the pool is settled or cancelled
+    function reclaimCreatorBond(uint256 _poolId) external {
+        BetPool storage pool = betPools[_poolId];
+        require(msg.sender == pool.creator, "Only pool creator");
+        require(pool.status != PoolStatus.Unresolved, "Bet not resolved");
+
+        uint256 bond = pool.creatorBond;
+        require(bond > 0, "No bond to reclaim");
+        pool.creatorBond = 0;
+        token.safeTransfer(msg.sender, bond);
+
+        emit CreatorBondReturned(_poolId, msg.sender, bond);
+    }
+
+    /// @notice Withdraw some or all of a position before betting closes. The
+    /// exit penalty stays in the pool for the remaining bettors.
+    function cashOut(
+        uint256 _poolId,
+        uint256 _outcome,
+        uint256 _amount
+    ) external whenNotPaused {
+        BetPool storage pool = betPools[_poolId];
+        require(
+            block.timestamp < pool.endTime &&
+                pool.status == PoolStatus.Unresolved,
+            "Betting closed"
+        );
+        require(_amount > 0, "Amount must be positive");
+
+        BetDetail storage userBet = pool.userBets[msg.sender];
+        require(
+            _outcome < userBet.stakes.length &&
+                userBet.stakes[_outcome] >= _amount,
+            "Insufficient position"
+        );
+
+        userBet.stakes[_outcome] -= _amount;
+        userBet.amount -= _amount;
+        pool.outcomeStakes[_outcome] -= _amount;
+        pool.totalStake -= _amount;
 
-        pool.outcome = _outcome ? BetOutcome.Yes : BetOutcome.No;
-        pool.resolved = true;
+        uint256 penalty = (_amount * exitPenaltyBasisPoints) / BASIS_POINTS;
+        pool.exitPenalties += penalty;
 
-        emit BetResolved(_poolId, pool.outcome);
+        pool.stakeToken.safeTransfer(msg.sender, _amount - penalty);
+
+        emit CashedOut(_poolId, msg.sender, _outcome, _amount, penalty);
     }
 
-    function claimWinnings(uint256 _poolId) external {
+    function claimWinnings(uint256 _poolId) external whenNotPaused {
         BetPool storage pool = betPools[_poolId];
-        require(pool.resolved, "Bet not resolved");
+        require(pool.status != PoolStatus.Unresolved, "Bet not resolved");
+        require(pool.status != PoolStatus.Void, "Pool voided");
+        require(pool.status != PoolStatus.Disputed, "Outcome disputed");
+        require(block.timestamp >= pool.disputeEnd, "Dispute period active");
 
         BetDetail storage userBet = pool.userBets[msg.sender];
         require(!userBet.claimed, "Already claimed");
         require(userBet.amount > 0, "No bet placed");
+        // Only the stake on the winning outcome pays out; other positions are lost
+        require(userBet.stakes[pool.winningOutcome] > 0, "You did not win");
+
+        pool.stakeToken.safeTransfer(msg.sender, _claim(_poolId, pool, userBet));
+    }
+
+    /// @notice Claim winnings from several pools, with one transfer per run
+    /// of pools sharing a stake token. Pools that are unresolved, voided,
+    /// disputed, lost or already claimed are skipped.
+    /// @return total Sum of all payouts, only meaningful for a single token
+    function claimMany(
+        uint256[] calldata _poolIds
+    ) external whenNotPaused returns (uint256 total) {
+        IERC20 pendingToken;
+        uint256 pending;
+        for (uint256 i = 0; i < _poolIds.length; i++) {
+            BetPool storage pool = betPools[_poolIds[i]];
+            BetDetail storage userBet = pool.userBets[msg.sender];
+            if (!_isClaimable(pool, userBet)) {
+                continue;
+            }
 
-        bool won = (pool.outcome == BetOutcome.Yes && userBet.choice) ||
-            (pool.outcome == BetOutcome.No && !userBet.choice);
-        require(won, "You did not win");
+            if (pool.stakeToken != pendingToken) {
+                if (pending > 0) {
+                    pendingToken.safeTransfer(msg.sender, pending);
+                }
+                pendingToken = pool.stakeToken;
+                pending = 0;
+            }
 
-        uint256 totalWinningStake = pool.outcome == BetOutcome.Yes
-            ? pool.totalYesStake
-            : pool.totalNoStake;
+            uint256 payout = _claim(_poolIds[i], pool, userBet);
+            pending += payout;
+            total += payout;
+        }
 
-        uint256 totalPool = pool.totalYesStake + pool.totalNoStake;
+        if (pending > 0) {
+            pendingToken.safeTransfer(msg.sender, pending);
+        }
+    }
 
-        uint256 userShare = (userBet.amount * totalPool) / totalWinningStake;
+    /// @notice Return the original stake of a voided pool, without any fee,
+    /// plus a pro-rata share of any exit penalties left in the pool
+    function claimRefund(uint256 _poolId) external whenNotPaused {
+        BetPool storage pool = betPools[_poolId];
+        require(pool.status == PoolStatus.Void, "Pool not voided");
+        require(block.timestamp >= pool.disputeEnd, "Dispute period active");
 
-        uint256 fee = (userShare * feeBasisPoints) / BASIS_POINTS;
-        uint256 payout = userShare - fee;
+        BetDetail storage userBet = pool.userBets[msg.sender];
+        require(!userBet.claimed, "Already claimed");
+        require(userBet.amount > 0, "No bet placed");
+
+        uint256 refund = PayoutMath.refund(
+            userBet.amount,
+            pool.totalStake,
+            pool.exitPenalties
+        );
 
-        totalFeesCollected += fee;
-        token.transfer(msg.sender, payout);
         userBet.claimed = true;
+        pool.stakeToken.safeTransfer(msg.sender, refund);
 
-        emit WinningsClaimed(_poolId, msg.sender, payout);
+        emit RefundClaimed(_poolId, msg.sender, refund);
+    }
+
+    /// @notice Stop pool creation, betting, cash-outs and claims
+    function pause() external onlyRole(GUARDIAN_ROLE) {
+        _pause();
+    }
+
+    function unpause() external onlyRole(GUARDIAN_ROLE) {
+        _unpause();
+    }
+
+    /// @notice While paused, take back the original stake of a position in a
+    /// pool still open for betting, with no fee or penalty. The pool's totals
+    /// shrink by the same amount so it still settles correctly once unpaused.
+    /// Once betting closes the pool is voided with emergencyVoid instead, so
+    /// nobody can pull out after seeing the result.
+    function emergencyWithdraw(uint256 _poolId) external whenPaused {
+        BetPool storage pool = betPools[_poolId];
+        require(pool.status == PoolStatus.Unresolved, "Already resolved");
+        require(block.timestamp < pool.endTime, "Betting closed");
+
+        BetDetail storage userBet = pool.userBets[msg.sender];
+        uint256 amount = userBet.amount;
+        require(amount > 0, "No bet placed");
+
+        for (uint256 i = 0; i < userBet.stakes.length; i++) {
+            pool.outcomeStakes[i] -= userBet.stakes[i];
+            userBet.stakes[i] = 0;
+        }
+        userBet.amount = 0;
+        pool.totalStake -= amount;
+
+        pool.stakeToken.safeTransfer(msg.sender, amount);
+
+        emit EmergencyWithdrawal(_poolId, msg.sender, amount);
+    }
+
+    /// @notice While paused, void an unresolved pool whose betting has closed,
+    /// so every bettor gets the same refund from claimRefund once unpaused
+    function emergencyVoid(
+        uint256 _poolId
+    ) external whenPaused onlyRole(GUARDIAN_ROLE) {
+        BetPool storage pool = betPools[_poolId];
+        require(pool.endTime != 0, "Pool does not exist");
+        require(pool.status == PoolStatus.Unresolved, "Already resolved");
+
+        emit BetPoolCancelled(_poolId, msg.sender);
+        _void(_poolId, pool);
     }
 
+    /// @notice The cap covers the whole fee; the creator and fee router
+    /// recipients split it rather than adding to it
     function setPlatformFee(uint256 _feeBps) external onlyOwner {
         require(_feeBps <= 1000, "Max fee is 10%");
         feeBasisPoints = _feeBps;
         emit FeeUpdated(_feeBps);
     }
 
-    function withdrawFees(address to) external onlyOwner {
-        uint256 amount = totalFeesCollected;
-        totalFeesCollected = 0;
-        token.transfer(to, amount);
-        emit FeesWithdrawn(amount);
+    /// @notice Point at a MovieRegistry, or address(0) to accept any movieId
+    function setMovieRegistry(address _registry) external onlyOwner {
+        movieRegistry = MovieRegistry(_registry);
+        emit MovieRegistryUpdated(_registry);
+    }
+
+    function setExitPenalty(uint256 _penaltyBps) external onlyOwner {
+        require(_penaltyBps <= 1000, "Max penalty is 10%");
+        exitPenaltyBasisPoints = _penaltyBps;
+        emit ExitPenaltyUpdated(_penaltyBps);
+    }
+
+    function setCreatorBond(uint256 _amount) external onlyOwner {
+        creatorBondAmount = _amount;
+        emit CreatorBondUpdated(_amount);
+    }
+
+    function setCreatorFeeShare(uint256 _shareBps) external onlyOwner {
+        require(address(feeRouter) == address(0), "Set through fee router");
+        require(_shareBps <= 5000, "Max creator share is 50%");
+        creatorFeeBasisPoints = _shareBps;
+        emit CreatorFeeShareUpdated(_shareBps);
+    }
+
+    function setDisputeTerms(
+        uint256 _period,
+        uint256 _bondAmount,
+        uint256 _rewardBps
+    ) external onlyOwner {
+        require(_rewardBps <= BASIS_POINTS, "Max reward is 100%");
+        // A free challenge would let anyone freeze claims at no cost
+        require(_period == 0 || _bondAmount > 0, "Dispute bond required");
+        disputePeriod = _period;
+        disputeBondAmount = _bondAmount;
+        disputeRewardBasisPoints = _rewardBps;
+        emit DisputeTermsUpdated(_period, _bondAmount, _rewardBps);
+    }
+
+    /// @notice Allow or disallow a token for new pools. Pools already
+    /// denominated in a disallowed token are unaffected.
+    function setTokenAllowed(address _token, bool _allowed) external onlyOwner {
+        require(_token != address(token), "Default token always allowed");
+        allowedTokens[_token] = _allowed;
+        emit TokenAllowed(_token, _allowed);
+    }
+
+    function withdrawCreatorEarnings(address _token) external {
+        uint256 amount = creatorEarnings[msg.sender][_token];
+        require(amount > 0, "No earnings");
+        creatorEarnings[msg.sender][_token] = 0;
+        IERC20(_token).safeTransfer(msg.sender, amount);
+        emit CreatorEarningsWithdrawn(msg.sender, _token, amount);
+    }
+
+    /**
+     * @notice Point fees at a FeeRouter. Can only be set once, so the router's
+     * timelock can't be bypassed by swapping it out.
+     */
+    function setFeeRouter(address _router) external onlyOwner {
+        require(address(feeRouter) == address(0), "Fee router already set");
+        require(_router != address(0), "Invalid fee router");
+        feeRouter = FeeRouter(_router);
+        emit FeeRouterSet(_router);
+    }
+
+    /// @notice Sweep collected `_token` fees to the fee router, which splits
+    /// them between its recipients. Callable by anyone.
+    function withdrawFees(address _token) external {
+        require(address(feeRouter) != address(0), "Fee router not set");
+        uint256 amount = totalFeesCollected[_token];
+        totalFeesCollected[_token] = 0;
+        IERC20(_token).safeTransfer(address(feeRouter), amount);
+        feeRouter.distribute(_token);
+        emit FeesWithdrawn(_token, amount);
     }
 
     function getUserBet(
@@ -174,10 +903,14 @@ contract FilmBet is Ownable {
             string memory question,
             uint256 movieId,
             uint256 endTime,
-            uint256 totalYes,
-            uint256 totalNo,
-            BetOutcome outcome,
-            bool resolved
+            string[] memory outcomes,
+            uint256[] memory outcomeStakes,
+            uint256 totalStake,
+            uint256 exitPenalties,
+            uint256 winningOutcome,
+            PoolStatus status,
+            address creator,
+            address resolver
         )
     {
         BetPool storage pool = betPools[_poolId];
@@ -185,14 +918,283 @@ contract FilmBet is Ownable {
             pool.question,
             pool.movieId,
             pool.endTime,
-            pool.totalYesStake,
-            pool.totalNoStake,
-            pool.outcome,
-            pool.resolved
+            pool.outcomes,
+            pool.outcomeStakes,
+            pool.totalStake,
+            pool.exitPenalties,
+            pool.winningOutcome,
+            pool.status,
+            pool.creator,
+            pool.resolver
         );
     }
 
+    function getDispute(
+        uint256 _poolId
+    )
+        external
+        view
+        returns (uint256 disputeEnd, address challenger, uint256 challengeBond)
+    {
+        BetPool storage pool = betPools[_poolId];
+        return (pool.disputeEnd, pool.challenger, pool.challengeBond);
+    }
+
     function getTokenAddress() external view returns (address) {
         return address(token);
     }
+
+    function getMoviePoolCount(
+        uint256 _movieId
+    ) external view returns (uint256) {
+        return moviePools[_movieId].length;
+    }
+
+    function getUserPoolCount(address _user) external view returns (uint256) {
+        return userPools[_user].length;
+    }
+
+    function _createPool(
+        string memory _question,
+        uint256 _movieId,
+        uint256 _endTime,
+        address _resolver,
+        string[] memory _outcomes,
+        PoolTerms memory _terms,
+        address _creator
+    ) internal returns (uint256) {
+        _requireNotPaused();
+        require(_endTime > block.timestamp, "End time must be in the future");
+        require(
+            _resolver == address(0) || hasRole(RESOLVER_ROLE, _resolver),
+            "Resolver lacks role"
+        );
+        require(
+            _outcomes.length >= 2 && _outcomes.length <= MAX_OUTCOMES,
+            "Invalid outcome count"
+        );
+        require(
+            address(movieRegistry) == address(0) ||
+                movieRegistry.isRegistered(_movieId),
+            "Unknown movie"
+        );
+        require(
+            _terms.maxStake == 0 || _terms.maxStake >= _terms.minStake,
+            "Max below min stake"
+        );
+        require(
+            _terms.stakeToken == address(0) || allowedTokens[_terms.stakeToken],
+            "Token not allowed"
+        );
+
+        betPoolCount++;
+        BetPool storage pool = betPools[betPoolCount];
+        pool.id = betPoolCount;
+        pool.question = _question;
+        pool.movieId = _movieId;
+        pool.endTime = _endTime;
+        pool.outcomes = _outcomes;
+        pool.outcomeStakes = new uint256[](_outcomes.length);
+        pool.creator = _creator;
+        pool.resolver = _resolver;
+        pool.stakeToken = _terms.stakeToken == address(0)
+            ? token
+            : IERC20(_terms.stakeToken);
+        pool.minStake = _terms.minStake;
+        pool.maxStake = _terms.maxStake;
+        moviePools[_movieId].push(betPoolCount);
+
+        emit BetPoolCreated(
+            betPoolCount,
+            _question,
+            _movieId,
+            _endTime,
+            _resolver,
+            _outcomes
+        );
+        if (_terms.stakeToken != address(0)) {
+            emit PoolTokenSet(betPoolCount, _terms.stakeToken);
+        }
+        if (_terms.minStake > 0 || _terms.maxStake > 0) {
+            emit StakeLimitsSet(betPoolCount, _terms.minStake, _terms.maxStake);
+        }
+
+        if (creatorBondAmount > 0) {
+            token.safeTransferFrom(msg.sender, address(this), creatorBondAmount);
+            pool.creatorBond = creatorBondAmount;
+            emit CreatorBondPosted(betPoolCount, _creator, creatorBondAmount);
+        }
+
+        return betPoolCount;
+    }
+
+    function _placeBet(
+        uint256 _poolId,
+        uint256 _outcome,
+        uint256 _amount
+    ) internal {
+        _requireNotPaused();
+        BetPool storage pool = betPools[_poolId];
+        require(
+            block.timestamp < pool.endTime &&
+                pool.status == PoolStatus.Unresolved,
+            "Betting closed"
+        );
+        require(_outcome < pool.outcomes.length, "Invalid outcome");
+        require(_amount > 0, "Amount must be positive");
+        require(_amount >= pool.minStake, "Below minimum stake");
+
+        // Users can top up a position or hold several outcomes at once
+        BetDetail storage bet = pool.userBets[msg.sender];
+        require(
+            pool.maxStake == 0 || bet.amount + _amount <= pool.maxStake,
+            "Above maximum stake"
+        );
+
+        pool.stakeToken.safeTransferFrom(msg.sender, address(this), _amount);
+
+        if (bet.stakes.length == 0) {
+            bet.stakes = new uint256[](pool.outcomes.length);
+            userPools[msg.sender].push(_poolId);
+        }
+        bet.stakes[_outcome] += _amount;
+        bet.amount += _amount;
+
+        pool.outcomeStakes[_outcome] += _amount;
+        pool.totalStake += _amount;
+
+        emit BetPlaced(_poolId, msg.sender, _outcome, _amount);
+    }
+
+    function _resolve(uint256 _poolId, uint256 _winningOutcome) internal {
+        BetPool storage pool = _startResolution(_poolId);
+        pool.disputeEnd = block.timestamp + disputePeriod;
+        _settle(_poolId, pool, _winningOutcome);
+    }
+
+    function _settle(
+        uint256 _poolId,
+        BetPool storage pool,
+        uint256 _winningOutcome
+    ) internal {
+        // Without stake on the winning outcome and at least one losing outcome
+        // there is nobody to pay out from, so everyone is refunded
+        uint256 winningStake = _winningOutcome == VOID_OUTCOME
+            ? 0
+            : pool.outcomeStakes[_winningOutcome];
+        if (winningStake == 0 || winningStake == pool.totalStake) {
+            pool.winningOutcome = VOID_OUTCOME;
+            _void(_poolId, pool);
+            return;
+        }
+
+        pool.winningOutcome = _winningOutcome;
+        pool.status = PoolStatus.Resolved;
+
+        emit BetResolved(_poolId, _winningOutcome, msg.sender);
+    }
+
+    function _startResolution(
+        uint256 _poolId
+    ) internal returns (BetPool storage pool) {
+        pool = betPools[_poolId];
+        require(pool.status == PoolStatus.Unresolved, "Already resolved");
+        require(block.timestamp >= pool.endTime, "Betting still active");
+        require(
+            pool.resolver == address(0) || pool.resolver == msg.sender,
+            "Not the pool resolver"
+        );
+
+        // Open pools record whichever resolver settled them
+        pool.resolver = msg.sender;
+    }
+
+    function _cancel(uint256 _poolId) internal {
+        BetPool storage pool = betPools[_poolId];
+        require(pool.endTime != 0, "Pool does not exist");
+        require(pool.status == PoolStatus.Unresolved, "Already resolved");
+        require(
+            msg.sender == owner() ||
+                (hasRole(RESOLVER_ROLE, msg.sender) &&
+                    (pool.resolver == address(0) ||
+                        pool.resolver == msg.sender)),
+            "Not owner or resolver"
+        );
+
+        emit BetPoolCancelled(_poolId, msg.sender);
+        _void(_poolId, pool);
+    }
+
+    function _void(uint256 _poolId, BetPool storage pool) internal {
+        pool.status = PoolStatus.Void;
+
+        // With every position cashed out nobody is left to share the penalties
+        if (pool.totalStake == 0 && pool.exitPenalties > 0) {
+            totalFeesCollected[address(pool.stakeToken)] += pool.exitPenalties;
+            pool.exitPenalties = 0;
+        }
+
+        emit BetPoolVoided(_poolId, msg.sender);
+    }
+
+    function _yesNoOutcomes() internal pure returns (string[] memory outcomes) {
+        outcomes = new string[](2);
+        outcomes[YES] = "Yes";
+        outcomes[NO] = "No";
+    }
+
+    function _isClaimable(
+        BetPool storage pool,
+        BetDetail storage userBet
+    ) internal view returns (bool) {
+        return
+            pool.status == PoolStatus.Resolved &&
+            block.timestamp >= pool.disputeEnd &&
+            !userBet.claimed &&
+            userBet.amount > 0 &&
+            userBet.stakes[pool.winningOutcome] > 0;
+    }
+
+    function _winnings(
+        BetPool storage pool,
+        BetDetail storage userBet
+    ) internal view returns (uint256 payout, uint256 fee) {
+        return
+            PayoutMath.winnings(
+                userBet.stakes[pool.winningOutcome],
+                pool.outcomeStakes[pool.winningOutcome],
+                pool.totalStake + pool.exitPenalties,
+                feeBasisPoints
+            );
+    }
+
+    function _creatorShareBps() internal view returns (uint256) {
+        return
+            address(feeRouter) == address(0)
+                ? creatorFeeBasisPoints
+                : feeRouter.creatorShareBps();
+    }
+
+    /// @dev Books a claim; the caller transfers the returned payout
+    function _claim(
+        uint256 _poolId,
+        BetPool storage pool,
+        BetDetail storage userBet
+    ) internal returns (uint256 payout) {
+        uint256 fee;
+        (payout, fee) = _winnings(pool, userBet);
+
+        uint256 creatorCut = (fee * _creatorShareBps()) / BASIS_POINTS;
+        creatorEarnings[pool.creator][address(pool.stakeToken)] += creatorCut;
+        if (address(feeRouter) == address(0)) {
+            totalFeesCollected[address(pool.stakeToken)] += fee - creatorCut;
+        } else if (fee > creatorCut) {
+            // Forwarded as it's paid, so stakers accrue it without a sweep
+            pool.stakeToken.safeTransfer(address(feeRouter), fee - creatorCut);
+            feeRouter.distribute(address(pool.stakeToken));
+        }
+        userBet.claimed = true;
+
+        emit WinningsClaimed(_poolId, msg.sender, payout);
+    }
 }
@@ -2,9 +2,101 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Burnable.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Capped.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
 
-contract FilmBetERC20 is ERC20 {
-    constructor(uint256 initialSupply) ERC20("FilmBet Token", "FBT") {
+/**
+ * @title FilmBetERC20
+ * @notice FBT, capped at MAX_SUPPLY. Minters (e.g. the rewards program) can
+ * issue new tokens up to the cap, and on test networks an admin can open a
+ * faucet that hands out a fixed amount per address every `faucetCooldown`.
+ */
+contract FilmBetERC20 is
+    ERC20,
+    ERC20Burnable,
+    ERC20Capped,
+    ERC20Permit,
+    AccessControl
+{
+    bytes32 public constant MINTER_ROLE = keccak256("MINTER_ROLE");
+    uint256 public constant MAX_SUPPLY = 100_000_000 ether;
+
+    bool public faucetEnabled;
+    uint256 public faucetAmount;
+    uint256 public faucetCooldown;
+    mapping(address => uint256) public lastFaucetClaim;
+
+    event FaucetUpdated(bool enabled, uint256 amount, uint256 cooldown);
+    event FaucetDrip(address indexed to, uint256 amount);
+
+    constructor(
+        uint256 initialSupply
+    )
+        ERC20("FilmBet Token", "FBT")
+        ERC20Capped(MAX_SUPPLY)
+        ERC20Permit("FilmBet Token")
+    {
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
         _mint(msg.sender, initialSupply);
     }
-}
\ No newline at end of file
+
+    function mint(address to, uint256 amount) external onlyRole(MINTER_ROLE) {
+        _mint(to, amount);
+    }
+
+    /// @notice Open or close the faucet. It can only be opened on a known
+    /// test network, so an unlisted chain is treated as a mainnet.
+    function setFaucet(
+        bool _enabled,
+        uint256 _amount,
+        uint256 _cooldown
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(
+            !_enabled || isTestnet(block.chainid),
+            "Faucet only on testnets"
+        );
+        faucetEnabled = _enabled;
+        faucetAmount = _amount;
+        faucetCooldown = _cooldown;
+        emit FaucetUpdated(_enabled, _amount, _cooldown);
+    }
+
+    /// @notice Mint `faucetAmount` FBT to the caller, at most once per cooldown
+    function drip() external {
+        require(faucetEnabled, "Faucet disabled");
+        require(
+            lastFaucetClaim[msg.sender] == 0 ||
+                block.timestamp >=
+                lastFaucetClaim[msg.sender] + faucetCooldown,
+            "Faucet cooldown active"
+        );
+
+        lastFaucetClaim[msg.sender] = block.timestamp;
+        _mint(msg.sender, faucetAmount);
+        emit FaucetDrip(msg.sender, faucetAmount);
+    }
+
+    /// @notice Hardhat, Sepolia, Polygon Mumbai, Avalanche Fuji, BNB Chain
+    /// testnet, Arbitrum Sepolia, Base Sepolia and Optimism Sepolia
+    function isTestnet(uint256 _chainId) public pure returns (bool) {
+        return
+            _chainId == 31337 ||
+            _chainId == 11155111 ||
+            _chainId == 80001 ||
+            _chainId == 43113 ||
+            _chainId == 97 ||
+            _chainId == 421614 ||
+            _chainId == 84532 ||
+            _chainId == 11155420;
+    }
+
+    function _update(
+        address from,
+        address to,
+        uint256 value
+    ) internal override(ERC20, ERC20Capped) {
+        super._update(from, to, value);
+    }
+}
@@ -0,0 +1,236 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./FilmBet.sol";
+import "./PayoutMath.sol";
+
+/**
+ * @title FilmBetLens
+ * @notice Read-only discovery views for FilmBet: pools by movie, bettor and
+ * phase, pool terms, and the winnings a bettor can claim
+ * @dev Kept out of FilmBet to hold its implementation under the contract
+ * size limit. Reads only FilmBet's public getters, so it can be redeployed
+ * without touching the proxy.
+ */
+contract FilmBetLens {
+    // Lifecycle stage of a pool
+    enum PoolPhase {
+        Open, // accepting bets
+        Closed, // betting ended, awaiting resolution or a dispute ruling
+        Settled // resolved or void
+    }
+
+    FilmBet public filmBet;
+
+    constructor(address _filmBet) {
+        filmBet = FilmBet(_filmBet);
+    }
+
+    /// @notice Every pool `user` can currently claim winnings from, with the
+    /// payout net of fees, in the order the user first bet in them
+    function getClaimable(
+        address user
+    )
+        external
+        view
+        returns (uint256[] memory poolIds, uint256[] memory amounts)
+    {
+        // Walks the user's own pools rather than every pool ever created
+        uint256 betIn = filmBet.getUserPoolCount(user);
+        uint256 feeBps = filmBet.feeBasisPoints();
+        uint256[] memory payouts = new uint256[](betIn);
+        uint256 count;
+        for (uint256 i = 0; i < betIn; i++) {
+            payouts[i] = _claimable(filmBet.userPools(user, i), user, feeBps);
+            if (payouts[i] > 0) {
+                count++;
+            }
+        }
+
+        poolIds = new uint256[](count);
+        amounts = new uint256[](count);
+        uint256 index;
+        for (uint256 i = 0; i < betIn && index < count; i++) {
+            if (payouts[i] > 0) {
+                poolIds[index] = filmBet.userPools(user, i);
+                amounts[index] = payouts[i];
+                index++;
+            }
+        }
+    }
+
+    /// @notice Page through the pools created for a movie
+    /// @return poolIds Up to `_limit` pool ids starting at `_offset`
+    /// @return total Number of pools for the movie
+    function getPoolsByMovie(
+        uint256 _movieId,
+        uint256 _offset,
+        uint256 _limit
+    ) external view returns (uint256[] memory poolIds, uint256 total) {
+        total = filmBet.getMoviePoolCount(_movieId);
+        poolIds = new uint256[](_pageSize(total, _offset, _limit));
+        for (uint256 i = 0; i < poolIds.length; i++) {
+            poolIds[i] = filmBet.moviePools(_movieId, _offset + i);
+        }
+    }
+
+    /// @notice Page through the pools a user has placed bets in
+    function getPoolsByUser(
+        address _user,
+        uint256 _offset,
+        uint256 _limit
+    ) external view returns (uint256[] memory poolIds, uint256 total) {
+        total = filmBet.getUserPoolCount(_user);
+        poolIds = new uint256[](_pageSize(total, _offset, _limit));
+        for (uint256 i = 0; i < poolIds.length; i++) {
+            poolIds[i] = filmBet.userPools(_user, _offset + i);
+        }
+    }
+
+    /// @notice Scan up to `_count` pool ids from `_fromId` and return those in
+    /// `_phase`, oldest first. Phases move with time, so they can't be indexed;
+    /// pass `nextId` back as `_fromId` to continue until it comes back 0.
+    function getPoolsByPhase(
+        PoolPhase _phase,
+        uint256 _fromId,
+        uint256 _count
+    ) external view returns (uint256[] memory poolIds, uint256 nextId) {
+        // A zero count would hand back `_fromId` as `nextId` forever
+        require(_count > 0, "Count must be positive");
+        if (_fromId == 0) {
+            _fromId = 1;
+        }
+        uint256 endId = filmBet.betPoolCount() + 1;
+        if (_fromId >= endId) {
+            return (new uint256[](0), 0);
+        }
+        if (_count < endId - _fromId) {
+            endId = _fromId + _count;
+            nextId = endId;
+        }
+
+        uint256 total;
+        for (uint256 id = _fromId; id < endId; id++) {
+            if (getPoolPhase(id) == _phase) {
+                total++;
+            }
+        }
+
+        poolIds = new uint256[](total);
+        uint256 index;
+        for (uint256 id = _fromId; index < total; id++) {
+            if (getPoolPhase(id) == _phase) {
+                poolIds[index++] = id;
+            }
+        }
+    }
+
+    function getPoolPhase(uint256 _poolId) public view returns (PoolPhase) {
+        (, , uint256 endTime, , , , , , FilmBet.PoolStatus status, , ) = filmBet
+            .getPool(_poolId);
+        if (
+            status == FilmBet.PoolStatus.Resolved ||
+            status == FilmBet.PoolStatus.Void
+        ) {
+            return PoolPhase.Settled;
+        }
+        if (
+            status == FilmBet.PoolStatus.Unresolved && block.timestamp < endTime
+        ) {
+            return PoolPhase.Open;
+        }
+        return PoolPhase.Closed;
+    }
+
+    function getPoolTerms(
+        uint256 _poolId
+    )
+        external
+        view
+        returns (
+            uint256 minStake,
+            uint256 maxStake,
+            uint256 creatorBond,
+            address stakeToken
+        )
+    {
+        IERC20 poolToken;
+        (
+            ,
+            ,
+            ,
+            ,
+            ,
+            ,
+            minStake,
+            maxStake,
+            creatorBond,
+            ,
+            ,
+            ,
+            ,
+            poolToken,
+            ,
+            ,
+
+        ) = filmBet.betPools(_poolId);
+        stakeToken = address(poolToken);
+    }
+
+    /// @dev What claimWinnings would pay `_user` from `_poolId` now, 0 if it
+    /// would revert
+    function _claimable(
+        uint256 _poolId,
+        address _user,
+        uint256 _feeBps
+    ) internal view returns (uint256 payout) {
+        (
+            ,
+            ,
+            ,
+            ,
+            uint256[] memory outcomeStakes,
+            uint256 totalStake,
+            uint256 exitPenalties,
+            uint256 winningOutcome,
+            FilmBet.PoolStatus status,
+            ,
+
+        ) = filmBet.getPool(_poolId);
+        if (status != FilmBet.PoolStatus.Resolved) {
+            return 0;
+        }
+        (uint256 disputeEnd, , ) = filmBet.getDispute(_poolId);
+        FilmBet.BetDetail memory bet = filmBet.getUserBet(_poolId, _user);
+        if (
+            block.timestamp < disputeEnd ||
+            bet.claimed ||
+            bet.amount == 0 ||
+            bet.stakes[winningOutcome] == 0
+        ) {
+            return 0;
+        }
+
+        (payout, ) = PayoutMath.winnings(
+            bet.stakes[winningOutcome],
+            outcomeStakes[winningOutcome],
+            totalStake + exitPenalties,
+            _feeBps
+        );
+    }
+
+    function _pageSize(
+        uint256 _total,
+        uint256 _offset,
+        uint256 _limit
+    ) internal pure returns (uint256 size) {
+        if (_offset >= _total) {
+            return 0;
+        }
+
+        size = _total - _offset;
+        if (size > _limit) {
+            size = _limit;
+        }
+    }
+}
@@ -0,0 +1,208 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./FilmBet.sol";
+import "./PayoutMath.sol";
+
+/**
+ * @title FilmBetQuoter
+ * @notice Read-only odds and payout quotes for FilmBet pools
+ * @dev Uses the same PayoutMath as FilmBet's claims and refunds, so a quote for
+ * a pool that resolves now is exactly what claiming pays. Multipliers are
+ * fixed point with 18 decimals: 2.5e18 means 2.5x the stake back.
+ */
+contract FilmBetQuoter {
+    uint256 public constant MULTIPLIER_PRECISION = 1e18;
+
+    FilmBet public filmBet;
+
+    constructor(address _filmBet) {
+        filmBet = FilmBet(_filmBet);
+    }
+
+    /// @notice Share of the total stake on each outcome, in basis points
+    function getImpliedProbabilities(
+        uint256 _poolId
+    ) external view returns (uint256[] memory probabilities) {
+        (uint256[] memory outcomeStakes, uint256 totalStake, , ) = _poolStakes(
+            _poolId
+        );
+
+        probabilities = new uint256[](outcomeStakes.length);
+        if (totalStake == 0) {
+            return probabilities;
+        }
+        for (uint256 i = 0; i < outcomeStakes.length; i++) {
+            probabilities[i] =
+                (outcomeStakes[i] * PayoutMath.BASIS_POINTS) /
+                totalStake;
+        }
+    }
+
+    /// @notice What each outcome currently pays per unit staked on it, net of
+    /// the platform fee. Outcomes nobody has backed yet return 0, and one that
+    /// holds the whole pool returns the refund, as winning would void the pool.
+    function getPayoutMultipliers(
+        uint256 _poolId
+    ) external view returns (uint256[] memory multipliers) {
+        (
+            uint256[] memory outcomeStakes,
+            uint256 totalStake,
+            uint256 exitPenalties,
+
+        ) = _poolStakes(_poolId);
+        uint256 feeBps = filmBet.feeBasisPoints();
+
+        multipliers = new uint256[](outcomeStakes.length);
+        for (uint256 i = 0; i < outcomeStakes.length; i++) {
+            if (outcomeStakes[i] == 0) {
+                continue;
+            }
+            if (outcomeStakes[i] == totalStake) {
+                multipliers[i] = PayoutMath.refund(
+                    MULTIPLIER_PRECISION,
+                    totalStake,
+                    exitPenalties
+                );
+                continue;
+            }
+            (multipliers[i], ) = PayoutMath.winnings(
+                MULTIPLIER_PRECISION,
+                outcomeStakes[i],
+                totalStake + exitPenalties,
+                feeBps
+            );
+        }
+    }
+
+    /**
+     * @notice Projected payout of a new `_amount` bet on `_outcome` if that
+     * outcome wins, including the effect of the bet itself on the odds. If the
+     * bet's outcome would then hold the whole pool, winning voids it, so the
+     * quote is the fee-free refund.
+     * @return payout Tokens paid out, net of the platform fee
+     * @return multiplier `payout` per unit staked
+     */
+    function quoteBet(
+        uint256 _poolId,
+        uint256 _outcome,
+        uint256 _amount
+    ) external view returns (uint256 payout, uint256 multiplier) {
+        (
+            uint256[] memory outcomeStakes,
+            uint256 totalStake,
+            uint256 exitPenalties,
+
+        ) = _poolStakes(_poolId);
+        require(_outcome < outcomeStakes.length, "Invalid outcome");
+        require(_amount > 0, "Amount must be positive");
+
+        if (outcomeStakes[_outcome] == totalStake) {
+            payout = PayoutMath.refund(
+                _amount,
+                totalStake + _amount,
+                exitPenalties
+            );
+        } else {
+            (payout, ) = PayoutMath.winnings(
+                _amount,
+                outcomeStakes[_outcome] + _amount,
+                totalStake + exitPenalties + _amount,
+                filmBet.feeBasisPoints()
+            );
+        }
+        multiplier = (payout * MULTIPLIER_PRECISION) / _amount;
+    }
+
+    /**
+     * @notice What `_user` would receive for each outcome if the pool resolved
+     * to it now, matching claimWinnings and claimRefund to the token
+     * @dev Resolving to an outcome with no stake, or with all of it, voids the
+     * pool, so those entries are the refund. Once settled, only the actual
+     * result pays: the winning outcome for a resolved pool, every entry for
+     * a voided one. Claimed positions are worth 0.
+     */
+    function getPositionValues(
+        uint256 _poolId,
+        address _user
+    ) external view returns (uint256[] memory values) {
+        (
+            uint256[] memory outcomeStakes,
+            uint256 totalStake,
+            uint256 exitPenalties,
+            FilmBet.PoolStatus status
+        ) = _poolStakes(_poolId);
+        FilmBet.BetDetail memory bet = filmBet.getUserBet(_poolId, _user);
+
+        values = new uint256[](outcomeStakes.length);
+        if (bet.amount == 0 || bet.claimed) {
+            return values;
+        }
+
+        uint256 refund = PayoutMath.refund(
+            bet.amount,
+            totalStake,
+            exitPenalties
+        );
+        if (status == FilmBet.PoolStatus.Void) {
+            for (uint256 i = 0; i < values.length; i++) {
+                values[i] = refund;
+            }
+            return values;
+        }
+
+        uint256 feeBps = filmBet.feeBasisPoints();
+        for (uint256 i = 0; i < values.length; i++) {
+            if (outcomeStakes[i] == 0 || outcomeStakes[i] == totalStake) {
+                values[i] = refund;
+            } else if (bet.stakes[i] > 0) {
+                (values[i], ) = PayoutMath.winnings(
+                    bet.stakes[i],
+                    outcomeStakes[i],
+                    totalStake + exitPenalties,
+                    feeBps
+                );
+            }
+        }
+
+        if (status == FilmBet.PoolStatus.Resolved) {
+            (, , , , , , , uint256 winningOutcome, , , ) = filmBet.getPool(
+                _poolId
+            );
+            for (uint256 i = 0; i < values.length; i++) {
+                if (i != winningOutcome) {
+                    values[i] = 0;
+                }
+            }
+        }
+    }
+
+    function _poolStakes(
+        uint256 _poolId
+    )
+        internal
+        view
+        returns (
+            uint256[] memory outcomeStakes,
+            uint256 totalStake,
+            uint256 exitPenalties,
+            FilmBet.PoolStatus status
+        )
+    {
+        uint256 endTime;
+        (
+            ,
+            ,
+            endTime,
+            ,
+            outcomeStakes,
+            totalStake,
+            exitPenalties,
+            ,
+            status,
+            ,
+
+        ) = filmBet.getPool(_poolId);
+        require(endTime != 0, "Pool does not exist");
+    }
+}
@@ -0,0 +1,106 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/AccessControl.sol";
+
+/**
+ * @title MovieRegistry
+ * @notice Curated list of the movies FilmBet pools can be created for
+ * @dev `boxOfficeKey` is the movie's "Release" name as it appears in the box office
+ * API responses parsed by source.js, so pools can be matched to oracle data.
+ */
+contract MovieRegistry is AccessControl {
+    bytes32 public constant CURATOR_ROLE = keccak256("CURATOR_ROLE");
+
+    struct Movie {
+        string title;
+        uint256 releaseDate; // unix timestamp of the domestic release
+        string distributor;
+        string boxOfficeKey;
+        bool exists;
+    }
+
+    uint256 public movieCount;
+    mapping(uint256 => Movie) public movies;
+    mapping(bytes32 => uint256) public movieIdByKey;
+
+    event MovieAdded(
+        uint256 indexed movieId,
+        string title,
+        uint256 releaseDate,
+        string distributor,
+        string boxOfficeKey
+    );
+    event MovieUpdated(
+        uint256 indexed movieId,
+        string title,
+        uint256 releaseDate,
+        string distributor
+    );
+
+    constructor() {
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+    }
+
+    function addMovie(
+        string calldata _title,
+        uint256 _releaseDate,
+        string calldata _distributor,
+        string calldata _boxOfficeKey
+    ) external onlyRole(CURATOR_ROLE) returns (uint256) {
+        require(bytes(_title).length > 0, "Empty title");
+        require(bytes(_boxOfficeKey).length > 0, "Empty box office key");
+        bytes32 key = keccak256(bytes(_boxOfficeKey));
+        require(movieIdByKey[key] == 0, "Movie already registered");
+
+        movieCount++;
+        movies[movieCount] = Movie({
+            title: _title,
+            releaseDate: _releaseDate,
+            distributor: _distributor,
+            boxOfficeKey: _boxOfficeKey,
+            exists: true
+        });
+        movieIdByKey[key] = movieCount;
+
+        emit MovieAdded(
+            movieCount,
+            _title,
+            _releaseDate,
+            _distributor,
+            _boxOfficeKey
+        );
+        return movieCount;
+    }
+
+    /// @notice Correct an entry, e.g. when a release date moves. The box
+    /// office key is fixed so existing oracle matches stay valid.
+    function updateMovie(
+        uint256 _movieId,
+        string calldata _title,
+        uint256 _releaseDate,
+        string calldata _distributor
+    ) external onlyRole(CURATOR_ROLE) {
+        Movie storage movie = movies[_movieId];
+        require(movie.exists, "Unknown movie");
+        require(bytes(_title).length > 0, "Empty title");
+
+        movie.title = _title;
+        movie.releaseDate = _releaseDate;
+        movie.distributor = _distributor;
+
+        emit MovieUpdated(_movieId, _title, _releaseDate, _distributor);
+    }
+
+    function getMovie(uint256 _movieId) external view returns (Movie memory) {
+        return movies[_movieId];
+    }
+
+    function isRegistered(uint256 _movieId) external view returns (bool) {
+        return movies[_movieId].exists;
+    }
+
+    function isReleased(uint256 _movieId) external view returns (bool) {
+        return block.timestamp >= movies[_movieId].releaseDate;
+    }
+}
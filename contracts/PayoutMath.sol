@@ -0,0 +1,35 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title PayoutMath
+ * @notice Parimutuel payout formulas shared by FilmBet and FilmBetQuoter, so
+ * quotes always match what a claim or refund actually pays
+ */
+library PayoutMath {
+    uint256 internal constant BASIS_POINTS = 10000;
+
+    /// @notice Winners split the whole pot in proportion to their stake on the
+    /// winning outcome, less the platform fee
+    /// @param _pot Total stake plus any exit penalties left in the pool
+    function winnings(
+        uint256 _stake,
+        uint256 _winningStake,
+        uint256 _pot,
+        uint256 _feeBps
+    ) internal pure returns (uint256 payout, uint256 fee) {
+        uint256 share = (_stake * _pot) / _winningStake;
+        fee = (share * _feeBps) / BASIS_POINTS;
+        payout = share - fee;
+    }
+
+    /// @notice A voided pool returns the original stake plus a pro-rata share
+    /// of the exit penalties, without any fee
+    function refund(
+        uint256 _amount,
+        uint256 _totalStake,
+        uint256 _exitPenalties
+    ) internal pure returns (uint256) {
+        return _amount + (_amount * _exitPenalties) / _totalStake;
+    }
+}
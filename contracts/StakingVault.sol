@@ -0,0 +1,268 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "./FeeRouter.sol";
+
+/**
+ * @title StakingVault
+ * @notice Stake FBT to earn a pro-rata share of FilmBet's platform fees
+ * @dev The vault is a FeeRouter recipient. FilmBet forwards claim fees to the
+ * router as they're paid, and every stake, unstake or claim here first pulls the
+ * vault's share. Pulled fees are released to stakers evenly over
+ * REWARDS_DURATION with reward-per-token accounting, once per reward token, so
+ * staking just before a large claim and leaving just after earns only a sliver
+ * of it. Fees that arrive while nothing is staked wait in the router for the
+ * first staker, and a release in progress pauses while nothing is staked. With
+ * a cooldown set, unstaked FBT stops earning straight away and can be withdrawn
+ * once the cooldown passes.
+ */
+contract StakingVault is Ownable {
+    using SafeERC20 for IERC20;
+
+    uint256 public constant PRECISION = 1e18;
+    uint256 public constant MAX_REWARD_TOKENS = 10;
+    uint256 public constant REWARDS_DURATION = 7 days;
+
+    IERC20 public stakingToken;
+    FeeRouter public feeRouter;
+    uint256 public unstakeCooldown;
+
+    uint256 public totalStaked;
+    mapping(address => uint256) public stakedBalance;
+
+    struct PendingUnstake {
+        uint256 amount;
+        uint256 unlockTime;
+    }
+    mapping(address => PendingUnstake) public pendingUnstakes;
+
+    address[] private rewardTokens;
+    mapping(address => bool) public isRewardToken;
+    // token => rewards per staked FBT, scaled by PRECISION
+    mapping(address => uint256) public rewardPerTokenStored;
+    // token => pulled rewards not yet released to stakers
+    mapping(address => uint256) public queuedRewards;
+    // token => when the queued rewards are fully released
+    mapping(address => uint256) public periodFinish;
+    // token => when rewardPerTokenStored last caught up with the release
+    mapping(address => uint256) public lastUpdateTime;
+    // user => token => rewardPerTokenStored at their last update
+    mapping(address => mapping(address => uint256))
+        public userRewardPerTokenPaid;
+    // user => token => rewards earned but not yet claimed
+    mapping(address => mapping(address => uint256)) public rewards;
+
+    event Staked(address indexed user, uint256 amount);
+    event Unstaked(address indexed user, uint256 amount, uint256 unlockTime);
+    event Withdrawn(address indexed user, uint256 amount);
+    event RewardsAdded(address indexed token, uint256 amount);
+    event RewardPaid(
+        address indexed user,
+        address indexed token,
+        uint256 amount
+    );
+    event RewardTokenAdded(address token);
+    event UnstakeCooldownUpdated(uint256 cooldown);
+    event FeeRouterUpdated(address router);
+
+    constructor(
+        address _stakingToken,
+        uint256 _unstakeCooldown
+    ) Ownable(msg.sender) {
+        stakingToken = IERC20(_stakingToken);
+        unstakeCooldown = _unstakeCooldown;
+        _addRewardToken(_stakingToken);
+    }
+
+    function stake(uint256 _amount) external {
+        require(_amount > 0, "Amount must be positive");
+        _updateRewards(msg.sender);
+
+        stakedBalance[msg.sender] += _amount;
+        totalStaked += _amount;
+        stakingToken.safeTransferFrom(msg.sender, address(this), _amount);
+
+        emit Staked(msg.sender, _amount);
+    }
+
+    /**
+     * @notice Stop staking `_amount`. Without a cooldown the FBT is returned
+     * now; otherwise it's queued for withdraw(), and unstaking more restarts
+     * the cooldown for the whole queued amount.
+     */
+    function unstake(uint256 _amount) external {
+        require(_amount > 0, "Amount must be positive");
+        require(stakedBalance[msg.sender] >= _amount, "Insufficient stake");
+        _updateRewards(msg.sender);
+
+        stakedBalance[msg.sender] -= _amount;
+        totalStaked -= _amount;
+
+        if (unstakeCooldown == 0) {
+            stakingToken.safeTransfer(msg.sender, _amount);
+            emit Unstaked(msg.sender, _amount, block.timestamp);
+            emit Withdrawn(msg.sender, _amount);
+            return;
+        }
+
+        PendingUnstake storage pending = pendingUnstakes[msg.sender];
+        pending.amount += _amount;
+        pending.unlockTime = block.timestamp + unstakeCooldown;
+        emit Unstaked(msg.sender, _amount, pending.unlockTime);
+    }
+
+    /// @notice Withdraw FBT queued by unstake() once its cooldown has passed
+    function withdraw() external {
+        PendingUnstake storage pending = pendingUnstakes[msg.sender];
+        uint256 amount = pending.amount;
+        require(amount > 0, "Nothing to withdraw");
+        require(block.timestamp >= pending.unlockTime, "Cooldown active");
+
+        delete pendingUnstakes[msg.sender];
+        stakingToken.safeTransfer(msg.sender, amount);
+
+        emit Withdrawn(msg.sender, amount);
+    }
+
+    /// @notice Pay out everything the caller has earned, in every reward token
+    function claimRewards() external {
+        _updateRewards(msg.sender);
+
+        for (uint256 i = 0; i < rewardTokens.length; i++) {
+            address rewardToken = rewardTokens[i];
+            uint256 amount = rewards[msg.sender][rewardToken];
+            if (amount == 0) {
+                continue;
+            }
+            rewards[msg.sender][rewardToken] = 0;
+            IERC20(rewardToken).safeTransfer(msg.sender, amount);
+            emit RewardPaid(msg.sender, rewardToken, amount);
+        }
+    }
+
+    /// @notice Pull the vault's share of fees from the router and release it
+    /// over REWARDS_DURATION, together with whatever is still queued. Also
+    /// runs on every stake, unstake and claim.
+    function pullRewards() public {
+        for (uint256 i = 0; i < rewardTokens.length; i++) {
+            address rewardToken = rewardTokens[i];
+            _releaseRewards(rewardToken);
+
+            if (totalStaked == 0 || address(feeRouter) == address(0)) {
+                continue;
+            }
+            feeRouter.distribute(rewardToken);
+            if (feeRouter.owed(rewardToken, address(this)) == 0) {
+                continue;
+            }
+
+            uint256 amount = feeRouter.claim(rewardToken);
+            queuedRewards[rewardToken] += amount;
+            periodFinish[rewardToken] = block.timestamp + REWARDS_DURATION;
+            emit RewardsAdded(rewardToken, amount);
+        }
+    }
+
+    /// @dev Set after deployment, since the router's split names the vault
+    function setFeeRouter(address _feeRouter) external onlyOwner {
+        feeRouter = FeeRouter(_feeRouter);
+        emit FeeRouterUpdated(_feeRouter);
+    }
+
+    /// @notice Also earn fees collected in `_token`, e.g. a partner stake token
+    function addRewardToken(address _token) external onlyOwner {
+        _addRewardToken(_token);
+    }
+
+    /// @notice Applies to unstakes from now on; queued ones keep their unlock time
+    function setUnstakeCooldown(uint256 _cooldown) external onlyOwner {
+        unstakeCooldown = _cooldown;
+        emit UnstakeCooldownUpdated(_cooldown);
+    }
+
+    /// @notice Rewards `_user` can claim in `_token` right now, excluding
+    /// queued rewards not yet released and fees the vault hasn't pulled from
+    /// the router
+    function earned(
+        address _user,
+        address _token
+    ) public view returns (uint256) {
+        return
+            rewards[_user][_token] +
+            (stakedBalance[_user] *
+                (rewardPerToken(_token) -
+                    userRewardPerTokenPaid[_user][_token])) /
+            PRECISION;
+    }
+
+    /// @notice rewardPerTokenStored including the release since it was updated
+    function rewardPerToken(address _token) public view returns (uint256) {
+        if (totalStaked == 0) {
+            return rewardPerTokenStored[_token];
+        }
+        return
+            rewardPerTokenStored[_token] +
+            (_released(_token) * PRECISION) /
+            totalStaked;
+    }
+
+    function getRewardTokens() external view returns (address[] memory) {
+        return rewardTokens;
+    }
+
+    /// @dev Queued rewards due since lastUpdateTime, spread evenly up to
+    /// periodFinish so that the whole queue is out by then
+    function _released(address _token) internal view returns (uint256) {
+        uint256 queued = queuedRewards[_token];
+        if (queued == 0 || block.timestamp >= periodFinish[_token]) {
+            return queued;
+        }
+        uint256 last = lastUpdateTime[_token];
+        return
+            (queued * (block.timestamp - last)) / (periodFinish[_token] - last);
+    }
+
+    function _releaseRewards(address _token) internal {
+        if (totalStaked == 0) {
+            // Nobody can earn, so push the end back by the idle time
+            if (queuedRewards[_token] > 0) {
+                periodFinish[_token] +=
+                    block.timestamp -
+                    lastUpdateTime[_token];
+            }
+        } else {
+            uint256 released = _released(_token);
+            queuedRewards[_token] -= released;
+            rewardPerTokenStored[_token] +=
+                (released * PRECISION) /
+                totalStaked;
+        }
+        lastUpdateTime[_token] = block.timestamp;
+    }
+
+    function _updateRewards(address _user) internal {
+        pullRewards();
+
+        for (uint256 i = 0; i < rewardTokens.length; i++) {
+            address rewardToken = rewardTokens[i];
+            rewards[_user][rewardToken] = earned(_user, rewardToken);
+            userRewardPerTokenPaid[_user][rewardToken] = rewardPerTokenStored[
+                rewardToken
+            ];
+        }
+    }
+
+    function _addRewardToken(address _token) internal {
+        require(!isRewardToken[_token], "Reward token already added");
+        require(
+            rewardTokens.length < MAX_REWARD_TOKENS,
+            "Too many reward tokens"
+        );
+        isRewardToken[_token] = true;
+        rewardTokens.push(_token);
+        emit RewardTokenAdded(_token);
+    }
+}
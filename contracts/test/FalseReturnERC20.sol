@@ -0,0 +1,20 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+// A token that signals failed transfers by returning false instead of
+// reverting, as some older ERC-20s do
+contract FalseReturnERC20 is ERC20 {
+    constructor(uint256 initialSupply) ERC20("False Return Token", "FRT") {
+        _mint(msg.sender, initialSupply);
+    }
+
+    function transferFrom(
+        address,
+        address,
+        uint256
+    ) public pure override returns (bool) {
+        return false;
+    }
+}
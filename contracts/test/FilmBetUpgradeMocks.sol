@@ -0,0 +1,31 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../FilmBet.sol";
+
+// A compatible next version: appends storage and adds a function. FilmBet's
+// initializer already ran on the proxy, so only a reinitializer is needed.
+/// @custom:oz-upgrades-unsafe-allow missing-initializer
+contract FilmBetV2Mock is FilmBet {
+    uint256 public upgradeMarker;
+
+    function initializeV2() external reinitializer(2) {
+        upgradeMarker = 2;
+    }
+
+    function version() external pure returns (string memory) {
+        return "2";
+    }
+}
+
+contract InsertedStorage {
+    uint256 internal inserted;
+}
+
+// An incompatible next version: shifts every FilmBet slot down by one
+/// @custom:oz-upgrades-unsafe-allow missing-initializer
+contract FilmBetStorageClashMock is InsertedStorage, FilmBet {
+    function initializeV2() external reinitializer(2) {
+        inserted = 2;
+    }
+}
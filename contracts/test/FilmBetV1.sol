@@ -0,0 +1,92 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
+import "../MovieRegistry.sol";
+import "../FeeRouter.sol";
+
+// Storage of FilmBet as first deployed behind the proxy, frozen as the
+// reference test/FilmBetUpgrade.ts checks every new FilmBet against.
+// Never edit it to match FilmBet: that would hide the very change the check
+// is there to catch. Once an upgrade ships, freeze its storage the same way.
+/// @custom:oz-upgrades-unsafe-allow missing-initializer
+contract FilmBetV1 is
+    Initializable,
+    OwnableUpgradeable,
+    AccessControlUpgradeable,
+    PausableUpgradeable
+{
+    enum PoolStatus {
+        Unresolved,
+        Resolved,
+        Void,
+        Disputed
+    }
+
+    enum Metric {
+        MovieCount,
+        RevenueThousands
+    }
+
+    struct BetDetail {
+        uint256 amount;
+        uint256[] stakes;
+        bool claimed;
+    }
+
+    struct BetPool {
+        uint256 id;
+        string question;
+        uint256 movieId;
+        uint256 endTime;
+        string[] outcomes;
+        uint256[] outcomeStakes;
+        uint256 totalStake;
+        uint256 exitPenalties;
+        uint256 minStake;
+        uint256 maxStake;
+        uint256 creatorBond;
+        uint256 winningOutcome;
+        PoolStatus status;
+        address creator;
+        address resolver;
+        IERC20 stakeToken;
+        uint256 disputeEnd;
+        address challenger;
+        uint256 challengeBond;
+        mapping(address => BetDetail) userBets;
+    }
+
+    struct ScalarMarket {
+        string requestType;
+        string period;
+        Metric metric;
+        uint256 line;
+        uint256 actual;
+        bool isScalar;
+    }
+
+    MovieRegistry public movieRegistry;
+    IERC20 public token;
+    mapping(address => bool) public allowedTokens;
+    uint256 public feeBasisPoints;
+    uint256 public exitPenaltyBasisPoints;
+    mapping(address => uint256) public totalFeesCollected;
+    uint256 public creatorBondAmount;
+    uint256 public creatorFeeBasisPoints;
+    mapping(address => mapping(address => uint256)) public creatorEarnings;
+    uint256 public disputePeriod;
+    uint256 public disputeBondAmount;
+    uint256 public disputeRewardBasisPoints;
+    uint256 public betPoolCount;
+    mapping(uint256 => BetPool) public betPools;
+    mapping(uint256 => ScalarMarket) public scalarMarkets;
+    mapping(uint256 => uint256[]) private moviePools;
+    mapping(address => uint256[]) private userPools;
+    FeeRouter public feeRouter;
+    uint256 public disputeRewardReserve;
+}
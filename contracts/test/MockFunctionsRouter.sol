@@ -0,0 +1,57 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {IFunctionsClient} from "@chainlink/contracts/src/v0.8/functions/v1_0_0/interfaces/IFunctionsClient.sol";
+
+// Compiles the Chainlink Functions consumer alongside FilmBet so the tests run
+// against the contract that is actually deployed
+import "../../chainlink-functions/MultiAPIConsumer.sol";
+
+// Stands in for the Chainlink Functions router: hands out request ids, keeps
+// the CBOR request data and delivers responses with the callback gas limit the
+// consumer asked for.
+// Like the real router, a failing callback doesn't revert the fulfillment.
+contract MockFunctionsRouter {
+    uint256 private nonce;
+    mapping(bytes32 => uint32) public callbackGasLimits;
+    mapping(bytes32 => bytes) public requestData;
+
+    event RequestReceived(
+        bytes32 indexed requestId,
+        address indexed client,
+        uint64 subscriptionId,
+        uint32 callbackGasLimit,
+        bytes32 donId
+    );
+    event CallbackResult(bytes32 indexed requestId, bool success, bytes returnData);
+
+    function sendRequest(
+        uint64 subscriptionId,
+        bytes calldata data,
+        uint16,
+        uint32 callbackGasLimit,
+        bytes32 donId
+    ) external returns (bytes32 requestId) {
+        requestId = keccak256(abi.encode(msg.sender, ++nonce));
+        callbackGasLimits[requestId] = callbackGasLimit;
+        requestData[requestId] = data;
+        emit RequestReceived(requestId, msg.sender, subscriptionId, callbackGasLimit, donId);
+    }
+
+    function fulfill(
+        address client,
+        bytes32 requestId,
+        bytes calldata response,
+        bytes calldata err
+    ) external returns (bool success) {
+        // Ids this router never issued get the remaining gas, so tests can probe the client's own checks
+        uint256 gasLimit = callbackGasLimits[requestId];
+        if (gasLimit == 0) gasLimit = gasleft();
+
+        bytes memory returnData;
+        (success, returnData) = client.call{gas: gasLimit}(
+            abi.encodeCall(IFunctionsClient.handleOracleFulfillment, (requestId, response, err))
+        );
+        emit CallbackResult(requestId, success, returnData);
+    }
+}
@@ -0,0 +1,20 @@
+import { buildModule } from "@nomicfoundation/hardhat-ignition/modules";
+import FilmBetModule from "./FilmBet";
+
+const BoxOfficeResolverModule = buildModule("BoxOfficeResolverModule", (m) => {
+  // Resolves through the proxy so pools survive FilmBet upgrades
+  const { FilmBet } = m.useModule(FilmBetModule);
+  // A BoxOfficeConsumer deployed from chainlink-functions/MultiAPIConsumer.sol;
+  // older consumers lack the getters recordResult reads
+  const consumerAddress = m.getParameter("consumerAddress");
+
+  const BoxOfficeResolver = m.contract(
+    "BoxOfficeResolver",
+    [FilmBet, consumerAddress],
+    {}
+  );
+
+  return { BoxOfficeResolver };
+});
+
+export default BoxOfficeResolverModule;
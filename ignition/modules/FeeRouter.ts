@@ -0,0 +1,21 @@
+import { buildModule } from "@nomicfoundation/hardhat-ignition/modules";
+
+const ONE_DAY = 24 * 60 * 60;
+
+const FeeRouterModule = buildModule("FeeRouterModule", (m) => {
+  const timelockDelay = m.getParameter("timelockDelay", 2 * ONE_DAY);
+  const creatorShareBps = m.getParameter("creatorShareBps", 0);
+  // e.g. ["<treasury>", "<staking vault>"] with shares [7000, 3000]
+  const recipients = m.getParameter("recipients");
+  const shares = m.getParameter("shares");
+
+  const FeeRouter = m.contract(
+    "FeeRouter",
+    [timelockDelay, creatorShareBps, recipients, shares],
+    {}
+  );
+
+  return { FeeRouter };
+});
+
+export default FeeRouterModule;
@@ -1,11 +1,40 @@
 import { buildModule } from "@nomicfoundation/hardhat-ignition/modules";
-import hre from "hardhat";
+
+// FilmBet lives behind a TransparentUpgradeableProxy. The proxy deploys its own
+// ProxyAdmin, owned by the deployer, which is the only account that can upgrade.
+export const FilmBetProxyModule = buildModule("FilmBetProxyModule", (m) => {
+  const proxyAdminOwner = m.getAccount(0);
+  const tokenAddress = m.getParameter(
+    "tokenAddress",
+    "0x5FbDB2315678afecb367f032d93F642f64180aa3"
+  );
+
+  const implementation = m.contract("FilmBet", [], {});
+  const initialize = m.encodeFunctionCall(implementation, "initialize", [
+    tokenAddress,
+  ]);
+  const proxy = m.contract("TransparentUpgradeableProxy", [
+    implementation,
+    proxyAdminOwner,
+    initialize,
+  ]);
+
+  const proxyAdminAddress = m.readEventArgument(
+    proxy,
+    "AdminChanged",
+    "newAdmin"
+  );
+  const proxyAdmin = m.contractAt("ProxyAdmin", proxyAdminAddress);
+
+  return { proxyAdmin, proxy };
+});
 
 const FilmBetModule = buildModule("FilmBetModule", (m) => {
-  const tokenAddress = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
-  const FilmBet = m.contract("FilmBet", [tokenAddress], {});
+  const { proxy, proxyAdmin } = m.useModule(FilmBetProxyModule);
+
+  const FilmBet = m.contractAt("FilmBet", proxy);
 
-  return { FilmBet };
+  return { FilmBet, proxy, proxyAdmin };
 });
 
 export default FilmBetModule;
@@ -0,0 +1,13 @@
+import { buildModule } from "@nomicfoundation/hardhat-ignition/modules";
+import FilmBetModule from "./FilmBet";
+
+const FilmBetLensModule = buildModule("FilmBetLensModule", (m) => {
+  // Bettors and integrations talk to the proxy, never the implementation
+  const { FilmBet } = m.useModule(FilmBetModule);
+
+  const FilmBetLens = m.contract("FilmBetLens", [FilmBet], {});
+
+  return { FilmBetLens };
+});
+
+export default FilmBetLensModule;
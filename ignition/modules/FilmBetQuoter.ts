@@ -0,0 +1,13 @@
+import { buildModule } from "@nomicfoundation/hardhat-ignition/modules";
+import FilmBetModule from "./FilmBet";
+
+const FilmBetQuoterModule = buildModule("FilmBetQuoterModule", (m) => {
+  // Bettors and integrations talk to the proxy, never the implementation
+  const { FilmBet } = m.useModule(FilmBetModule);
+
+  const FilmBetQuoter = m.contract("FilmBetQuoter", [FilmBet], {});
+
+  return { FilmBetQuoter };
+});
+
+export default FilmBetQuoterModule;
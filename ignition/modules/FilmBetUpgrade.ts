@@ -0,0 +1,23 @@
+import { buildModule } from "@nomicfoundation/hardhat-ignition/modules";
+import { FilmBetProxyModule } from "./FilmBet";
+
+// Points the existing proxy at a freshly deployed FilmBet implementation.
+// Run `npx hardhat test test/FilmBetUpgrade.ts` first to check storage layout,
+// and give the implementation a new id for every upgrade.
+const FilmBetUpgradeModule = buildModule("FilmBetUpgradeModule", (m) => {
+  const proxyAdminOwner = m.getAccount(0);
+  const { proxy, proxyAdmin } = m.useModule(FilmBetProxyModule);
+
+  const implementation = m.contract("FilmBet", [], {
+    id: "FilmBetImplementationV2",
+  });
+  m.call(proxyAdmin, "upgradeAndCall", [proxy, implementation, "0x"], {
+    from: proxyAdminOwner,
+  });
+
+  const FilmBet = m.contractAt("FilmBet", proxy, { id: "FilmBetUpgraded" });
+
+  return { FilmBet, implementation, proxy, proxyAdmin };
+});
+
+export default FilmBetUpgradeModule;
@@ -0,0 +1,9 @@
+import { buildModule } from "@nomicfoundation/hardhat-ignition/modules";
+
+const MovieRegistryModule = buildModule("MovieRegistryModule", (m) => {
+  const MovieRegistry = m.contract("MovieRegistry", [], {});
+
+  return { MovieRegistry };
+});
+
+export default MovieRegistryModule;
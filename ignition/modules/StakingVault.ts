@@ -0,0 +1,21 @@
+import { buildModule } from "@nomicfoundation/hardhat-ignition/modules";
+
+const ONE_DAY = 24 * 60 * 60;
+
+const StakingVaultModule = buildModule("StakingVaultModule", (m) => {
+  const tokenAddress = m.getParameter(
+    "tokenAddress",
+    "0x5FbDB2315678afecb367f032d93F642f64180aa3"
+  );
+  const unstakeCooldown = m.getParameter("unstakeCooldown", 7 * ONE_DAY);
+
+  const StakingVault = m.contract(
+    "StakingVault",
+    [tokenAddress, unstakeCooldown],
+    {}
+  );
+
+  return { StakingVault };
+});
+
+export default StakingVaultModule;
@@ -0,0 +1,795 @@
+import { loadFixture } from "@nomicfoundation/hardhat-toolbox/network-helpers";
+import { anyValue } from "@nomicfoundation/hardhat-chai-matchers/withArgs";
+import { expect } from "chai";
+import fs from "fs";
+import path from "path";
+import hre from "hardhat";
+
+// The JS helpers scripts use to encode and decode source.js responses
+const {
+  encodeBoxOfficeResponse,
+  decodeBoxOfficeResponse,
+  encodeMovieResponse,
+  decodeResponse,
+  parseDollars,
+} = require("../chainlink-functions/box-office-response");
+const { donIdToBytes32 } = require("../chainlink-functions/networks");
+
+// secrets.js with the toolkit's SecretsManager and env-enc stubbed out, so
+// secrets references are built without a live DON
+const secretsManagers: any[] = [];
+class MockSecretsManager {
+  static uploadSucceeds = true;
+
+  constructor(public config: any) {
+    secretsManagers.push(this);
+  }
+
+  async initialize() {}
+
+  async encryptSecrets(secrets: object) {
+    return {
+      encryptedSecrets: hre.ethers.hexlify(
+        hre.ethers.toUtf8Bytes(JSON.stringify(secrets))
+      ),
+    };
+  }
+
+  async encryptSecretsUrls(urls: string[]) {
+    return hre.ethers.hexlify(hre.ethers.toUtf8Bytes(urls.join(" ")));
+  }
+
+  async uploadEncryptedSecretsToDON(upload: any) {
+    this.config.upload = upload;
+    return { version: 5, success: MockSecretsManager.uploadSucceeds };
+  }
+}
+const { loadSecrets, buildSecretsReference, OFFCHAIN_SECRETS_PATH } = (() => {
+  const Module = require("module");
+  const load = Module._load;
+  Module._load = function (this: unknown, request: string, ...rest: unknown[]) {
+    if (request === "@chainlink/functions-toolkit") {
+      return { SecretsManager: MockSecretsManager };
+    }
+    if (request === "@chainlink/env-enc") return { config() {} };
+    return load.call(this, request, ...rest);
+  };
+  try {
+    return require("../chainlink-functions/secrets");
+  } finally {
+    Module._load = load;
+  }
+})();
+
+// Runs source.js as the DON does, with secrets and a Functions.makeHttpRequest
+// that records each request and answers the health check
+async function runSource(args: string[], secrets?: object) {
+  const requests: any[] = [];
+  const Functions = {
+    makeHttpRequest: async (request: any) => {
+      requests.push(request);
+      return { status: 200, data: "OK!" };
+    },
+    encodeUint256: (value: number) =>
+      hre.ethers.getBytes(hre.ethers.toBeHex(value, 32)),
+  };
+  const source = fs
+    .readFileSync(
+      path.join(__dirname, "../chainlink-functions/source.js"),
+      "utf8"
+    )
+    .replace('import("npm:ethers@6.10.0")', "importEthers()");
+  const AsyncFunction = Object.getPrototypeOf(async function () {}).constructor;
+  const result = await new AsyncFunction(
+    "args",
+    "secrets",
+    "Functions",
+    "console",
+    "importEthers",
+    source
+  )(args, secrets, Functions, { log() {}, error() {} }, async () =>
+    require("ethers")
+  );
+  return { result, requests };
+}
+
+// Hex of a short CBOR text string, to find the keys of encoded requests
+function cborText(text: string) {
+  return (0x60 + text.length).toString(16) + Buffer.from(text).toString("hex");
+}
+
+// Hex of a secrets location as encodeCBOR writes it: a 32-byte bignum
+function cborLocation(location: number) {
+  return "c25820" + hre.ethers.toBeHex(location, 32).slice(2);
+}
+
+const DON_ID = donIdToBytes32("fun-ethereum-sepolia-1");
+const CALLBACK_GAS_LIMIT = 300000;
+const SOURCE = "return Functions.encodeUint256(1)";
+const RequestStatus = { None: 0, Pending: 1, Fulfilled: 2, Failed: 3 };
+
+// Revenue well past 2^53, where the old 32-bit composite broke down
+const response = {
+  totalRevenue: 9_876_543_210_987_654_321n,
+  movieCount: 42n,
+  topTitleHash: hre.ethers.id("Inside Out 2"),
+  topGross: 1_234_567_890_123n,
+};
+
+describe("BoxOfficeConsumer", function () {
+  async function deployConsumerFixture() {
+    const [owner, stranger] = await hre.ethers.getSigners();
+
+    const MockFunctionsRouter = await hre.ethers.getContractFactory(
+      "MockFunctionsRouter"
+    );
+    const router = await MockFunctionsRouter.deploy();
+
+    const BoxOfficeConsumer = await hre.ethers.getContractFactory(
+      "BoxOfficeConsumer"
+    );
+    const consumer = await BoxOfficeConsumer.deploy(
+      await router.getAddress(),
+      DON_ID,
+      CALLBACK_GAS_LIMIT
+    );
+
+    // Sends a request and returns its id
+    async function sendRequest(requestType: string, args: string[]) {
+      await consumer.sendRequest(SOURCE, args, 1, requestType);
+      return consumer.s_lastRequestId();
+    }
+
+    // Delivers a response through the router, as the DON does
+    async function fulfill(requestId: string, response: string, err = "0x") {
+      return router.fulfill(
+        await consumer.getAddress(),
+        requestId,
+        response,
+        err
+      );
+    }
+
+    return { consumer, router, owner, stranger, sendRequest, fulfill };
+  }
+
+  describe("Response encoding", function () {
+    it("Should decode JS-encoded responses in Solidity", async function () {
+      const { consumer } = await loadFixture(deployConsumerFixture);
+
+      const decoded = await consumer.decodeBoxOfficeData(
+        encodeBoxOfficeResponse(response)
+      );
+
+      expect(decoded.totalRevenue).to.equal(response.totalRevenue);
+      expect(decoded.movieCount).to.equal(response.movieCount);
+      expect(decoded.topTitleHash).to.equal(response.topTitleHash);
+      expect(decoded.topGross).to.equal(response.topGross);
+    });
+
+    it("Should match the Solidity ABI encoding both ways", async function () {
+      const encoded = hre.ethers.AbiCoder.defaultAbiCoder().encode(
+        ["uint256", "uint256", "bytes32", "uint256"],
+        [
+          response.totalRevenue,
+          response.movieCount,
+          response.topTitleHash,
+          response.topGross,
+        ]
+      );
+
+      expect(encodeBoxOfficeResponse(response)).to.equal(encoded);
+      expect(decodeBoxOfficeResponse(encoded)).to.deep.equal(response);
+    });
+
+    it("Should round-trip the largest values", async function () {
+      const { consumer } = await loadFixture(deployConsumerFixture);
+      const max = {
+        totalRevenue: hre.ethers.MaxUint256,
+        movieCount: 0n,
+        topTitleHash: hre.ethers.ZeroHash,
+        topGross: hre.ethers.MaxUint256,
+      };
+
+      const encoded = encodeBoxOfficeResponse(max);
+      expect(decodeBoxOfficeResponse(encoded)).to.deep.equal(max);
+      expect(
+        (await consumer.decodeBoxOfficeData(encoded)).totalRevenue
+      ).to.equal(hre.ethers.MaxUint256);
+    });
+
+    it("Should reject values that do not fit the format", async function () {
+      expect(() =>
+        encodeBoxOfficeResponse({ ...response, totalRevenue: -1n })
+      ).to.throw("totalRevenue does not fit in a uint256");
+      expect(() =>
+        encodeBoxOfficeResponse({ ...response, topTitleHash: "0x1234" })
+      ).to.throw("topTitleHash must be a 0x-prefixed 32-byte hex string");
+      expect(() => decodeBoxOfficeResponse("0x" + "00".repeat(32))).to.throw(
+        "Box office response must be 128 bytes, got 32"
+      );
+    });
+
+    it("Should encode MOVIE responses as (gross, theaters, rank)", async function () {
+      const { consumer } = await loadFixture(deployConsumerFixture);
+      const movie = { gross: 154_201_673_921n, theaters: 4_440n, rank: 1n };
+      const encoded = hre.ethers.AbiCoder.defaultAbiCoder().encode(
+        ["uint256", "uint256", "uint256"],
+        [movie.gross, movie.theaters, movie.rank]
+      );
+
+      expect(encodeMovieResponse(movie)).to.equal(encoded);
+      expect(decodeResponse("MOVIE", encoded)).to.deep.equal(movie);
+      expect(() =>
+        decodeResponse("MOVIE", encodeBoxOfficeResponse(response))
+      ).to.throw("Movie response must be 96 bytes, got 128");
+
+      const decoded = await consumer.decodeMovieData(encoded);
+      expect(decoded.gross).to.equal(movie.gross);
+      expect(decoded.theaters).to.equal(movie.theaters);
+      expect(decoded.rank).to.equal(movie.rank);
+    });
+
+    it("Should parse API dollar amounts without losing precision", async function () {
+      expect(parseDollars("$9,764,735")).to.equal(9_764_735n);
+      expect(parseDollars("$12,345,678,901,234,567")).to.equal(
+        12_345_678_901_234_567n
+      );
+      expect(parseDollars("$1,000.75")).to.equal(1000n);
+      expect(parseDollars("n/a")).to.equal(0n);
+    });
+  });
+
+  describe("Fulfillment", function () {
+    it("Should send requests to the router with the configured DON and gas limit", async function () {
+      const { consumer, router, stranger } = await loadFixture(
+        deployConsumerFixture
+      );
+
+      await expect(
+        consumer.sendRequest(SOURCE, ["DAILY", "2024-01-15"], 7, "DAILY")
+      )
+        .to.emit(router, "RequestReceived")
+        .withArgs(
+          anyValue,
+          await consumer.getAddress(),
+          7,
+          CALLBACK_GAS_LIMIT,
+          DON_ID
+        );
+      expect(
+        await router.callbackGasLimits(await consumer.s_lastRequestId())
+      ).to.equal(CALLBACK_GAS_LIMIT);
+
+      await expect(
+        consumer
+          .connect(stranger)
+          .sendRequest(SOURCE, ["DAILY", "2024-01-15"], 7, "DAILY")
+      ).to.be.revertedWith("Only callable by owner");
+    });
+
+    it("Should store a JS-encoded response under its request type", async function () {
+      const { consumer, sendRequest, fulfill } = await loadFixture(
+        deployConsumerFixture
+      );
+
+      const requestId = await sendRequest("WEEKLY", ["WEEKLY", "2024W03"]);
+      const encoded = encodeBoxOfficeResponse(response);
+
+      await expect(fulfill(requestId, encoded))
+        // FunctionsClient declares its own RequestFulfilled(bytes32)
+        .to.emit(consumer, "RequestFulfilled(bytes32,string,bytes,uint256)")
+        .withArgs(requestId, "WEEKLY", encoded, anyValue);
+
+      const stored = await consumer.getWeeklyData(requestId);
+      expect(stored.totalRevenue).to.equal(response.totalRevenue);
+      expect(stored.topTitleHash).to.equal(response.topTitleHash);
+      expect((await consumer.getDailyData(requestId)).totalRevenue).to.equal(0);
+    });
+
+    it("Should store MOVIE responses with the movie they are for", async function () {
+      const { consumer, sendRequest, fulfill } = await loadFixture(
+        deployConsumerFixture
+      );
+
+      const requestId = await sendRequest("MOVIE", [
+        "MOVIE",
+        "2024W03",
+        "Inside Out 2",
+        "WEEKLY",
+      ]);
+      await fulfill(
+        requestId,
+        encodeMovieResponse({ gross: 101_000_000n, theaters: 4_440n, rank: 1n })
+      );
+
+      expect((await consumer.getMovieData(requestId)).gross).to.equal(
+        101_000_000n
+      );
+      expect(await consumer.getRequestMovie(requestId)).to.deep.equal([
+        "Inside Out 2",
+        "WEEKLY",
+      ]);
+    });
+
+    it("Should fail requests whose response has the wrong size", async function () {
+      const { consumer, sendRequest, fulfill } = await loadFixture(
+        deployConsumerFixture
+      );
+
+      const requestId = await sendRequest("DAILY", ["DAILY", "2024-01-15"]);
+
+      await expect(fulfill(requestId, "0x" + "00".repeat(32))).to.emit(
+        consumer,
+        "RequestFailed"
+      );
+      expect((await consumer.getDailyData(requestId)).totalRevenue).to.equal(0);
+    });
+
+    it("Should only accept fulfillments from the router", async function () {
+      const { consumer, sendRequest } = await loadFixture(
+        deployConsumerFixture
+      );
+
+      const requestId = await sendRequest("DAILY", ["DAILY", "2024-01-15"]);
+
+      await expect(
+        consumer.handleOracleFulfillment(
+          requestId,
+          encodeBoxOfficeResponse(response),
+          "0x"
+        )
+      ).to.be.revertedWithCustomError(consumer, "OnlyRouterCanFulfill");
+    });
+  });
+
+  describe("Request tracking", function () {
+    it("Should accept fulfillments in any order", async function () {
+      const { consumer, sendRequest, fulfill } = await loadFixture(
+        deployConsumerFixture
+      );
+
+      const daily = await sendRequest("DAILY", ["DAILY", "2024-01-15"]);
+      const weekly = await sendRequest("WEEKLY", ["WEEKLY", "2024W03"]);
+      const health = await sendRequest("HEALTH", ["HEALTH"]);
+
+      await fulfill(health, hre.ethers.toBeHex(1, 32));
+      await fulfill(daily, encodeBoxOfficeResponse(response));
+      await fulfill(
+        weekly,
+        encodeBoxOfficeResponse({ ...response, totalRevenue: 5n })
+      );
+
+      for (const requestId of [daily, weekly, health]) {
+        expect(await consumer.getRequestStatus(requestId)).to.equal(
+          RequestStatus.Fulfilled
+        );
+      }
+      expect(await consumer.getHealthData(health)).to.equal(1);
+      expect((await consumer.getDailyData(daily)).totalRevenue).to.equal(
+        response.totalRevenue
+      );
+      expect((await consumer.getWeeklyData(weekly)).totalRevenue).to.equal(5n);
+      expect(await consumer.getPendingRequestCount()).to.equal(0);
+    });
+
+    it("Should keep the pending set compact as requests settle", async function () {
+      const { consumer, sendRequest, fulfill } = await loadFixture(
+        deployConsumerFixture
+      );
+
+      const first = await sendRequest("DAILY", ["DAILY", "2024-01-15"]);
+      const second = await sendRequest("DAILY", ["DAILY", "2024-01-16"]);
+      const third = await sendRequest("DAILY", ["DAILY", "2024-01-17"]);
+      expect(await consumer.getPendingRequests()).to.deep.equal([
+        first,
+        second,
+        third,
+      ]);
+
+      // Removing the first id moves the last one into its slot
+      await fulfill(first, encodeBoxOfficeResponse(response));
+      expect(await consumer.getPendingRequests()).to.deep.equal([
+        third,
+        second,
+      ]);
+
+      // Removing the last id just pops it
+      await fulfill(
+        second,
+        "0x",
+        hre.ethers.hexlify(hre.ethers.toUtf8Bytes("API unavailable"))
+      );
+      expect(await consumer.getPendingRequests()).to.deep.equal([third]);
+      expect(await consumer.getRequestStatus(second)).to.equal(
+        RequestStatus.Failed
+      );
+
+      await fulfill(third, encodeBoxOfficeResponse(response));
+      expect(await consumer.getPendingRequests()).to.deep.equal([]);
+      expect(await consumer.getPendingRequestCount()).to.equal(0);
+    });
+
+    it("Should reject unknown and already settled request ids", async function () {
+      const { consumer, router, sendRequest, fulfill } = await loadFixture(
+        deployConsumerFixture
+      );
+
+      const unknown = hre.ethers.id("unknown");
+      expect(await consumer.getRequestStatus(unknown)).to.equal(
+        RequestStatus.None
+      );
+      await expect(fulfill(unknown, encodeBoxOfficeResponse(response)))
+        .to.emit(router, "CallbackResult")
+        .withArgs(
+          unknown,
+          false,
+          consumer.interface.encodeErrorResult("UnexpectedRequestID", [unknown])
+        );
+
+      const requestId = await sendRequest("DAILY", ["DAILY", "2024-01-15"]);
+      const other = await sendRequest("DAILY", ["DAILY", "2024-01-16"]);
+      await fulfill(requestId, encodeBoxOfficeResponse(response));
+
+      await expect(
+        fulfill(
+          requestId,
+          encodeBoxOfficeResponse({ ...response, totalRevenue: 1n })
+        )
+      )
+        .to.emit(router, "CallbackResult")
+        .withArgs(
+          requestId,
+          false,
+          consumer.interface.encodeErrorResult("UnexpectedRequestID", [
+            requestId,
+          ])
+        );
+
+      expect((await consumer.getDailyData(requestId)).totalRevenue).to.equal(
+        response.totalRevenue
+      );
+      expect(await consumer.getPendingRequests()).to.deep.equal([other]);
+    });
+
+    it("Should fail malformed health responses instead of leaving them pending", async function () {
+      const { consumer, sendRequest, fulfill } = await loadFixture(
+        deployConsumerFixture
+      );
+
+      const empty = await sendRequest("HEALTH", ["HEALTH"]);
+      const tooLong = await sendRequest("HEALTH", ["HEALTH"]);
+
+      await expect(fulfill(empty, "0x"))
+        .to.emit(consumer, "RequestFailed")
+        .withArgs(empty, "HEALTH", "Malformed health response", anyValue);
+      await expect(fulfill(tooLong, encodeBoxOfficeResponse(response))).to.emit(
+        consumer,
+        "RequestFailed"
+      );
+
+      expect(await consumer.getRequestStatus(empty)).to.equal(
+        RequestStatus.Failed
+      );
+      expect(await consumer.getRequestStatus(tooLong)).to.equal(
+        RequestStatus.Failed
+      );
+      expect(await consumer.getPendingRequestCount()).to.equal(0);
+    });
+  });
+
+  describe("Settings", function () {
+    it("Should not deploy with a zero gas limit", async function () {
+      const { router } = await loadFixture(deployConsumerFixture);
+      const BoxOfficeConsumer = await hre.ethers.getContractFactory(
+        "BoxOfficeConsumer"
+      );
+
+      await expect(
+        BoxOfficeConsumer.deploy(await router.getAddress(), DON_ID, 0)
+      ).to.be.revertedWithCustomError(BoxOfficeConsumer, "InvalidGasLimit");
+    });
+
+    it("Should send new requests to an updated DON with an updated gas limit", async function () {
+      const { consumer, router } = await loadFixture(deployConsumerFixture);
+      const newDonId = donIdToBytes32("fun-ethereum-sepolia-2");
+
+      await expect(consumer.setDonId(newDonId))
+        .to.emit(consumer, "DonIdUpdated")
+        .withArgs(newDonId);
+      await expect(consumer.setGasLimit(250000))
+        .to.emit(consumer, "GasLimitUpdated")
+        .withArgs(250000);
+      expect(await consumer.getDonID()).to.equal(newDonId);
+      expect(await consumer.getGasLimit()).to.equal(250000);
+
+      await expect(consumer.sendRequest(SOURCE, ["HEALTH"], 7, "HEALTH"))
+        .to.emit(router, "RequestReceived")
+        .withArgs(anyValue, await consumer.getAddress(), 7, 250000, newDonId);
+      expect(
+        await router.callbackGasLimits(await consumer.s_lastRequestId())
+      ).to.equal(250000);
+    });
+
+    it("Should reject a zero gas limit", async function () {
+      const { consumer } = await loadFixture(deployConsumerFixture);
+
+      await expect(consumer.setGasLimit(0)).to.be.revertedWithCustomError(
+        consumer,
+        "InvalidGasLimit"
+      );
+      expect(await consumer.getGasLimit()).to.equal(CALLBACK_GAS_LIMIT);
+    });
+
+    it("Should only let the owner change the DON and gas limit", async function () {
+      const { consumer, stranger } = await loadFixture(deployConsumerFixture);
+
+      await expect(
+        consumer
+          .connect(stranger)
+          .setDonId(donIdToBytes32("fun-ethereum-sepolia-2"))
+      ).to.be.revertedWith("Only callable by owner");
+      await expect(
+        consumer.connect(stranger).setGasLimit(250000)
+      ).to.be.revertedWith("Only callable by owner");
+      expect(await consumer.getDonID()).to.equal(DON_ID);
+      expect(await consumer.getGasLimit()).to.equal(CALLBACK_GAS_LIMIT);
+    });
+  });
+
+  describe("Secrets", function () {
+    it("Should reference remotely hosted secrets by their encrypted URLs", async function () {
+      const { consumer, router, stranger } = await loadFixture(
+        deployConsumerFixture
+      );
+      const args = ["DAILY", "2024-01-15"];
+
+      await expect(
+        consumer.sendRequestWithSecrets(
+          SOURCE,
+          args,
+          7,
+          "DAILY",
+          "0x1234",
+          0,
+          0
+        )
+      )
+        .to.emit(router, "RequestReceived")
+        .withArgs(
+          anyValue,
+          await consumer.getAddress(),
+          7,
+          CALLBACK_GAS_LIMIT,
+          DON_ID
+        );
+      const requestId = await consumer.s_lastRequestId();
+
+      // Location.Remote (1), then the encrypted URLs as 2 bytes
+      expect(await router.requestData(requestId)).to.contain(
+        cborText("secretsLocation") +
+          cborLocation(1) +
+          cborText("secrets") +
+          "421234"
+      );
+      expect(await consumer.getRequestStatus(requestId)).to.equal(
+        RequestStatus.Pending
+      );
+
+      await expect(
+        consumer
+          .connect(stranger)
+          .sendRequestWithSecrets(SOURCE, args, 7, "DAILY", "0x1234", 0, 0)
+      ).to.be.revertedWith("Only callable by owner");
+    });
+
+    it("Should reference DON-hosted secrets by slot and version", async function () {
+      const { consumer, router } = await loadFixture(deployConsumerFixture);
+
+      await expect(
+        consumer.sendRequestWithSecrets(
+          SOURCE,
+          ["HEALTH"],
+          7,
+          "HEALTH",
+          "0x",
+          3,
+          5
+        )
+      ).to.emit(router, "RequestReceived");
+      const data = await router.requestData(await consumer.s_lastRequestId());
+
+      // Location.DONHosted (2), then the CBOR-encoded slot and version
+      expect(data).to.contain(cborText("secretsLocation") + cborLocation(2));
+      expect(data).to.contain(
+        cborText("slotID") + "03" + cborText("version") + "05"
+      );
+    });
+
+    it("Should not send secrets requests without secrets", async function () {
+      const { consumer, router } = await loadFixture(deployConsumerFixture);
+
+      await expect(
+        consumer.sendRequestWithSecrets(
+          SOURCE,
+          ["HEALTH"],
+          7,
+          "HEALTH",
+          "0x",
+          3,
+          0
+        )
+      ).to.be.revertedWithCustomError(consumer, "MissingSecrets");
+
+      // Plain requests carry no secrets at all
+      await consumer.sendRequest(SOURCE, ["HEALTH"], 7, "HEALTH");
+      expect(
+        await router.requestData(await consumer.s_lastRequestId())
+      ).to.not.contain(cborText("secretsLocation"));
+    });
+
+    it("Should load provider secrets from the environment", async function () {
+      const names = [
+        "BOX_OFFICE_API_KEY",
+        "BOX_OFFICE_API_KEY_HEADER",
+        "BOX_OFFICE_API_URL",
+      ];
+      const saved = names.map((name) => process.env[name]);
+      try {
+        names.forEach((name) => delete process.env[name]);
+        expect(loadSecrets()).to.deep.equal({});
+
+        process.env.BOX_OFFICE_API_KEY = "key";
+        process.env.BOX_OFFICE_API_KEY_HEADER = "x-api-key";
+        process.env.BOX_OFFICE_API_URL = "https://api.example.com";
+        expect(loadSecrets()).to.deep.equal({
+          apiKey: "key",
+          apiKeyHeader: "x-api-key",
+          apiBaseUrl: "https://api.example.com",
+        });
+      } finally {
+        names.forEach((name, i) =>
+          saved[i] === undefined
+            ? delete process.env[name]
+            : (process.env[name] = saved[i])
+        );
+      }
+    });
+
+    it("Should build secrets references for the network's DON", async function () {
+      const { consumer, router } = await loadFixture(deployConsumerFixture);
+      const networkConfig = {
+        routerAddress: await router.getAddress(),
+        donName: "fun-ethereum-sepolia-1",
+        gatewayUrls: ["https://gateway.example.com"],
+      };
+      const options = { verbose: false };
+
+      const donHosted = await buildSecretsReference(
+        null,
+        networkConfig,
+        { apiKey: "key" },
+        { ...options, slotId: 3 }
+      );
+      expect(donHosted).to.deep.equal({
+        location: "donHosted",
+        encryptedSecretsUrls: "0x",
+        slotId: 3,
+        version: 5,
+      });
+      const manager = secretsManagers[secretsManagers.length - 1];
+      expect(manager.config.functionsRouterAddress).to.equal(
+        networkConfig.routerAddress
+      );
+      expect(manager.config.donId).to.equal(networkConfig.donName);
+      expect(manager.config.upload.gatewayUrls).to.deep.equal(
+        networkConfig.gatewayUrls
+      );
+
+      const remote = await buildSecretsReference(
+        null,
+        networkConfig,
+        { apiKey: "key" },
+        {
+          ...options,
+          location: "remote",
+          secretsUrls: ["https://secrets.example.com"],
+        }
+      );
+      expect(remote.encryptedSecretsUrls).to.equal(
+        hre.ethers.hexlify(
+          hre.ethers.toUtf8Bytes("https://secrets.example.com")
+        )
+      );
+      expect(remote.version).to.equal(0);
+
+      // Either reference is accepted by sendRequestWithSecrets as is
+      for (const reference of [donHosted, remote]) {
+        await expect(
+          consumer.sendRequestWithSecrets(
+            SOURCE,
+            ["HEALTH"],
+            7,
+            "HEALTH",
+            reference.encryptedSecretsUrls,
+            reference.slotId,
+            reference.version
+          )
+        ).to.emit(router, "RequestReceived");
+      }
+    });
+
+    it("Should write remote secrets to a file to host when no URLs are set", async function () {
+      const networkConfig = { routerAddress: hre.ethers.ZeroAddress };
+      const secrets = { apiKey: "key" };
+
+      try {
+        await expect(
+          buildSecretsReference(null, networkConfig, secrets, {
+            location: "remote",
+            secretsUrls: [],
+          })
+        ).to.be.rejectedWith(
+          `Encrypted secrets written to ${OFFCHAIN_SECRETS_PATH}`
+        );
+        expect(
+          JSON.parse(fs.readFileSync(OFFCHAIN_SECRETS_PATH, "utf8"))
+        ).to.deep.equal(
+          await new MockSecretsManager({}).encryptSecrets(secrets)
+        );
+      } finally {
+        fs.rmSync(OFFCHAIN_SECRETS_PATH, { force: true });
+      }
+    });
+
+    it("Should reject unsupported secrets locations and failed uploads", async function () {
+      const networkConfig = { routerAddress: hre.ethers.ZeroAddress };
+
+      await expect(
+        buildSecretsReference(null, networkConfig, {}, { location: "inline" })
+      ).to.be.rejectedWith(
+        'Unsupported secrets location: inline. Expected "donHosted" or "remote"'
+      );
+
+      MockSecretsManager.uploadSucceeds = false;
+      try {
+        await expect(
+          buildSecretsReference(null, networkConfig, {}, { verbose: false })
+        ).to.be.rejectedWith("Uploading secrets to the DON failed");
+      } finally {
+        MockSecretsManager.uploadSucceeds = true;
+      }
+    });
+
+    it("Should send the API key in the header source.js is configured with", async function () {
+      const contentType = { "Content-Type": "application/json" };
+
+      // No key: the public API, unauthenticated
+      const open = await runSource(["HEALTH"]);
+      expect(open.requests[0].url).to.equal(
+        "https://express-boxoffice.vercel.app/health"
+      );
+      expect(open.requests[0].headers).to.deep.equal(contentType);
+      expect(hre.ethers.toBigInt(open.result)).to.equal(1n);
+
+      // A key alone is sent as a bearer token
+      const bearer = await runSource(["HEALTH"], { apiKey: "key" });
+      expect(bearer.requests[0].headers).to.deep.equal({
+        ...contentType,
+        Authorization: "Bearer key",
+      });
+
+      // A header name sends the key in that header instead, to the provider's URL
+      const custom = await runSource(["HEALTH"], {
+        apiKey: "key",
+        apiKeyHeader: "x-api-key",
+        apiBaseUrl: "https://api.example.com/",
+      });
+      expect(custom.requests[0].url).to.equal("https://api.example.com/health");
+      expect(custom.requests[0].headers).to.deep.equal({
+        ...contentType,
+        "x-api-key": "key",
+      });
+    });
+  });
+});
@@ -0,0 +1,607 @@
+import {
+  time,
+  loadFixture,
+} from "@nomicfoundation/hardhat-toolbox/network-helpers";
+import { HardhatEthersSigner } from "@nomicfoundation/hardhat-ethers/signers";
+import { expect } from "chai";
+import hre from "hardhat";
+import { DEFAULT_TERMS } from "./helpers";
+
+const {
+  encodeBoxOfficeResponse,
+} = require("../chainlink-functions/box-office-response");
+const { donIdToBytes32 } = require("../chainlink-functions/networks");
+
+const CALLBACK_GAS_LIMIT = 300000;
+
+// A BoxOfficeData as source.js reports it, with revenue in whole dollars
+function boxOfficeData(movieCount: number, totalRevenue: bigint) {
+  return {
+    totalRevenue,
+    movieCount: BigInt(movieCount),
+    topTitleHash: hre.ethers.id("Inside Out 2"),
+    topGross: totalRevenue / 4n,
+  };
+}
+
+const PoolStatus = { Unresolved: 0, Resolved: 1, Void: 2 };
+const Metric = { MovieCount: 0, RevenueThousands: 1 };
+const Comparison = {
+  GreaterThan: 0,
+  GreaterOrEqual: 1,
+  LessThan: 2,
+  LessOrEqual: 3,
+  Equal: 4,
+};
+
+describe("BoxOfficeResolver", function () {
+  async function deployResolverFixture() {
+    const [owner, bettor1, bettor2, stranger] = await hre.ethers.getSigners();
+
+    const initialSupply = hre.ethers.parseEther("1000000.0");
+
+    const FilmBetERC20 = await hre.ethers.getContractFactory("FilmBetERC20");
+    const filmBetERC20 = await FilmBetERC20.deploy(initialSupply);
+
+    const FilmBet = await hre.ethers.getContractFactory("FilmBet");
+    const filmBet = await hre.upgrades.deployProxy(FilmBet, [
+      await filmBetERC20.getAddress(),
+    ]);
+
+    const MockFunctionsRouter = await hre.ethers.getContractFactory(
+      "MockFunctionsRouter"
+    );
+    const router = await MockFunctionsRouter.deploy();
+    const BoxOfficeConsumer = await hre.ethers.getContractFactory(
+      "BoxOfficeConsumer"
+    );
+    const consumer = await BoxOfficeConsumer.deploy(
+      await router.getAddress(),
+      donIdToBytes32("fun-ethereum-sepolia-1"),
+      CALLBACK_GAS_LIMIT
+    );
+
+    const BoxOfficeResolver = await hre.ethers.getContractFactory(
+      "BoxOfficeResolver"
+    );
+    const resolver = await BoxOfficeResolver.deploy(
+      await filmBet.getAddress(),
+      await consumer.getAddress()
+    );
+
+    await filmBet.grantRole(
+      await filmBet.RESOLVER_ROLE(),
+      await resolver.getAddress()
+    );
+
+    const condition = {
+      requestType: "DAILY",
+      period: "2024-01-15",
+      metric: Metric.RevenueThousands,
+      comparison: Comparison.GreaterThan,
+      threshold: 50000,
+    };
+
+    const endTime = (await time.latest()) + 1000;
+    await resolver.createConditionalPool(
+      "Will daily revenue on 2024-01-15 exceed $50M?",
+      1,
+      endTime,
+      DEFAULT_TERMS,
+      condition
+    );
+
+    return {
+      filmBet,
+      filmBetERC20,
+      resolver,
+      router,
+      consumer,
+      owner,
+      bettor1,
+      bettor2,
+      stranger,
+      endTime,
+      condition,
+    };
+  }
+
+  async function placeBet(
+    fixture: Awaited<ReturnType<typeof deployResolverFixture>>,
+    bettor: HardhatEthersSigner,
+    choice: boolean,
+    amount: bigint,
+    poolId = 1
+  ) {
+    const { filmBet, filmBetERC20 } = fixture;
+    await filmBetERC20.transfer(bettor.address, amount);
+    await filmBetERC20
+      .connect(bettor)
+      .approve(await filmBet.getAddress(), amount);
+    await filmBet.connect(bettor).placeBet(poolId, choice, amount);
+  }
+
+  // Sends a consumer request and has the mock router fulfill it with `data`
+  async function fulfillRequest(
+    fixture: Awaited<ReturnType<typeof deployResolverFixture>>,
+    requestType: string,
+    period: string,
+    data: ReturnType<typeof boxOfficeData>
+  ) {
+    const { consumer, router } = fixture;
+    await consumer.sendRequest(
+      "return Functions.encodeUint256(1)",
+      [requestType, period],
+      1,
+      requestType
+    );
+    const requestId = await consumer.s_lastRequestId();
+    await router.fulfill(
+      await consumer.getAddress(),
+      requestId,
+      encodeBoxOfficeResponse(data),
+      "0x"
+    );
+    return requestId;
+  }
+
+  // Fulfills a request and records it with the resolver
+  async function deliverResult(
+    fixture: Awaited<ReturnType<typeof deployResolverFixture>>,
+    requestType: string,
+    period: string,
+    data: ReturnType<typeof boxOfficeData>
+  ) {
+    const requestId = await fulfillRequest(fixture, requestType, period, data);
+    await fixture.resolver.recordResult(requestId);
+    return requestId;
+  }
+
+  describe("Conditional pools", function () {
+    it("Should create the pool with its condition attached", async function () {
+      const { filmBet, resolver, owner, endTime, condition } =
+        await loadFixture(deployResolverFixture);
+
+      await expect(
+        resolver.createConditionalPool(
+          "Will daily revenue on 2024-01-15 exceed $60M?",
+          1,
+          endTime,
+          DEFAULT_TERMS,
+          { ...condition, threshold: 60000 }
+        )
+      )
+        .to.emit(filmBet, "BetPoolCreated")
+        .and.to.emit(resolver, "ConditionAttached")
+        .withArgs(
+          2,
+          "DAILY",
+          "2024-01-15",
+          Metric.RevenueThousands,
+          Comparison.GreaterThan,
+          60000
+        );
+
+      const pool = await filmBet.getPool(2);
+      expect(pool.creator).to.equal(owner.address);
+      expect(pool.resolver).to.equal(await resolver.getAddress());
+      expect(await resolver.hasCondition(2)).to.equal(true);
+      expect(
+        await resolver.getConditionPools("DAILY", "2024-01-15")
+      ).to.deep.equal([1n, 2n]);
+    });
+
+    it("Should post the creator bond for the caller", async function () {
+      const { filmBet, filmBetERC20, resolver, stranger, endTime, condition } =
+        await loadFixture(deployResolverFixture);
+
+      await filmBet.setCreatorBond(50n);
+      await filmBetERC20.transfer(stranger.address, 50n);
+      await filmBetERC20
+        .connect(stranger)
+        .approve(await resolver.getAddress(), 50n);
+
+      await expect(
+        resolver
+          .connect(stranger)
+          .createConditionalPool(
+            "Will daily revenue on 2024-01-15 exceed $50M?",
+            1,
+            endTime,
+            DEFAULT_TERMS,
+            condition
+          )
+      )
+        .to.emit(filmBet, "CreatorBondPosted")
+        .withArgs(2, stranger.address, 50n);
+
+      await filmBet.cancelBetPool(2);
+      await expect(
+        filmBet.connect(stranger).reclaimCreatorBond(2)
+      ).to.changeTokenBalance(filmBetERC20, stranger, 50n);
+    });
+
+    it("Should reject a condition without a request type", async function () {
+      const { resolver, endTime, condition } = await loadFixture(
+        deployResolverFixture
+      );
+
+      await expect(
+        resolver.createConditionalPool(
+          "Will daily revenue exceed $50M?",
+          1,
+          endTime,
+          DEFAULT_TERMS,
+          { ...condition, requestType: "" }
+        )
+      ).to.be.revertedWith("Empty request type");
+    });
+
+    it("Should only let resolvers create pools for someone else", async function () {
+      const { filmBet, stranger, endTime } = await loadFixture(
+        deployResolverFixture
+      );
+
+      await expect(
+        filmBet
+          .connect(stranger)
+          .createBetPoolFor(
+            stranger.address,
+            "Will daily revenue exceed $50M?",
+            1,
+            endTime,
+            DEFAULT_TERMS
+          )
+      ).to.be.revertedWithCustomError(
+        filmBet,
+        "AccessControlUnauthorizedAccount"
+      );
+    });
+  });
+
+  describe("Recording results", function () {
+    it("Should fulfill requests within the callback gas limit", async function () {
+      const fixture = await loadFixture(deployResolverFixture);
+      const { resolver, router, condition } = fixture;
+
+      // The callback only stores the result, however many pools watch it
+      const requestId = await fulfillRequest(
+        fixture,
+        "DAILY",
+        "2024-01-15",
+        boxOfficeData(12, 61_250_999n)
+      );
+      const [fulfilled] = await router.queryFilter(
+        router.filters.CallbackResult(requestId)
+      );
+      expect(fulfilled.args.success).to.equal(true);
+    });
+
+    it("Should let anyone record a fulfilled request", async function () {
+      const fixture = await loadFixture(deployResolverFixture);
+      const { resolver, stranger } = fixture;
+
+      const requestId = await fulfillRequest(
+        fixture,
+        "DAILY",
+        "2024-01-15",
+        boxOfficeData(12, 61_250_999n)
+      );
+
+      const key = await resolver.conditionKey("DAILY", "2024-01-15");
+      await expect(resolver.connect(stranger).recordResult(requestId))
+        .to.emit(resolver, "OracleResultRecorded")
+        .withArgs(key, requestId, "DAILY", "2024-01-15", 61_250_999n, 12);
+
+      const result = await resolver.results(key);
+      expect(result.requestId).to.equal(requestId);
+      expect(result.data.totalRevenue).to.equal(61_250_999n);
+      expect(result.fulfilled).to.equal(true);
+    });
+
+    it("Should not record pending, failed or unknown requests", async function () {
+      const fixture = await loadFixture(deployResolverFixture);
+      const { resolver, consumer, router } = fixture;
+
+      await consumer.sendRequest(
+        "return Functions.encodeUint256(1)",
+        ["DAILY", "2024-01-15"],
+        1,
+        "DAILY"
+      );
+      const pending = await consumer.s_lastRequestId();
+      await expect(resolver.recordResult(pending)).to.be.revertedWith(
+        "Request not fulfilled"
+      );
+
+      await router.fulfill(
+        await consumer.getAddress(),
+        pending,
+        "0x",
+        hre.ethers.hexlify(hre.ethers.toUtf8Bytes("API unavailable"))
+      );
+      await expect(resolver.recordResult(pending)).to.be.revertedWith(
+        "Request not fulfilled"
+      );
+
+      await expect(
+        resolver.recordResult(hre.ethers.id("unknown"))
+      ).to.be.revertedWith("Request not fulfilled");
+    });
+
+    it("Should only replace a result with one from a later request", async function () {
+      const fixture = await loadFixture(deployResolverFixture);
+      const { resolver } = fixture;
+
+      const first = await fulfillRequest(
+        fixture,
+        "DAILY",
+        "2024-01-15",
+        boxOfficeData(10, 40_000_000n)
+      );
+      const second = await fulfillRequest(
+        fixture,
+        "DAILY",
+        "2024-01-15",
+        boxOfficeData(12, 61_250_999n)
+      );
+
+      await resolver.recordResult(second);
+      await expect(resolver.recordResult(first)).to.be.revertedWith(
+        "Newer result recorded"
+      );
+      await expect(resolver.recordResult(second)).to.be.revertedWith(
+        "Newer result recorded"
+      );
+
+      const key = await resolver.conditionKey("DAILY", "2024-01-15");
+      expect((await resolver.results(key)).requestId).to.equal(second);
+    });
+  });
+
+  describe("Oracle resolution", function () {
+    it("Should resolve an expired pool from the recorded result", async function () {
+      const fixture = await loadFixture(deployResolverFixture);
+      const { filmBet, resolver, bettor1, bettor2, endTime } = fixture;
+
+      await placeBet(fixture, bettor1, true, hre.ethers.parseEther("3"));
+      await placeBet(fixture, bettor2, false, hre.ethers.parseEther("1"));
+
+      await time.increaseTo(endTime + 10);
+      await deliverResult(
+        fixture,
+        "DAILY",
+        "2024-01-15",
+        boxOfficeData(12, 61_250_999n)
+      );
+
+      await expect(resolver.resolvePools([1]))
+        .to.emit(resolver, "PoolResolvedByOracle")
+        .withArgs(1, true, 61250)
+        .and.to.emit(filmBet, "BetResolved")
+        .withArgs(1, 0, await resolver.getAddress());
+
+      const pool = await filmBet.getPool(1);
+      expect(pool.status).to.equal(PoolStatus.Resolved);
+
+      await expect(filmBet.connect(bettor1).claimWinnings(1)).to.emit(
+        filmBet,
+        "WinningsClaimed"
+      );
+    });
+
+    it("Should resolve to No when the condition does not hold", async function () {
+      const fixture = await loadFixture(deployResolverFixture);
+      const { filmBet, resolver, endTime } = fixture;
+
+      await resolver.createConditionalPool(
+        "Will at least 12 movies chart on 2024-01-15?",
+        1,
+        endTime,
+        DEFAULT_TERMS,
+        {
+          requestType: "DAILY",
+          period: "2024-01-15",
+          metric: Metric.MovieCount,
+          comparison: Comparison.GreaterOrEqual,
+          threshold: 12,
+        }
+      );
+      await placeBet(
+        fixture,
+        fixture.bettor1,
+        true,
+        hre.ethers.parseEther("1"),
+        2
+      );
+      await placeBet(
+        fixture,
+        fixture.bettor2,
+        false,
+        hre.ethers.parseEther("1"),
+        2
+      );
+
+      await time.increaseTo(endTime + 10);
+      await deliverResult(
+        fixture,
+        "DAILY",
+        "2024-01-15",
+        boxOfficeData(11, 90_000_000n)
+      );
+      await resolver.resolvePool(2);
+
+      const pool = await filmBet.getPool(2);
+      expect(pool.status).to.equal(PoolStatus.Resolved);
+      expect(pool.winningOutcome).to.equal(1);
+    });
+
+    it("Should not resolve from a result requested before the pool closed", async function () {
+      const fixture = await loadFixture(deployResolverFixture);
+      const { filmBet, resolver, endTime } = fixture;
+
+      // Known while betting is open, and possibly for part of the day only
+      await deliverResult(
+        fixture,
+        "DAILY",
+        "2024-01-15",
+        boxOfficeData(10, 40_000_000n)
+      );
+
+      await time.increaseTo(endTime + 10);
+      await expect(resolver.resolvePool(1)).to.be.revertedWith(
+        "Result requested before close"
+      );
+      expect(await resolver.resolvePools.staticCall([1])).to.equal(0);
+      await expect(resolver.resolvePools([1])).not.to.emit(
+        resolver,
+        "PoolResolvedByOracle"
+      );
+      expect((await filmBet.getPool(1)).status).to.equal(PoolStatus.Unresolved);
+
+      // A request sent after the close replaces it
+      await deliverResult(
+        fixture,
+        "DAILY",
+        "2024-01-15",
+        boxOfficeData(12, 61_250_999n)
+      );
+      await expect(resolver.resolvePool(1))
+        .to.emit(resolver, "PoolResolvedByOracle")
+        .withArgs(1, true, 61250);
+    });
+
+    it("Should ignore results for other periods", async function () {
+      const fixture = await loadFixture(deployResolverFixture);
+      const { filmBet, resolver, condition, endTime } = fixture;
+
+      await time.increaseTo(endTime + 10);
+      await deliverResult(
+        fixture,
+        "DAILY",
+        "2024-01-16",
+        boxOfficeData(10, 90_000_000n)
+      );
+
+      await resolver.resolvePools([1]);
+      expect((await filmBet.getPool(1)).status).to.equal(PoolStatus.Unresolved);
+      await expect(resolver.resolvePool(1)).to.be.revertedWith(
+        "Result not available"
+      );
+    });
+
+    it("Should settle a batch of pools and skip the ones that aren't ready", async function () {
+      const fixture = await loadFixture(deployResolverFixture);
+      const { filmBet, resolver, stranger, condition, endTime } = fixture;
+
+      for (const threshold of [40000, 70000]) {
+        await resolver.createConditionalPool(
+          "Will daily revenue on 2024-01-15 exceed the line?",
+          1,
+          endTime,
+          DEFAULT_TERMS,
+          { ...condition, threshold }
+        );
+      }
+      // Pool 4 closes later, pool 5 watches another day
+      await resolver.createConditionalPool(
+        "Will daily revenue on 2024-01-15 exceed $50M?",
+        1,
+        endTime + 10000,
+        DEFAULT_TERMS,
+        condition
+      );
+      await resolver.createConditionalPool(
+        "Will daily revenue on 2024-01-16 exceed $50M?",
+        1,
+        endTime,
+        DEFAULT_TERMS,
+        { ...condition, period: "2024-01-16" }
+      );
+
+      await time.increaseTo(endTime + 10);
+      await deliverResult(
+        fixture,
+        "DAILY",
+        "2024-01-15",
+        boxOfficeData(12, 61_250_999n)
+      );
+
+      const pools = [1, 2, 3, 4, 5, 99];
+      expect(
+        await resolver.connect(stranger).resolvePools.staticCall(pools)
+      ).to.equal(3);
+      // Nobody bet on these pools, so FilmBet voids them once resolved
+      await expect(resolver.connect(stranger).resolvePools(pools))
+        .to.emit(resolver, "PoolResolvedByOracle")
+        .withArgs(1, true, 61250)
+        .and.to.emit(resolver, "PoolResolvedByOracle")
+        .withArgs(2, true, 61250)
+        .and.to.emit(resolver, "PoolResolvedByOracle")
+        .withArgs(3, false, 61250);
+
+      expect((await filmBet.getPool(4)).status).to.equal(PoolStatus.Unresolved);
+      expect((await filmBet.getPool(5)).status).to.equal(PoolStatus.Unresolved);
+
+      // Settled pools are skipped on the next pass
+      expect(await resolver.resolvePools.staticCall(pools)).to.equal(0);
+    });
+
+    it("Should settle a scalar pool from the reported figure", async function () {
+      const fixture = await loadFixture(deployResolverFixture);
+      const { filmBet, resolver, bettor1, stranger } = fixture;
+
+      const endTime = (await time.latest()) + 1000;
+      await filmBet.createScalarPool(
+        "Daily box office on 2024-01-15 over/under $50M",
+        1,
+        endTime,
+        await resolver.getAddress(),
+        "DAILY",
+        "2024-01-15",
+        Metric.RevenueThousands,
+        50000,
+        DEFAULT_TERMS
+      );
+
+      await expect(resolver.attachScalarPool(1)).to.be.revertedWith(
+        "Not a scalar pool"
+      );
+      await filmBet.createScalarPool(
+        "Daily box office on 2024-01-15 over/under $50M",
+        1,
+        endTime,
+        hre.ethers.ZeroAddress,
+        "DAILY",
+        "2024-01-15",
+        Metric.RevenueThousands,
+        50000,
+        DEFAULT_TERMS
+      );
+      await expect(resolver.attachScalarPool(3)).to.be.revertedWith(
+        "Pool not resolved by oracle"
+      );
+
+      // The terms live in FilmBet, so anyone can attach, even after bets
+      await placeBet(fixture, bettor1, true, hre.ethers.parseEther("1"), 2);
+      await resolver.connect(stranger).attachScalarPool(2);
+      await expect(resolver.attachScalarPool(2)).to.be.revertedWith(
+        "Condition already attached"
+      );
+
+      await time.increaseTo(endTime + 10);
+      await deliverResult(
+        fixture,
+        "DAILY",
+        "2024-01-15",
+        boxOfficeData(12, 48_500_000n)
+      );
+
+      await expect(resolver.resolvePools([2]))
+        .to.emit(resolver, "ScalarPoolResolvedByOracle")
+        .withArgs(2, 48500)
+        .and.to.emit(filmBet, "ScalarResultReported")
+        .withArgs(2, 48500, 50000);
+    });
+  });
+});
@@ -0,0 +1,318 @@
+import {
+  time,
+  loadFixture,
+} from "@nomicfoundation/hardhat-toolbox/network-helpers";
+import { expect } from "chai";
+import hre from "hardhat";
+import { DEFAULT_TERMS } from "./helpers";
+
+const DAY = 24 * 60 * 60;
+
+describe("FeeRouter", function () {
+  async function deployRouterFixture() {
+    const [owner, treasury, vault, creator, account1, account2] =
+      await hre.ethers.getSigners();
+
+    const FilmBetERC20 = await hre.ethers.getContractFactory("FilmBetERC20");
+    const filmBetERC20 = await FilmBetERC20.deploy(
+      hre.ethers.parseEther("1000000.0")
+    );
+    const FilmBet = await hre.ethers.getContractFactory("FilmBet");
+    const filmBet = await hre.upgrades.deployProxy(FilmBet, [
+      await filmBetERC20.getAddress(),
+    ]);
+    await filmBet.grantRole(await filmBet.RESOLVER_ROLE(), owner.address);
+
+    // A quarter of each fee to the pool creator, the rest 70/30 to the
+    // treasury and the staking vault
+    const FeeRouter = await hre.ethers.getContractFactory("FeeRouter");
+    const feeRouter = await FeeRouter.deploy(
+      2 * DAY,
+      2500,
+      [treasury.address, vault.address],
+      [7000, 3000]
+    );
+
+    return {
+      filmBet,
+      filmBetERC20,
+      feeRouter,
+      owner,
+      treasury,
+      vault,
+      creator,
+      account1,
+      account2,
+    };
+  }
+
+  // Pool 1 by `creator`: 3000 on Yes from account1 and 1000 on No from
+  // account2, resolved Yes. account1's claim pays a fee of 80.
+  async function claimedFixture() {
+    const fixture = await deployRouterFixture();
+    const { filmBet, filmBetERC20, feeRouter, creator, account1, account2 } =
+      fixture;
+    await filmBet.setFeeRouter(feeRouter.getAddress());
+
+    const endTime = (await time.latest()) + 1000;
+    await filmBet
+      .connect(creator)
+      .createBetPool(
+        "Will the sequel open above the original?",
+        1,
+        endTime,
+        hre.ethers.ZeroAddress,
+        DEFAULT_TERMS
+      );
+    for (const [account, choice, amount] of [
+      [account1, true, 3000n],
+      [account2, false, 1000n],
+    ] as const) {
+      await filmBetERC20.transfer(account.address, amount);
+      await filmBetERC20.connect(account).approve(filmBet.getAddress(), amount);
+      await filmBet.connect(account).placeBet(1, choice, amount);
+    }
+    await time.increaseTo(endTime);
+    await filmBet.resolveBetPool(1, true);
+    await filmBet.connect(account1).claimWinnings(1);
+
+    return fixture;
+  }
+
+  describe("Deployment", function () {
+    it("Should set the initial split", async function () {
+      const { feeRouter, treasury, vault } = await loadFixture(
+        deployRouterFixture
+      );
+
+      expect(await feeRouter.timelockDelay()).to.equal(2 * DAY);
+      expect(await feeRouter.creatorShareBps()).to.equal(2500);
+      expect(await feeRouter.getRecipients()).to.deep.equal([
+        [treasury.address, vault.address],
+        [7000n, 3000n],
+      ]);
+    });
+
+    it("Should reject splits that don't add up", async function () {
+      const { treasury, vault } = await loadFixture(deployRouterFixture);
+      const FeeRouter = await hre.ethers.getContractFactory("FeeRouter");
+
+      await expect(
+        FeeRouter.deploy(
+          DAY,
+          0,
+          [treasury.address, vault.address],
+          [7000, 2000]
+        )
+      ).to.be.revertedWith("Shares must total 100%");
+      await expect(
+        FeeRouter.deploy(DAY, 0, [treasury.address], [7000, 3000])
+      ).to.be.revertedWith("Invalid recipients");
+      await expect(
+        FeeRouter.deploy(DAY, 0, [hre.ethers.ZeroAddress], [10000])
+      ).to.be.revertedWith("Invalid recipients");
+      await expect(
+        FeeRouter.deploy(DAY, 5001, [treasury.address], [10000])
+      ).to.be.revertedWith("Max creator share is 50%");
+    });
+  });
+
+  describe("Timelocked changes", function () {
+    it("Should only apply a proposed split after the delay", async function () {
+      const { feeRouter, treasury, vault } = await loadFixture(
+        deployRouterFixture
+      );
+
+      const tx = await feeRouter.proposeSplit(
+        1000,
+        [treasury.address, vault.address],
+        [5000, 5000]
+      );
+      const eta = (await time.latest()) + 2 * DAY;
+      await expect(tx)
+        .to.emit(feeRouter, "SplitProposed")
+        .withArgs(1000, [treasury.address, vault.address], [5000, 5000], eta);
+      expect(await feeRouter.getPendingSplit()).to.deep.equal([
+        1000n,
+        [treasury.address, vault.address],
+        [5000n, 5000n],
+        BigInt(eta),
+      ]);
+
+      await expect(feeRouter.executeSplit()).to.be.revertedWith(
+        "Timelock not expired"
+      );
+      expect(await feeRouter.creatorShareBps()).to.equal(2500);
+
+      await time.increaseTo(eta);
+      await expect(feeRouter.executeSplit())
+        .to.emit(feeRouter, "SplitUpdated")
+        .withArgs(1000, [treasury.address, vault.address], [5000, 5000]);
+      expect(await feeRouter.creatorShareBps()).to.equal(1000);
+      expect(await feeRouter.getRecipients()).to.deep.equal([
+        [treasury.address, vault.address],
+        [5000n, 5000n],
+      ]);
+      expect(await feeRouter.pendingSplitEta()).to.equal(0);
+    });
+
+    it("Should let the owner cancel a pending split", async function () {
+      const { feeRouter, treasury } = await loadFixture(deployRouterFixture);
+
+      await expect(feeRouter.cancelSplit()).to.be.revertedWith(
+        "No pending split"
+      );
+      await feeRouter.proposeSplit(0, [treasury.address], [10000]);
+      await expect(feeRouter.cancelSplit()).to.emit(
+        feeRouter,
+        "SplitCancelled"
+      );
+
+      await time.increase(2 * DAY);
+      await expect(feeRouter.executeSplit()).to.be.revertedWith(
+        "No pending split"
+      );
+    });
+
+    it("Should only let the owner change the split", async function () {
+      const { feeRouter, treasury } = await loadFixture(deployRouterFixture);
+
+      await expect(
+        feeRouter.connect(treasury).proposeSplit(0, [treasury.address], [10000])
+      ).to.be.revertedWithCustomError(feeRouter, "OwnableUnauthorizedAccount");
+      await expect(
+        feeRouter.proposeSplit(0, [treasury.address], [9000])
+      ).to.be.revertedWith("Shares must total 100%");
+    });
+  });
+
+  describe("Routing FilmBet fees", function () {
+    it("Should only set the router once", async function () {
+      const { filmBet, feeRouter, account1 } = await loadFixture(
+        deployRouterFixture
+      );
+
+      await expect(
+        filmBet.connect(account1).setFeeRouter(feeRouter.getAddress())
+      ).to.be.revertedWithCustomError(filmBet, "OwnableUnauthorizedAccount");
+      await expect(filmBet.setFeeRouter(feeRouter.getAddress()))
+        .to.emit(filmBet, "FeeRouterSet")
+        .withArgs(await feeRouter.getAddress());
+      await expect(filmBet.setFeeRouter(account1.address)).to.be.revertedWith(
+        "Fee router already set"
+      );
+    });
+
+    it("Should take the creator share from the router", async function () {
+      const { filmBet, filmBetERC20, creator } = await loadFixture(
+        claimedFixture
+      );
+
+      expect(await filmBet.creatorEarnings(creator, filmBetERC20)).to.equal(
+        20n
+      );
+      await expect(filmBet.setCreatorFeeShare(1000)).to.be.revertedWith(
+        "Set through fee router"
+      );
+    });
+
+    it("Should forward claim fees to the router as they are paid", async function () {
+      const { filmBet, filmBetERC20, feeRouter, treasury, vault } =
+        await loadFixture(claimedFixture);
+
+      expect(await filmBet.totalFeesCollected(filmBetERC20)).to.equal(0);
+      expect(await filmBetERC20.balanceOf(feeRouter)).to.equal(60n);
+      expect(await feeRouter.owed(filmBetERC20, treasury)).to.equal(42n);
+      expect(await feeRouter.owed(filmBetERC20, vault)).to.equal(18n);
+    });
+
+    it("Should sweep other fees to the router and split them", async function () {
+      const { filmBet, filmBetERC20, feeRouter, treasury, vault, creator } =
+        await loadFixture(claimedFixture);
+
+      // A slashed creator bond lands in the collected fees
+      await filmBet.setCreatorBond(50n);
+      await filmBetERC20.transfer(creator.address, 50n);
+      await filmBetERC20.connect(creator).approve(filmBet.getAddress(), 50n);
+      await filmBet
+        .connect(creator)
+        .createBetPool(
+          "Will this pool be cancelled?",
+          1,
+          (await time.latest()) + 1000,
+          hre.ethers.ZeroAddress,
+          DEFAULT_TERMS
+        );
+      await filmBet.cancelInvalidPool(2);
+
+      const tx = filmBet.connect(vault).withdrawFees(filmBetERC20);
+      await expect(tx)
+        .to.emit(feeRouter, "FeesDistributed")
+        .withArgs(await filmBetERC20.getAddress(), 50n);
+      await expect(tx).to.changeTokenBalances(
+        filmBetERC20,
+        [filmBet, feeRouter],
+        [-50n, 50n]
+      );
+      expect(await filmBet.totalFeesCollected(filmBetERC20)).to.equal(0);
+
+      expect(await feeRouter.owed(filmBetERC20, treasury)).to.equal(42n + 35n);
+      expect(await feeRouter.owed(filmBetERC20, vault)).to.equal(18n + 15n);
+    });
+
+    it("Should let each recipient pull their share", async function () {
+      const { filmBetERC20, feeRouter, treasury, vault, account1 } =
+        await loadFixture(claimedFixture);
+
+      await expect(feeRouter.connect(treasury).claim(filmBetERC20))
+        .to.emit(feeRouter, "FeesClaimed")
+        .withArgs(await filmBetERC20.getAddress(), treasury.address, 42n);
+      await expect(
+        feeRouter.connect(vault).claim(filmBetERC20)
+      ).to.changeTokenBalance(filmBetERC20, vault, 18n);
+
+      await expect(
+        feeRouter.connect(vault).claim(filmBetERC20)
+      ).to.be.revertedWith("Nothing to claim");
+      await expect(
+        feeRouter.connect(account1).claim(filmBetERC20)
+      ).to.be.revertedWith("Nothing to claim");
+      expect(await feeRouter.accounted(filmBetERC20)).to.equal(0);
+    });
+
+    it("Should give rounding dust to the first recipient", async function () {
+      const { filmBetERC20, feeRouter, treasury, vault } = await loadFixture(
+        deployRouterFixture
+      );
+
+      await filmBetERC20.transfer(feeRouter.getAddress(), 11n);
+      await feeRouter.distribute(filmBetERC20);
+
+      expect(await feeRouter.owed(filmBetERC20, treasury)).to.equal(8n);
+      expect(await feeRouter.owed(filmBetERC20, vault)).to.equal(3n);
+    });
+
+    it("Should not apply a new split to fees already distributed", async function () {
+      const { filmBetERC20, feeRouter, treasury, vault } = await loadFixture(
+        claimedFixture
+      );
+
+      await feeRouter.proposeSplit(0, [vault.address], [10000]);
+      await time.increase(2 * DAY);
+      await feeRouter.executeSplit();
+
+      await expect(
+        feeRouter.connect(treasury).claim(filmBetERC20)
+      ).to.changeTokenBalance(filmBetERC20, treasury, 42n);
+      expect(await feeRouter.creatorShareBps()).to.equal(0);
+    });
+
+    it("Should need a router to withdraw fees", async function () {
+      const { filmBet, filmBetERC20 } = await loadFixture(deployRouterFixture);
+
+      await expect(filmBet.withdrawFees(filmBetERC20)).to.be.revertedWith(
+        "Fee router not set"
+      );
+    });
+  });
+});
@@ -3,8 +3,10 @@ import {
   loadFixture,
 } from "@nomicfoundation/hardhat-toolbox/network-helpers";
 import { anyValue } from "@nomicfoundation/hardhat-chai-matchers/withArgs";
+import { HardhatEthersSigner } from "@nomicfoundation/hardhat-ethers/signers";
 import { expect } from "chai";
 import hre from "hardhat";
+import { DEFAULT_TERMS } from "./helpers";
 
 describe("FilmBet", function () {
   async function deployFilmBetFixture() {
@@ -19,13 +21,15 @@ describe("FilmBet", function () {
     const filmBetERC20 = await FilmBetERC20.deploy(initialSupply);
 
     const tokenAddress = await filmBetERC20.getAddress();
-    const filmBet = await FilmBet.deploy(tokenAddress);
+    const filmBet = await hre.upgrades.deployProxy(FilmBet, [tokenAddress]);
 
     await filmBetERC20.transfer(
       await filmBet.getAddress(),
       hre.ethers.parseEther("1000")
     );
 
+    await filmBet.grantRole(await filmBet.RESOLVER_ROLE(), owner.address);
+
     return {
       filmBet,
       tokenAddress,
@@ -40,6 +44,19 @@ describe("FilmBet", function () {
     };
   }
 
+  async function placeBet(
+    fixture: Awaited<ReturnType<typeof deployFilmBetFixture>>,
+    account: HardhatEthersSigner,
+    poolId: number,
+    choice: boolean,
+    amount: bigint
+  ) {
+    const { filmBet, filmBetERC20 } = fixture;
+    await filmBetERC20.transfer(account.address, amount);
+    await filmBetERC20.connect(account).approve(filmBet.getAddress(), amount);
+    await filmBet.connect(account).placeBet(poolId, choice, amount);
+  }
+
   describe("Deployment", function () {
     it("Should set the right token address", async function () {
       const { filmBet, tokenAddress } = await loadFixture(deployFilmBetFixture);
@@ -86,9 +103,20 @@ describe("FilmBet", function () {
       const movieId = 1;
       const endTime = (await time.latest()) + 86400;
 
-      await expect(filmBet.createBetPool(question, movieId, endTime))
+      await expect(
+        filmBet.createBetPool(
+          question,
+          movieId,
+          endTime,
+          hre.ethers.ZeroAddress,
+          DEFAULT_TERMS
+        )
+      )
         .to.emit(filmBet, "BetPoolCreated")
-        .withArgs(1, question, movieId, endTime);
+        .withArgs(1, question, movieId, endTime, hre.ethers.ZeroAddress, [
+          "Yes",
+          "No",
+        ]);
     });
 
     it("Should not allow creating a bet pool with past end time", async function () {
@@ -100,7 +128,13 @@ describe("FilmBet", function () {
       const endTime = (await time.latest()) - 1000; // Past time
 
       await expect(
-        filmBet.createBetPool(question, movieId, endTime)
+        filmBet.createBetPool(
+          question,
+          movieId,
+          endTime,
+          hre.ethers.ZeroAddress,
+          DEFAULT_TERMS
+        )
       ).to.be.revertedWith("End time must be in the future");
     });
   });
@@ -116,7 +150,13 @@ describe("FilmBet", function () {
       const movieId = 1;
       const endTime = (await time.latest()) + 1200000;
 
-      await filmBet.createBetPool(question, movieId, endTime);
+      await filmBet.createBetPool(
+        question,
+        movieId,
+        endTime,
+        hre.ethers.ZeroAddress,
+        DEFAULT_TERMS
+      );
 
       const betAmount = hre.ethers.parseEther("1.0");
 
@@ -124,7 +164,7 @@ describe("FilmBet", function () {
 
       await expect(filmBet.placeBet(1, true, betAmount))
         .to.emit(filmBet, "BetPlaced")
-        .withArgs(1, owner.address, true, betAmount);
+        .withArgs(1, owner.address, 0, betAmount);
     });
 
     it("Should not allow placing a bet after the pool has ended", async function () {
@@ -137,7 +177,13 @@ describe("FilmBet", function () {
       const movieId = 1;
       const endTime = (await time.latest()) + 1000;
 
-      await filmBet.createBetPool(question, movieId, endTime);
+      await filmBet.createBetPool(
+        question,
+        movieId,
+        endTime,
+        hre.ethers.ZeroAddress,
+        DEFAULT_TERMS
+      );
 
       setTimeout(async () => {
         const betAmount = hre.ethers.parseEther("1.0");
@@ -170,7 +216,13 @@ describe("FilmBet", function () {
       const movieId = 1;
       const endTime = (await time.latest()) + 1000;
 
-      await filmBet.createBetPool(question, movieId, endTime);
+      await filmBet.createBetPool(
+        question,
+        movieId,
+        endTime,
+        hre.ethers.ZeroAddress,
+        DEFAULT_TERMS
+      );
 
       const accounts = [
         account1,
@@ -230,10 +282,2101 @@ describe("FilmBet", function () {
         }
       }
 
-      const totalFees = await filmBet.totalFeesCollected();
+      const totalFees = await filmBet.totalFeesCollected(filmBetERC20);
       console.log(`Total fees collected by FilmBet: ${totalFees.toString()}`);
     });
   });
 
-});
+  describe("Resolver role", function () {
+    async function expiredPoolFixture() {
+      const fixture = await deployFilmBetFixture();
+      const { filmBet } = fixture;
+
+      const endTime = (await time.latest()) + 1000;
+      await filmBet.createBetPool(
+        "Will Ballerina open above $30M?",
+        1,
+        endTime,
+        hre.ethers.ZeroAddress,
+        DEFAULT_TERMS
+      );
+      await placeBet(fixture, fixture.account2, 1, true, 100n);
+      await placeBet(fixture, fixture.account3, 1, false, 100n);
+      await time.increaseTo(endTime + 10);
+
+      return fixture;
+    }
+
+    it("Should not allow an account without the resolver role to resolve", async function () {
+      const { filmBet, account1 } = await loadFixture(expiredPoolFixture);
+
+      await expect(filmBet.connect(account1).resolveBetPool(1, true))
+        .to.be.revertedWithCustomError(
+          filmBet,
+          "AccessControlUnauthorizedAccount"
+        )
+        .withArgs(account1.address, await filmBet.RESOLVER_ROLE());
+    });
+
+    it("Should not allow the owner to resolve once its role is revoked", async function () {
+      const { filmBet, owner } = await loadFixture(expiredPoolFixture);
+
+      await filmBet.revokeRole(await filmBet.RESOLVER_ROLE(), owner.address);
+
+      await expect(
+        filmBet.resolveBetPool(1, true)
+      ).to.be.revertedWithCustomError(
+        filmBet,
+        "AccessControlUnauthorizedAccount"
+      );
+    });
+
+    it("Should only let admins grant the resolver role", async function () {
+      const { filmBet, account1, account2 } = await loadFixture(
+        expiredPoolFixture
+      );
+
+      await expect(
+        filmBet
+          .connect(account1)
+          .grantRole(await filmBet.RESOLVER_ROLE(), account2.address)
+      ).to.be.revertedWithCustomError(
+        filmBet,
+        "AccessControlUnauthorizedAccount"
+      );
+    });
+
+    it("Should let any resolver settle an open pool and record who did", async function () {
+      const { filmBet, account1 } = await loadFixture(expiredPoolFixture);
+
+      await filmBet.grantRole(await filmBet.RESOLVER_ROLE(), account1.address);
+
+      await expect(filmBet.connect(account1).resolveBetPool(1, false))
+        .to.emit(filmBet, "BetResolved")
+        .withArgs(1, 1, account1.address);
+
+      expect((await filmBet.getPool(1)).resolver).to.equal(account1.address);
+    });
+
+    it("Should only let the designated resolver settle its pool", async function () {
+      const fixture = await loadFixture(deployFilmBetFixture);
+      const { filmBet, account1 } = fixture;
+
+      await filmBet.grantRole(await filmBet.RESOLVER_ROLE(), account1.address);
+
+      const endTime = (await time.latest()) + 1000;
+      await expect(
+        filmBet.createBetPool(
+          "Will Ballerina open above $30M?",
+          1,
+          endTime,
+          account1.address,
+          DEFAULT_TERMS
+        )
+      )
+        .to.emit(filmBet, "BetPoolCreated")
+        .withArgs(
+          1,
+          "Will Ballerina open above $30M?",
+          1,
+          endTime,
+          account1.address,
+          ["Yes", "No"]
+        );
+
+      await placeBet(fixture, fixture.account2, 1, true, 100n);
+      await placeBet(fixture, fixture.account3, 1, false, 100n);
+      await time.increaseTo(endTime + 10);
+
+      await expect(filmBet.resolveBetPool(1, true)).to.be.revertedWith(
+        "Not the pool resolver"
+      );
+
+      await expect(filmBet.connect(account1).resolveBetPool(1, true))
+        .to.emit(filmBet, "BetResolved")
+        .withArgs(1, 0, account1.address);
+    });
+
+    it("Should not designate a resolver without the role", async function () {
+      const { filmBet, account1 } = await loadFixture(deployFilmBetFixture);
+
+      await expect(
+        filmBet.createBetPool(
+          "Will Ballerina open above $30M?",
+          1,
+          (await time.latest()) + 1000,
+          account1.address,
+          DEFAULT_TERMS
+        )
+      ).to.be.revertedWith("Resolver lacks role");
+    });
+  });
+
+  describe("Void and refunds", function () {
+    const PoolStatus = { Unresolved: 0, Resolved: 1, Void: 2 };
+
+    async function openPoolFixture() {
+      const fixture = await deployFilmBetFixture();
+
+      const endTime = (await time.latest()) + 1000;
+      await fixture.filmBet.createBetPool(
+        "Will Ballerina open above $30M?",
+        1,
+        endTime,
+        hre.ethers.ZeroAddress,
+        DEFAULT_TERMS
+      );
+
+      return { ...fixture, endTime };
+    }
+
+    it("Should void the pool when nobody picked the winning side", async function () {
+      const fixture = await loadFixture(openPoolFixture);
+      const { filmBet, filmBetERC20, account1, account2, endTime } = fixture;
+
+      await placeBet(fixture, account1, 1, false, hre.ethers.parseEther("4"));
+      await placeBet(fixture, account2, 1, false, hre.ethers.parseEther("6"));
+      await time.increaseTo(endTime + 10);
+
+      await expect(filmBet.resolveBetPool(1, true))
+        .to.emit(filmBet, "BetPoolVoided")
+        .withArgs(1, anyValue);
+
+      await expect(
+        filmBet.connect(account1).claimWinnings(1)
+      ).to.be.revertedWith("Pool voided");
+
+      await expect(filmBet.connect(account1).claimRefund(1))
+        .to.emit(filmBet, "RefundClaimed")
+        .withArgs(1, account1.address, hre.ethers.parseEther("4"));
+      await filmBet.connect(account2).claimRefund(1);
+
+      expect(await filmBetERC20.balanceOf(account1.address)).to.equal(
+        hre.ethers.parseEther("4")
+      );
+      expect(await filmBetERC20.balanceOf(account2.address)).to.equal(
+        hre.ethers.parseEther("6")
+      );
+      expect(await filmBet.totalFeesCollected(filmBetERC20)).to.equal(0);
+    });
+
+    it("Should void the pool when everyone picked the same side", async function () {
+      const fixture = await loadFixture(openPoolFixture);
+      const { filmBet, account1, endTime } = fixture;
+
+      await placeBet(fixture, account1, 1, true, hre.ethers.parseEther("4"));
+      await time.increaseTo(endTime + 10);
+
+      await filmBet.resolveBetPool(1, true);
+
+      expect((await filmBet.getPool(1)).status).to.equal(PoolStatus.Void);
+      await expect(filmBet.connect(account1).claimRefund(1))
+        .to.emit(filmBet, "RefundClaimed")
+        .withArgs(1, account1.address, hre.ethers.parseEther("4"));
+    });
+
+    it("Should let the owner cancel a pool and refund every stake", async function () {
+      const fixture = await loadFixture(openPoolFixture);
+      const { filmBet, filmBetERC20, owner, account1, account2 } = fixture;
+
+      await placeBet(fixture, account1, 1, true, hre.ethers.parseEther("2"));
+      await placeBet(fixture, account2, 1, false, hre.ethers.parseEther("3"));
+
+      await expect(filmBet.cancelBetPool(1))
+        .to.emit(filmBet, "BetPoolCancelled")
+        .withArgs(1, owner.address);
+
+      await filmBet.connect(account1).claimRefund(1);
+      await filmBet.connect(account2).claimRefund(1);
+
+      expect(await filmBetERC20.balanceOf(account1.address)).to.equal(
+        hre.ethers.parseEther("2")
+      );
+      expect(await filmBetERC20.balanceOf(account2.address)).to.equal(
+        hre.ethers.parseEther("3")
+      );
+    });
+
+    it("Should stop accepting bets once cancelled", async function () {
+      const fixture = await loadFixture(openPoolFixture);
+      const { filmBet, filmBetERC20, account1 } = fixture;
+
+      await filmBet.cancelBetPool(1);
+
+      await filmBetERC20.transfer(account1.address, 10n);
+      await filmBetERC20.connect(account1).approve(filmBet.getAddress(), 10n);
+      await expect(
+        filmBet.connect(account1).placeBet(1, true, 10n)
+      ).to.be.revertedWith("Betting closed");
+    });
+
+    it("Should let the pool resolver cancel but not other accounts", async function () {
+      const { filmBet, account1, account2 } = await loadFixture(
+        deployFilmBetFixture
+      );
+
+      const resolverRole = await filmBet.RESOLVER_ROLE();
+      await filmBet.grantRole(resolverRole, account1.address);
+      await filmBet.grantRole(resolverRole, account2.address);
+      await filmBet.createBetPool(
+        "Will Ballerina open above $30M?",
+        1,
+        (await time.latest()) + 1000,
+        account1.address,
+        DEFAULT_TERMS
+      );
+
+      await expect(
+        filmBet.connect(account2).cancelBetPool(1)
+      ).to.be.revertedWith("Not owner or resolver");
+
+      await expect(filmBet.connect(account1).cancelBetPool(1))
+        .to.emit(filmBet, "BetPoolCancelled")
+        .withArgs(1, account1.address);
+    });
+
+    it("Should not cancel a resolved pool", async function () {
+      const fixture = await loadFixture(openPoolFixture);
+      const { filmBet, account1, account2, endTime } = fixture;
+
+      await placeBet(fixture, account1, 1, true, 100n);
+      await placeBet(fixture, account2, 1, false, 100n);
+      await time.increaseTo(endTime + 10);
+      await filmBet.resolveBetPool(1, true);
+
+      await expect(filmBet.cancelBetPool(1)).to.be.revertedWith(
+        "Already resolved"
+      );
+      await expect(filmBet.connect(account2).claimRefund(1)).to.be.revertedWith(
+        "Pool not voided"
+      );
+    });
+
+    it("Should not refund twice", async function () {
+      const fixture = await loadFixture(openPoolFixture);
+      const { filmBet, account1 } = fixture;
+
+      await placeBet(fixture, account1, 1, true, 100n);
+      await filmBet.cancelBetPool(1);
+      await filmBet.connect(account1).claimRefund(1);
+
+      await expect(filmBet.connect(account1).claimRefund(1)).to.be.revertedWith(
+        "Already claimed"
+      );
+    });
+  });
+
+  describe("Multi-outcome pools", function () {
+    const brackets = ["Under $50M", "$50M-$100M", "$100M-$150M", "Over $150M"];
+
+    async function bracketPoolFixture() {
+      const fixture = await deployFilmBetFixture();
+
+      const endTime = (await time.latest()) + 1000;
+      await fixture.filmBet.createMultiOutcomePool(
+        "How much will Ballerina make on its opening weekend?",
+        1,
+        endTime,
+        hre.ethers.ZeroAddress,
+        brackets,
+        DEFAULT_TERMS
+      );
+
+      return { ...fixture, endTime };
+    }
+
+    async function placeOutcomeBet(
+      fixture: Awaited<ReturnType<typeof bracketPoolFixture>>,
+      account: HardhatEthersSigner,
+      outcome: number,
+      amount: bigint
+    ) {
+      const { filmBet, filmBetERC20 } = fixture;
+      await filmBetERC20.transfer(account.address, amount);
+      await filmBetERC20.connect(account).approve(filmBet.getAddress(), amount);
+      await filmBet.connect(account).placeOutcomeBet(1, outcome, amount);
+    }
+
+    it("Should create a pool with named outcomes", async function () {
+      const { filmBet } = await loadFixture(deployFilmBetFixture);
+      const endTime = (await time.latest()) + 1000;
+
+      await expect(
+        filmBet.createMultiOutcomePool(
+          "How much will Ballerina make on its opening weekend?",
+          1,
+          endTime,
+          hre.ethers.ZeroAddress,
+          brackets,
+          DEFAULT_TERMS
+        )
+      )
+        .to.emit(filmBet, "BetPoolCreated")
+        .withArgs(
+          1,
+          "How much will Ballerina make on its opening weekend?",
+          1,
+          endTime,
+          hre.ethers.ZeroAddress,
+          brackets
+        );
+
+      const pool = await filmBet.getPool(1);
+      expect(pool.outcomes).to.deep.equal(brackets);
+      expect(pool.outcomeStakes).to.deep.equal([0n, 0n, 0n, 0n]);
+    });
+
+    it("Should reject pools with fewer than two or too many outcomes", async function () {
+      const { filmBet } = await loadFixture(deployFilmBetFixture);
+      const endTime = (await time.latest()) + 1000;
+
+      await expect(
+        filmBet.createMultiOutcomePool(
+          "Question",
+          1,
+          endTime,
+          hre.ethers.ZeroAddress,
+          ["Only"],
+          DEFAULT_TERMS
+        )
+      ).to.be.revertedWith("Invalid outcome count");
+
+      await expect(
+        filmBet.createMultiOutcomePool(
+          "Question",
+          1,
+          endTime,
+          hre.ethers.ZeroAddress,
+          Array.from({ length: 17 }, (_, i) => `Outcome ${i}`),
+          DEFAULT_TERMS
+        )
+      ).to.be.revertedWith("Invalid outcome count");
+    });
+
+    it("Should track stake per outcome", async function () {
+      const fixture = await loadFixture(bracketPoolFixture);
+      const { filmBet, account1, account2, account3 } = fixture;
+
+      await placeOutcomeBet(fixture, account1, 1, 300n);
+      await placeOutcomeBet(fixture, account2, 1, 200n);
+      await placeOutcomeBet(fixture, account3, 3, 500n);
+
+      const pool = await filmBet.getPool(1);
+      expect(pool.outcomeStakes).to.deep.equal([0n, 500n, 0n, 500n]);
+      expect(pool.totalStake).to.equal(1000n);
+
+      const bet = await filmBet.getUserBet(1, account3.address);
+      expect(bet.stakes).to.deep.equal([0n, 0n, 0n, 500n]);
+      expect(bet.amount).to.equal(500n);
+    });
+
+    it("Should reject invalid outcome indexes and yes/no bets", async function () {
+      const fixture = await loadFixture(bracketPoolFixture);
+      const { filmBet, filmBetERC20, account1 } = fixture;
+
+      await filmBetERC20.transfer(account1.address, 100n);
+      await filmBetERC20.connect(account1).approve(filmBet.getAddress(), 100n);
+
+      await expect(
+        filmBet.connect(account1).placeOutcomeBet(1, 4, 100n)
+      ).to.be.revertedWith("Invalid outcome");
+      await expect(
+        filmBet.connect(account1).placeBet(1, true, 100n)
+      ).to.be.revertedWith("Not a yes/no pool");
+    });
+
+    it("Should pay winners their share of every outcome's stake", async function () {
+      const fixture = await loadFixture(bracketPoolFixture);
+      const { filmBet, filmBetERC20, account1, account2, account3, account4 } =
+        fixture;
+
+      const unit = hre.ethers.parseEther("1");
+      await placeOutcomeBet(fixture, account1, 0, 2n * unit);
+      await placeOutcomeBet(fixture, account2, 2, 1n * unit);
+      await placeOutcomeBet(fixture, account3, 2, 3n * unit);
+      await placeOutcomeBet(fixture, account4, 3, 4n * unit);
+
+      await time.increaseTo(fixture.endTime + 10);
+
+      await expect(filmBet.resolveOutcome(1, 4)).to.be.revertedWith(
+        "Invalid outcome"
+      );
+      await expect(filmBet.resolveBetPool(1, true)).to.be.revertedWith(
+        "Not a yes/no pool"
+      );
+      await expect(filmBet.resolveOutcome(1, 2))
+        .to.emit(filmBet, "BetResolved")
+        .withArgs(1, 2, anyValue);
+
+      // 10 staked in total, 4 on the winning bracket, 2% fee
+      await expect(filmBet.connect(account2).claimWinnings(1))
+        .to.emit(filmBet, "WinningsClaimed")
+        .withArgs(1, account2.address, (unit * 10n * 98n) / 4n / 100n);
+      await expect(filmBet.connect(account3).claimWinnings(1))
+        .to.emit(filmBet, "WinningsClaimed")
+        .withArgs(1, account3.address, (unit * 30n * 98n) / 4n / 100n);
+
+      await expect(
+        filmBet.connect(account1).claimWinnings(1)
+      ).to.be.revertedWith("You did not win");
+
+      expect(await filmBet.totalFeesCollected(filmBetERC20)).to.equal(
+        (unit * 10n * 2n) / 100n
+      );
+      expect(await filmBetERC20.balanceOf(await filmBet.getAddress())).to.equal(
+        hre.ethers.parseEther("1000") + (unit * 10n * 2n) / 100n
+      );
+    });
+
+    it("Should void when the winning bracket has no stake", async function () {
+      const fixture = await loadFixture(bracketPoolFixture);
+      const { filmBet, account1, account2 } = fixture;
+
+      await placeOutcomeBet(fixture, account1, 0, 100n);
+      await placeOutcomeBet(fixture, account2, 1, 100n);
+      await time.increaseTo(fixture.endTime + 10);
+
+      await expect(filmBet.resolveOutcome(1, 3)).to.emit(
+        filmBet,
+        "BetPoolVoided"
+      );
+      await expect(filmBet.connect(account1).claimRefund(1))
+        .to.emit(filmBet, "RefundClaimed")
+        .withArgs(1, account1.address, 100n);
+    });
+  });
+
+  describe("Scalar pools", function () {
+    const Metric = { MovieCount: 0, RevenueThousands: 1 };
+    const OVER = 0;
+    const UNDER = 1;
+
+    async function scalarPoolFixture() {
+      const fixture = await deployFilmBetFixture();
+      const { filmBet, account1, account2 } = fixture;
+
+      const endTime = (await time.latest()) + 1000;
+      await filmBet.createScalarPool(
+        "Week 3 box office over/under $150M",
+        1,
+        endTime,
+        hre.ethers.ZeroAddress,
+        "WEEKLY",
+        "2024-3",
+        Metric.RevenueThousands,
+        150000,
+        DEFAULT_TERMS
+      );
+
+      for (const [account, outcome] of [
+        [account1, OVER],
+        [account2, UNDER],
+      ] as const) {
+        await fixture.filmBetERC20.transfer(account.address, 100n);
+        await fixture.filmBetERC20
+          .connect(account)
+          .approve(filmBet.getAddress(), 100n);
+        await filmBet.connect(account).placeOutcomeBet(1, outcome, 100n);
+      }
+
+      await time.increaseTo(endTime + 10);
+
+      return fixture;
+    }
+
+    it("Should create an over/under pool with its line", async function () {
+      const { filmBet } = await loadFixture(deployFilmBetFixture);
+      const endTime = (await time.latest()) + 1000;
+
+      await expect(
+        filmBet.createScalarPool(
+          "Week 3 box office over/under $150M",
+          1,
+          endTime,
+          hre.ethers.ZeroAddress,
+          "WEEKLY",
+          "2024-3",
+          Metric.RevenueThousands,
+          150000,
+          DEFAULT_TERMS
+        )
+      )
+        .to.emit(filmBet, "ScalarPoolCreated")
+        .withArgs(1, "WEEKLY", "2024-3", Metric.RevenueThousands, 150000);
+
+      expect((await filmBet.getPool(1)).outcomes).to.deep.equal([
+        "Over",
+        "Under",
+      ]);
+      const market = await filmBet.scalarMarkets(1);
+      expect(market.line).to.equal(150000);
+      expect(market.isScalar).to.equal(true);
+    });
+
+    it("Should settle Over when the figure beats the line", async function () {
+      const { filmBet, account1 } = await loadFixture(scalarPoolFixture);
+
+      await expect(filmBet.resolveScalarPool(1, 150001))
+        .to.emit(filmBet, "ScalarResultReported")
+        .withArgs(1, 150001, 150000)
+        .and.to.emit(filmBet, "BetResolved")
+        .withArgs(1, OVER, anyValue);
+
+      await expect(filmBet.connect(account1).claimWinnings(1))
+        .to.emit(filmBet, "WinningsClaimed")
+        .withArgs(1, account1.address, 196n);
+    });
+
+    it("Should settle Under when the figure misses the line", async function () {
+      const { filmBet, account2 } = await loadFixture(scalarPoolFixture);
+
+      await expect(filmBet.resolveScalarPool(1, 90000))
+        .to.emit(filmBet, "BetResolved")
+        .withArgs(1, UNDER, anyValue);
+
+      expect((await filmBet.scalarMarkets(1)).actual).to.equal(90000);
+      await expect(filmBet.connect(account2).claimWinnings(1)).to.emit(
+        filmBet,
+        "WinningsClaimed"
+      );
+    });
+
+    it("Should refund everyone on a push", async function () {
+      const { filmBet, filmBetERC20, account1, account2 } = await loadFixture(
+        scalarPoolFixture
+      );
+
+      await expect(filmBet.resolveScalarPool(1, 150000)).to.emit(
+        filmBet,
+        "BetPoolVoided"
+      );
+
+      await filmBet.connect(account1).claimRefund(1);
+      await filmBet.connect(account2).claimRefund(1);
+      expect(await filmBetERC20.balanceOf(account1.address)).to.equal(100n);
+      expect(await filmBetERC20.balanceOf(account2.address)).to.equal(100n);
+    });
+
+    it("Should only settle scalar pools from the actual figure", async function () {
+      const { filmBet, account1 } = await loadFixture(scalarPoolFixture);
+
+      await expect(filmBet.resolveBetPool(1, true)).to.be.revertedWith(
+        "Resolve with actual figure"
+      );
+      await expect(filmBet.resolveOutcome(1, OVER)).to.be.revertedWith(
+        "Resolve with actual figure"
+      );
+      await expect(
+        filmBet.connect(account1).resolveScalarPool(1, 1)
+      ).to.be.revertedWithCustomError(
+        filmBet,
+        "AccessControlUnauthorizedAccount"
+      );
+    });
+
+    it("Should not settle a yes/no pool from a figure", async function () {
+      const { filmBet } = await loadFixture(deployFilmBetFixture);
+
+      await filmBet.createBetPool(
+        "Will Ballerina open above $30M?",
+        1,
+        (await time.latest()) + 1000,
+        hre.ethers.ZeroAddress,
+        DEFAULT_TERMS
+      );
+
+      await expect(filmBet.resolveScalarPool(1, 1)).to.be.revertedWith(
+        "Not a scalar pool"
+      );
+    });
+  });
+
+  describe("Multiple positions", function () {
+    async function twoSidedPoolFixture() {
+      const fixture = await deployFilmBetFixture();
+      const { filmBet, filmBetERC20, account1 } = fixture;
+
+      const endTime = (await time.latest()) + 1000;
+      await filmBet.createBetPool(
+        "Will Ballerina open above $30M?",
+        1,
+        endTime,
+        hre.ethers.ZeroAddress,
+        DEFAULT_TERMS
+      );
+
+      await filmBetERC20.transfer(account1.address, 1000n);
+      await filmBetERC20.connect(account1).approve(filmBet.getAddress(), 1000n);
+
+      return { ...fixture, endTime };
+    }
+
+    it("Should let a user top up a position", async function () {
+      const { filmBet, account1 } = await loadFixture(twoSidedPoolFixture);
+
+      await filmBet.connect(account1).placeBet(1, true, 100n);
+      await expect(filmBet.connect(account1).placeBet(1, true, 50n))
+        .to.emit(filmBet, "BetPlaced")
+        .withArgs(1, account1.address, 0, 50n);
+
+      const bet = await filmBet.getUserBet(1, account1.address);
+      expect(bet.amount).to.equal(150n);
+      expect(bet.stakes).to.deep.equal([150n, 0n]);
+      expect((await filmBet.getPool(1)).outcomeStakes).to.deep.equal([
+        150n,
+        0n,
+      ]);
+    });
+
+    it("Should track a hedged position on each side separately", async function () {
+      const { filmBet, account1 } = await loadFixture(twoSidedPoolFixture);
+
+      await filmBet.connect(account1).placeBet(1, true, 100n);
+      await filmBet.connect(account1).placeBet(1, false, 40n);
+
+      const bet = await filmBet.getUserBet(1, account1.address);
+      expect(bet.amount).to.equal(140n);
+      expect(bet.stakes).to.deep.equal([100n, 40n]);
+    });
+
+    it("Should only pay out the winning side of a hedged position", async function () {
+      const fixture = await loadFixture(twoSidedPoolFixture);
+      const { filmBet, account1, account2, endTime } = fixture;
+
+      const unit = hre.ethers.parseEther("1");
+      await placeBet(fixture, account2, 1, false, 60n * unit);
+      await fixture.filmBetERC20.transfer(account1.address, 140n * unit);
+      await fixture.filmBetERC20
+        .connect(account1)
+        .approve(filmBet.getAddress(), 140n * unit);
+      await filmBet.connect(account1).placeBet(1, true, 100n * unit);
+      await filmBet.connect(account1).placeBet(1, false, 40n * unit);
+
+      await time.increaseTo(endTime + 10);
+      await filmBet.resolveBetPool(1, false);
+
+      // 200 staked, 100 on No of which 40 is account1's, 2% fee
+      await expect(filmBet.connect(account1).claimWinnings(1))
+        .to.emit(filmBet, "WinningsClaimed")
+        .withArgs(1, account1.address, (40n * 200n * 98n * unit) / 100n / 100n);
+      await expect(filmBet.connect(account2).claimWinnings(1))
+        .to.emit(filmBet, "WinningsClaimed")
+        .withArgs(1, account2.address, (60n * 200n * 98n * unit) / 100n / 100n);
+      await expect(
+        filmBet.connect(account1).claimWinnings(1)
+      ).to.be.revertedWith("Already claimed");
+    });
+
+    it("Should refund every side of a position when voided", async function () {
+      const { filmBet, filmBetERC20, account1 } = await loadFixture(
+        twoSidedPoolFixture
+      );
+
+      await filmBet.connect(account1).placeBet(1, true, 100n);
+      await filmBet.connect(account1).placeBet(1, false, 40n);
+      await filmBet.cancelBetPool(1);
+
+      await expect(filmBet.connect(account1).claimRefund(1))
+        .to.emit(filmBet, "RefundClaimed")
+        .withArgs(1, account1.address, 140n);
+      expect(await filmBetERC20.balanceOf(account1.address)).to.equal(1000n);
+    });
+
+    it("Should reject empty bets", async function () {
+      const { filmBet, account1 } = await loadFixture(twoSidedPoolFixture);
+
+      await expect(
+        filmBet.connect(account1).placeBet(1, true, 0)
+      ).to.be.revertedWith("Amount must be positive");
+    });
+  });
+
+  describe("Cash out", function () {
+    async function cashOutFixture() {
+      const fixture = await deployFilmBetFixture();
+      const { filmBet, account1, account2, account3 } = fixture;
+
+      const endTime = (await time.latest()) + 1000;
+      await filmBet.createBetPool(
+        "Will Ballerina open above $30M?",
+        1,
+        endTime,
+        hre.ethers.ZeroAddress,
+        DEFAULT_TERMS
+      );
+
+      await placeBet(fixture, account1, 1, true, 1000n);
+      await placeBet(fixture, account2, 1, true, 1000n);
+      await placeBet(fixture, account3, 1, false, 2000n);
 
+      return { ...fixture, endTime };
+    }
+
+    it("Should return the position minus the exit penalty", async function () {
+      const { filmBet, filmBetERC20, account1 } = await loadFixture(
+        cashOutFixture
+      );
+
+      await expect(filmBet.connect(account1).cashOut(1, 0, 400n))
+        .to.emit(filmBet, "CashedOut")
+        .withArgs(1, account1.address, 0, 400n, 20n);
+
+      expect(await filmBetERC20.balanceOf(account1.address)).to.equal(380n);
+
+      const bet = await filmBet.getUserBet(1, account1.address);
+      expect(bet.amount).to.equal(600n);
+      expect(bet.stakes).to.deep.equal([600n, 0n]);
+
+      const pool = await filmBet.getPool(1);
+      expect(pool.outcomeStakes).to.deep.equal([1600n, 2000n]);
+      expect(pool.totalStake).to.equal(3600n);
+      expect(pool.exitPenalties).to.equal(20n);
+    });
+
+    it("Should share the penalty with the remaining winners", async function () {
+      const { filmBet, filmBetERC20, account1, account2, account3, endTime } =
+        await loadFixture(cashOutFixture);
+
+      await filmBet.setPlatformFee(0);
+      await filmBet.connect(account1).cashOut(1, 0, 1000n);
+
+      await time.increaseTo(endTime + 10);
+      await filmBet.resolveBetPool(1, true);
+
+      // 1000 + 2000 stakes and the 50 penalty all go to account2
+      await expect(filmBet.connect(account2).claimWinnings(1))
+        .to.emit(filmBet, "WinningsClaimed")
+        .withArgs(1, account2.address, 3050n);
+      expect(await filmBetERC20.balanceOf(await filmBet.getAddress())).to.equal(
+        hre.ethers.parseEther("1000")
+      );
+      await expect(
+        filmBet.connect(account3).claimWinnings(1)
+      ).to.be.revertedWith("You did not win");
+    });
+
+    it("Should share the penalty in refunds when the pool is voided", async function () {
+      const { filmBet, account1, account2, account3 } = await loadFixture(
+        cashOutFixture
+      );
+
+      await filmBet.connect(account1).cashOut(1, 0, 1000n);
+      await filmBet.cancelBetPool(1);
+
+      await expect(filmBet.connect(account2).claimRefund(1))
+        .to.emit(filmBet, "RefundClaimed")
+        .withArgs(1, account2.address, 1016n);
+      await expect(filmBet.connect(account3).claimRefund(1))
+        .to.emit(filmBet, "RefundClaimed")
+        .withArgs(1, account3.address, 2033n);
+    });
+
+    it("Should not cash out more than the position on that outcome", async function () {
+      const { filmBet, account1, account3 } = await loadFixture(cashOutFixture);
+
+      await expect(
+        filmBet.connect(account1).cashOut(1, 1, 1n)
+      ).to.be.revertedWith("Insufficient position");
+      await expect(
+        filmBet.connect(account3).cashOut(1, 1, 2001n)
+      ).to.be.revertedWith("Insufficient position");
+    });
+
+    it("Should not cash out once betting has closed", async function () {
+      const { filmBet, account1, endTime } = await loadFixture(cashOutFixture);
+
+      await time.increaseTo(endTime + 10);
+
+      await expect(
+        filmBet.connect(account1).cashOut(1, 0, 100n)
+      ).to.be.revertedWith("Betting closed");
+    });
+
+    it("Should let the owner configure the exit penalty", async function () {
+      const { filmBet, account1 } = await loadFixture(cashOutFixture);
+
+      await expect(filmBet.setExitPenalty(1000))
+        .to.emit(filmBet, "ExitPenaltyUpdated")
+        .withArgs(1000);
+      await expect(filmBet.setExitPenalty(1001)).to.be.revertedWith(
+        "Max penalty is 10%"
+      );
+      await expect(
+        filmBet.connect(account1).setExitPenalty(0)
+      ).to.be.revertedWithCustomError(filmBet, "OwnableUnauthorizedAccount");
+
+      await expect(filmBet.connect(account1).cashOut(1, 0, 1000n))
+        .to.emit(filmBet, "CashedOut")
+        .withArgs(1, account1.address, 0, 1000n, 100n);
+    });
+  });
+
+  describe("Batch claiming", function () {
+    // Pools 1-3 resolve Yes; account1 wins 1 and 2 but loses 3, pool 4 stays open
+    async function manyPoolsFixture() {
+      const fixture = await deployFilmBetFixture();
+      const { filmBet, account1, account2 } = fixture;
+
+      const endTime = (await time.latest()) + 1000;
+      for (let i = 0; i < 4; i++) {
+        await filmBet.createBetPool(
+          `Question ${i + 1}`,
+          i + 1,
+          endTime + (i === 3 ? 10000 : 0),
+          hre.ethers.ZeroAddress,
+          DEFAULT_TERMS
+        );
+      }
+
+      await placeBet(fixture, account1, 1, true, 100n);
+      await placeBet(fixture, account2, 1, false, 100n);
+      await placeBet(fixture, account1, 2, true, 300n);
+      await placeBet(fixture, account2, 2, false, 100n);
+      await placeBet(fixture, account1, 3, false, 100n);
+      await placeBet(fixture, account2, 3, true, 100n);
+      await placeBet(fixture, account1, 4, true, 100n);
+
+      await time.increaseTo(endTime + 10);
+      for (let poolId = 1; poolId <= 3; poolId++) {
+        await filmBet.resolveBetPool(poolId, true);
+      }
+
+      return fixture;
+    }
+
+    it("Should claim several pools in one transfer and skip the rest", async function () {
+      const { filmBet, filmBetERC20, account1 } = await loadFixture(
+        manyPoolsFixture
+      );
+
+      const tx = filmBet.connect(account1).claimMany([1, 2, 3, 4, 99]);
+      await expect(tx)
+        .to.emit(filmBet, "WinningsClaimed")
+        .withArgs(1, account1.address, 196n)
+        .and.to.emit(filmBet, "WinningsClaimed")
+        .withArgs(2, account1.address, 392n);
+      await expect(tx).to.changeTokenBalance(filmBetERC20, account1, 588n);
+
+      const receipt = await (await tx).wait();
+      const transfers = receipt!.logs.filter(
+        (log) => log.address === filmBetERC20.target
+      );
+      expect(transfers).to.have.lengthOf(1);
+
+      expect(await filmBet.totalFeesCollected(filmBetERC20)).to.equal(12n);
+      expect((await filmBet.getUserBet(1, account1)).claimed).to.equal(true);
+      expect((await filmBet.getUserBet(2, account1)).claimed).to.equal(true);
+    });
+
+    it("Should skip pools already claimed individually", async function () {
+      const { filmBet, filmBetERC20, account1 } = await loadFixture(
+        manyPoolsFixture
+      );
+
+      await filmBet.connect(account1).claimWinnings(1);
+
+      await expect(
+        filmBet.connect(account1).claimMany([1, 1, 2])
+      ).to.changeTokenBalance(filmBetERC20, account1, 392n);
+    });
+
+    it("Should not transfer anything when nothing is claimable", async function () {
+      const { filmBet, filmBetERC20, account1 } = await loadFixture(
+        manyPoolsFixture
+      );
+
+      await expect(
+        filmBet.connect(account1).claimMany([3, 4])
+      ).to.changeTokenBalance(filmBetERC20, account1, 0);
+    });
+  });
+
+  describe("Creator bonds and stake limits", function () {
+    async function bondedPoolFixture() {
+      const fixture = await deployFilmBetFixture();
+      const { filmBet, filmBetERC20, account3 } = fixture;
+
+      await filmBet.setCreatorBond(50n);
+      await filmBetERC20.transfer(account3.address, 50n);
+      await filmBetERC20.connect(account3).approve(filmBet.getAddress(), 50n);
+
+      const endTime = (await time.latest()) + 1000;
+      await filmBet
+        .connect(account3)
+        .createBetPool(
+          "Will the sequel open above $80M?",
+          1,
+          endTime,
+          hre.ethers.ZeroAddress,
+          DEFAULT_TERMS
+        );
+
+      return { ...fixture, creator: account3, endTime };
+    }
+
+    it("Should take the creator bond when a pool is created", async function () {
+      const { filmBet, filmBetERC20, creator } = await loadFixture(
+        bondedPoolFixture
+      );
+
+      expect(await filmBetERC20.balanceOf(creator.address)).to.equal(0);
+      const { creatorBond } = await filmBet.betPools(1);
+      expect(creatorBond).to.equal(50n);
+    });
+
+    it("Should not create a pool without the bond", async function () {
+      const { filmBet, account4 } = await loadFixture(bondedPoolFixture);
+
+      await expect(
+        filmBet
+          .connect(account4)
+          .createBetPool(
+            "Unbonded question",
+            1,
+            (await time.latest()) + 1000,
+            hre.ethers.ZeroAddress,
+            DEFAULT_TERMS
+          )
+      ).to.be.reverted;
+    });
+
+    it("Should return the bond after the pool is resolved", async function () {
+      const fixture = await loadFixture(bondedPoolFixture);
+      const { filmBet, filmBetERC20, creator, account1, account2, endTime } =
+        fixture;
+
+      await placeBet(fixture, account1, 1, true, 100n);
+      await placeBet(fixture, account2, 1, false, 100n);
+
+      await expect(
+        filmBet.connect(creator).reclaimCreatorBond(1)
+      ).to.be.revertedWith("Bet not resolved");
+
+      await time.increaseTo(endTime + 10);
+      await filmBet.resolveBetPool(1, true);
+
+      await expect(
+        filmBet.connect(account1).reclaimCreatorBond(1)
+      ).to.be.revertedWith("Only pool creator");
+      await expect(
+        filmBet.connect(creator).reclaimCreatorBond(1)
+      ).to.changeTokenBalance(filmBetERC20, creator, 50n);
+      await expect(
+        filmBet.connect(creator).reclaimCreatorBond(1)
+      ).to.be.revertedWith("No bond to reclaim");
+    });
+
+    it("Should slash the bond when the owner cancels the pool as invalid", async function () {
+      const fixture = await loadFixture(bondedPoolFixture);
+      const { filmBet, filmBetERC20, creator, account1 } = fixture;
+
+      await placeBet(fixture, account1, 1, true, 100n);
+
+      await expect(
+        filmBet.connect(creator).cancelInvalidPool(1)
+      ).to.be.revertedWithCustomError(filmBet, "OwnableUnauthorizedAccount");
+
+      await expect(filmBet.cancelInvalidPool(1))
+        .to.emit(filmBet, "CreatorBondSlashed")
+        .withArgs(1, creator.address, 50n)
+        .and.to.emit(filmBet, "BetPoolVoided");
+
+      expect(await filmBet.totalFeesCollected(filmBetERC20)).to.equal(50n);
+      await expect(
+        filmBet.connect(creator).reclaimCreatorBond(1)
+      ).to.be.revertedWith("No bond to reclaim");
+    });
+
+    it("Should keep the bond reclaimable after an ordinary cancellation", async function () {
+      const { filmBet, filmBetERC20, creator } = await loadFixture(
+        bondedPoolFixture
+      );
+
+      await filmBet.cancelBetPool(1);
+
+      await expect(
+        filmBet.connect(creator).reclaimCreatorBond(1)
+      ).to.changeTokenBalance(filmBetERC20, creator, 50n);
+    });
+
+    it("Should enforce the stake limits set at creation", async function () {
+      const fixture = await loadFixture(deployFilmBetFixture);
+      const { filmBet, account1 } = fixture;
+      const endTime = (await time.latest()) + 1000;
+
+      await expect(
+        filmBet.createBetPool(
+          "Limited pool",
+          1,
+          endTime,
+          hre.ethers.ZeroAddress,
+          {
+            ...DEFAULT_TERMS,
+            minStake: 100n,
+            maxStake: 10n,
+          }
+        )
+      ).to.be.revertedWith("Max below min stake");
+
+      await expect(
+        filmBet.createBetPool(
+          "Limited pool",
+          1,
+          endTime,
+          hre.ethers.ZeroAddress,
+          {
+            ...DEFAULT_TERMS,
+            minStake: 10n,
+            maxStake: 100n,
+          }
+        )
+      )
+        .to.emit(filmBet, "StakeLimitsSet")
+        .withArgs(1, 10n, 100n);
+
+      await expect(placeBet(fixture, account1, 1, true, 5n)).to.be.revertedWith(
+        "Below minimum stake"
+      );
+
+      await placeBet(fixture, account1, 1, true, 60n);
+      await expect(
+        placeBet(fixture, account1, 1, false, 50n)
+      ).to.be.revertedWith("Above maximum stake");
+      await placeBet(fixture, account1, 1, false, 40n);
+    });
+
+    it("Should pay the creator a share of the fee on each claim", async function () {
+      const fixture = await loadFixture(bondedPoolFixture);
+      const { filmBet, filmBetERC20, creator, account1, account2, endTime } =
+        fixture;
+
+      await expect(filmBet.setCreatorFeeShare(5001)).to.be.revertedWith(
+        "Max creator share is 50%"
+      );
+      await filmBet.setCreatorFeeShare(2500);
+
+      await placeBet(fixture, account1, 1, true, 100n);
+      await placeBet(fixture, account2, 1, false, 100n);
+      await time.increaseTo(endTime + 10);
+      await filmBet.resolveBetPool(1, true);
+
+      // 200 pot, 4 fee: 1 to the creator, 3 to the platform
+      await expect(
+        filmBet.connect(account1).claimWinnings(1)
+      ).to.changeTokenBalance(filmBetERC20, account1, 196n);
+      expect(
+        await filmBet.creatorEarnings(creator.address, filmBetERC20)
+      ).to.equal(1n);
+      expect(await filmBet.totalFeesCollected(filmBetERC20)).to.equal(3n);
+
+      await expect(
+        filmBet.connect(creator).withdrawCreatorEarnings(filmBetERC20)
+      )
+        .to.emit(filmBet, "CreatorEarningsWithdrawn")
+        .withArgs(creator.address, await filmBetERC20.getAddress(), 1n);
+      await expect(
+        filmBet.connect(creator).withdrawCreatorEarnings(filmBetERC20)
+      ).to.be.revertedWith("No earnings");
+    });
+  });
+
+  describe("Disputes", function () {
+    const DISPUTE_PERIOD = 3600;
+
+    // Pool 1 resolved Yes: account1 bet Yes, account2 bet No
+    async function disputedPoolFixture() {
+      const fixture = await deployFilmBetFixture();
+      const { filmBet, filmBetERC20, owner, account1, account2, account3 } =
+        fixture;
+
+      await filmBet.setDisputeTerms(DISPUTE_PERIOD, 50n, 5000);
+      await filmBet.grantRole(await filmBet.ARBITER_ROLE(), owner.address);
+
+      const endTime = (await time.latest()) + 1000;
+      await filmBet.createBetPool(
+        "Will the remake outgross the original?",
+        1,
+        endTime,
+        hre.ethers.ZeroAddress,
+        DEFAULT_TERMS
+      );
+      await placeBet(fixture, account1, 1, true, 100n);
+      await placeBet(fixture, account2, 1, false, 100n);
+
+      await time.increaseTo(endTime + 10);
+      await filmBet.resolveBetPool(1, true);
+      const resolvedAt = await time.latest();
+
+      await filmBetERC20.transfer(account3.address, 50n);
+      await filmBetERC20.connect(account3).approve(filmBet.getAddress(), 50n);
+
+      return { ...fixture, challenger: account3, resolvedAt };
+    }
+
+    it("Should freeze claims until the dispute period ends", async function () {
+      const { filmBet, account1, resolvedAt } = await loadFixture(
+        disputedPoolFixture
+      );
+
+      const [disputeEnd] = await filmBet.getDispute(1);
+      expect(disputeEnd).to.equal(resolvedAt + DISPUTE_PERIOD);
+
+      await expect(
+        filmBet.connect(account1).claimWinnings(1)
+      ).to.be.revertedWith("Dispute period active");
+
+      await time.increaseTo(disputeEnd);
+      await expect(filmBet.connect(account1).claimWinnings(1)).to.emit(
+        filmBet,
+        "WinningsClaimed"
+      );
+    });
+
+    it("Should let any holder challenge with a bond", async function () {
+      const { filmBet, filmBetERC20, account1, challenger } = await loadFixture(
+        disputedPoolFixture
+      );
+
+      const tx = filmBet.connect(challenger).challengeResolution(1);
+      await expect(tx)
+        .to.emit(filmBet, "ResolutionChallenged")
+        .withArgs(1, challenger.address, 50n);
+      await expect(tx).to.changeTokenBalance(filmBetERC20, challenger, -50n);
+
+      expect((await filmBet.getPool(1)).status).to.equal(3);
+      const [, recordedChallenger, bond] = await filmBet.getDispute(1);
+      expect(recordedChallenger).to.equal(challenger.address);
+      expect(bond).to.equal(50n);
+
+      await time.increase(DISPUTE_PERIOD);
+      await expect(
+        filmBet.connect(account1).claimWinnings(1)
+      ).to.be.revertedWith("Outcome disputed");
+      await expect(
+        filmBet.connect(challenger).challengeResolution(1)
+      ).to.be.revertedWith("Bet not resolved");
+    });
+
+    it("Should not accept challenges after the dispute period", async function () {
+      const { filmBet, challenger } = await loadFixture(disputedPoolFixture);
+
+      await time.increase(DISPUTE_PERIOD);
+
+      await expect(
+        filmBet.connect(challenger).challengeResolution(1)
+      ).to.be.revertedWith("Dispute period over");
+    });
+
+    it("Should forfeit the bond when the arbiter upholds the outcome", async function () {
+      const { filmBet, filmBetERC20, owner, account1, challenger } =
+        await loadFixture(disputedPoolFixture);
+
+      await filmBet.connect(challenger).challengeResolution(1);
+
+      await expect(
+        filmBet.connect(challenger).upholdResolution(1)
+      ).to.be.revertedWithCustomError(
+        filmBet,
+        "AccessControlUnauthorizedAccount"
+      );
+
+      await expect(filmBet.upholdResolution(1))
+        .to.emit(filmBet, "DisputeUpheld")
+        .withArgs(1, owner.address, 50n);
+
+      expect(await filmBet.disputeRewardReserve()).to.equal(50n);
+      expect(await filmBet.totalFeesCollected(filmBetERC20)).to.equal(0);
+      expect((await filmBet.getPool(1)).status).to.equal(1);
+
+      await expect(
+        filmBet.connect(account1).claimWinnings(1)
+      ).to.changeTokenBalance(filmBetERC20, account1, 196n);
+      await expect(filmBet.upholdResolution(1)).to.be.revertedWith(
+        "Not disputed"
+      );
+    });
+
+    it("Should pay the winners of the new outcome when overturned", async function () {
+      const fixture = await loadFixture(disputedPoolFixture);
+      const { filmBet, filmBetERC20, owner, account1, account2, challenger } =
+        fixture;
+
+      // An earlier upheld dispute funds the reserve the reward is paid from
+      await filmBet.connect(challenger).challengeResolution(1);
+      await expect(filmBet.overturnResolution(1, 0)).to.be.revertedWith(
+        "Same outcome"
+      );
+      await expect(filmBet.overturnResolution(1, 2)).to.be.revertedWith(
+        "Invalid outcome"
+      );
+
+      await filmBet.upholdResolution(1);
+      expect(await filmBet.disputeRewardReserve()).to.equal(50n);
+
+      const endTime = (await time.latest()) + 1000;
+      await filmBet.createBetPool(
+        "Second question",
+        1,
+        endTime,
+        hre.ethers.ZeroAddress,
+        DEFAULT_TERMS
+      );
+      await placeBet(fixture, account1, 2, true, 100n);
+      await placeBet(fixture, account2, 2, false, 100n);
+      await time.increaseTo(endTime + 10);
+      await filmBet.resolveBetPool(2, true);
+
+      await filmBetERC20.transfer(challenger.address, 50n);
+      await filmBetERC20.connect(challenger).approve(filmBet.getAddress(), 50n);
+      await filmBet.connect(challenger).challengeResolution(2);
+
+      const tx = filmBet.overturnResolution(2, 1);
+      await expect(tx)
+        .to.emit(filmBet, "DisputeOverturned")
+        .withArgs(2, owner.address, 0, 1, 25n)
+        .and.to.emit(filmBet, "BetResolved")
+        .withArgs(2, 1, owner.address);
+      await expect(tx).to.changeTokenBalance(filmBetERC20, challenger, 75n);
+      expect(await filmBet.disputeRewardReserve()).to.equal(25n);
+
+      await expect(
+        filmBet.connect(account1).claimWinnings(2)
+      ).to.be.revertedWith("You did not win");
+      await expect(
+        filmBet.connect(account2).claimWinnings(2)
+      ).to.changeTokenBalance(filmBetERC20, account2, 196n);
+    });
+
+    it("Should cap the reward at the reward reserve", async function () {
+      const { filmBet, filmBetERC20, challenger } = await loadFixture(
+        disputedPoolFixture
+      );
+
+      await filmBet.connect(challenger).challengeResolution(1);
+
+      const tx = filmBet.overturnResolution(1, 1);
+      await expect(tx)
+        .to.emit(filmBet, "DisputeOverturned")
+        .withArgs(1, anyValue, 0, 1, 0);
+      await expect(tx).to.changeTokenBalance(filmBetERC20, challenger, 50n);
+    });
+
+    it("Should pay rewards from the reserve once fees go to the fee router", async function () {
+      const { filmBet, filmBetERC20, owner, account1, account2, challenger } =
+        await loadFixture(disputedPoolFixture);
+
+      const FeeRouter = await hre.ethers.getContractFactory("FeeRouter");
+      const feeRouter = await FeeRouter.deploy(0, 0, [owner.address], [10000]);
+      await filmBet.setFeeRouter(feeRouter.getAddress());
+
+      await expect(filmBet.fundDisputeRewards(0)).to.be.revertedWith(
+        "Amount must be positive"
+      );
+      await filmBetERC20.approve(filmBet.getAddress(), 100n);
+      await expect(filmBet.fundDisputeRewards(100n))
+        .to.emit(filmBet, "DisputeRewardsFunded")
+        .withArgs(owner.address, 100n);
+
+      await filmBet.connect(challenger).challengeResolution(1);
+      const tx = filmBet.overturnResolution(1, 1);
+      await expect(tx)
+        .to.emit(filmBet, "DisputeOverturned")
+        .withArgs(1, owner.address, 0, 1, 25n);
+      await expect(tx).to.changeTokenBalance(filmBetERC20, challenger, 75n);
+      expect(await filmBet.disputeRewardReserve()).to.equal(75n);
+
+      // Claim fees go straight to the router and sweeping leaves the reserve alone
+      await expect(
+        filmBet.connect(account2).claimWinnings(1)
+      ).to.changeTokenBalance(filmBetERC20, feeRouter, 4n);
+      await expect(filmBet.withdrawFees(filmBetERC20))
+        .to.emit(filmBet, "FeesWithdrawn")
+        .withArgs(await filmBetERC20.getAddress(), 0);
+      expect(await filmBet.disputeRewardReserve()).to.equal(75n);
+      await expect(
+        filmBet.connect(account1).claimWinnings(1)
+      ).to.be.revertedWith("You did not win");
+    });
+
+    it("Should let the owner release surplus reserve to fees", async function () {
+      const { filmBet, filmBetERC20, account1, challenger } = await loadFixture(
+        disputedPoolFixture
+      );
+
+      await filmBet.connect(challenger).challengeResolution(1);
+      await filmBet.upholdResolution(1);
+      expect(await filmBet.disputeRewardReserve()).to.equal(50n);
+
+      await expect(
+        filmBet.connect(account1).releaseDisputeRewards(20n)
+      ).to.be.revertedWithCustomError(filmBet, "OwnableUnauthorizedAccount");
+      await expect(filmBet.releaseDisputeRewards(51n)).to.be.revertedWith(
+        "Exceeds reserve"
+      );
+      await expect(filmBet.releaseDisputeRewards(20n))
+        .to.emit(filmBet, "DisputeRewardsReleased")
+        .withArgs(20n);
+      expect(await filmBet.disputeRewardReserve()).to.equal(30n);
+      expect(await filmBet.totalFeesCollected(filmBetERC20)).to.equal(20n);
+    });
+
+    it("Should refund everyone when overturned to an outcome nobody backed", async function () {
+      const fixture = await loadFixture(deployFilmBetFixture);
+      const { filmBet, filmBetERC20, owner, account1, account2, account3 } =
+        fixture;
+
+      await filmBet.setDisputeTerms(DISPUTE_PERIOD, 10n, 0);
+      await filmBet.grantRole(await filmBet.ARBITER_ROLE(), owner.address);
+      await filmBetERC20.transfer(account3.address, 10n);
+      await filmBetERC20.connect(account3).approve(filmBet.getAddress(), 10n);
+
+      const endTime = (await time.latest()) + 1000;
+      await filmBet.createMultiOutcomePool(
+        "Which studio wins the weekend?",
+        1,
+        endTime,
+        hre.ethers.ZeroAddress,
+        ["A", "B", "C"],
+        DEFAULT_TERMS
+      );
+      for (const [account, outcome] of [
+        [account1, 0],
+        [account2, 1],
+      ] as const) {
+        await filmBetERC20.transfer(account.address, 100n);
+        await filmBetERC20.connect(account).approve(filmBet.getAddress(), 100n);
+        await filmBet.connect(account).placeOutcomeBet(1, outcome, 100n);
+      }
+      await time.increaseTo(endTime + 10);
+      await filmBet.resolveOutcome(1, 0);
+
+      await filmBet.connect(account3).challengeResolution(1);
+      await expect(filmBet.overturnResolution(1, 2)).to.emit(
+        filmBet,
+        "BetPoolVoided"
+      );
+
+      await expect(filmBet.connect(account1).claimRefund(1))
+        .to.emit(filmBet, "RefundClaimed")
+        .withArgs(1, account1.address, 100n);
+    });
+
+    it("Should let the arbiter overturn a resolution to Void", async function () {
+      const { filmBet, filmBetERC20, owner, account1, account2, challenger } =
+        await loadFixture(disputedPoolFixture);
+      const VOID_OUTCOME = await filmBet.VOID_OUTCOME();
+
+      await filmBet.connect(challenger).challengeResolution(1);
+
+      const tx = filmBet.overturnResolution(1, VOID_OUTCOME);
+      await expect(tx)
+        .to.emit(filmBet, "DisputeOverturned")
+        .withArgs(1, owner.address, 0, VOID_OUTCOME, 0)
+        .and.to.emit(filmBet, "BetPoolVoided");
+      await expect(tx).to.changeTokenBalance(filmBetERC20, challenger, 50n);
+      expect((await filmBet.getPool(1)).status).to.equal(2);
+
+      for (const account of [account1, account2]) {
+        await expect(
+          filmBet.connect(account).claimRefund(1)
+        ).to.changeTokenBalance(filmBetERC20, account, 100n);
+      }
+    });
+
+    it("Should let a voiding resolution be challenged", async function () {
+      const fixture = await loadFixture(disputedPoolFixture);
+      const { filmBet, filmBetERC20, owner, account4, account5, challenger } =
+        fixture;
+      const VOID_OUTCOME = await filmBet.VOID_OUTCOME();
+
+      const endTime = (await time.latest()) + 1000;
+      await filmBet.createScalarPool(
+        "Week 3 box office over/under $150M",
+        1,
+        endTime,
+        hre.ethers.ZeroAddress,
+        "WEEKLY",
+        "2024-3",
+        1,
+        150000,
+        DEFAULT_TERMS
+      );
+      await placeBet(fixture, account4, 2, true, 100n);
+      await placeBet(fixture, account5, 2, false, 100n);
+      await time.increaseTo(endTime + 10);
+
+      // Landing on the line voids the pool, which can still be disputed
+      await filmBet.resolveScalarPool(2, 150000);
+      expect((await filmBet.getPool(2)).winningOutcome).to.equal(VOID_OUTCOME);
+      await expect(filmBet.connect(account4).claimRefund(2)).to.be.revertedWith(
+        "Dispute period active"
+      );
+
+      await filmBet.connect(challenger).challengeResolution(2);
+      await expect(
+        filmBet.overturnResolution(2, VOID_OUTCOME)
+      ).to.be.revertedWith("Same outcome");
+      await expect(filmBet.overturnResolution(2, 0))
+        .to.emit(filmBet, "DisputeOverturned")
+        .withArgs(2, owner.address, VOID_OUTCOME, 0, 0);
+
+      await expect(
+        filmBet.connect(account4).claimWinnings(2)
+      ).to.changeTokenBalance(filmBetERC20, account4, 196n);
+    });
+
+    it("Should keep the pool void when a challenge to a void is upheld", async function () {
+      const fixture = await loadFixture(disputedPoolFixture);
+      const { filmBet, filmBetERC20, account4, challenger } = fixture;
+
+      const endTime = (await time.latest()) + 1000;
+      await filmBet.createBetPool(
+        "Second question",
+        1,
+        endTime,
+        hre.ethers.ZeroAddress,
+        DEFAULT_TERMS
+      );
+      await placeBet(fixture, account4, 2, true, 100n);
+      await time.increaseTo(endTime + 10);
+
+      // Nobody backed No, so resolving No voids the pool
+      await filmBet.resolveBetPool(2, false);
+      await filmBet.connect(challenger).challengeResolution(2);
+      await filmBet.upholdResolution(2);
+
+      expect((await filmBet.getPool(2)).status).to.equal(2);
+      await expect(
+        filmBet.connect(account4).claimRefund(2)
+      ).to.changeTokenBalance(filmBetERC20, account4, 100n);
+    });
+
+    it("Should let anyone void a dispute the arbiter never ruled on", async function () {
+      const { filmBet, filmBetERC20, account1, account5, challenger } =
+        await loadFixture(disputedPoolFixture);
+
+      await filmBet.connect(challenger).challengeResolution(1);
+      const [disputeEnd] = await filmBet.getDispute(1);
+      expect(disputeEnd).to.equal(
+        (await time.latest()) + Number(await filmBet.ARBITRATION_PERIOD())
+      );
+
+      await expect(
+        filmBet.connect(account5).expireDispute(1)
+      ).to.be.revertedWith("Arbitration active");
+
+      await time.increaseTo(disputeEnd);
+      const tx = filmBet.connect(account5).expireDispute(1);
+      await expect(tx)
+        .to.emit(filmBet, "DisputeExpired")
+        .withArgs(1, 50n)
+        .and.to.emit(filmBet, "BetPoolVoided");
+      await expect(tx).to.changeTokenBalance(filmBetERC20, challenger, 50n);
+
+      await expect(filmBet.overturnResolution(1, 1)).to.be.revertedWith(
+        "Not disputed"
+      );
+      await expect(
+        filmBet.connect(account1).claimRefund(1)
+      ).to.changeTokenBalance(filmBetERC20, account1, 100n);
+    });
+
+    it("Should let the owner configure the dispute terms", async function () {
+      const { filmBet, account1 } = await loadFixture(deployFilmBetFixture);
+
+      await expect(filmBet.setDisputeTerms(86400, 100n, 2000))
+        .to.emit(filmBet, "DisputeTermsUpdated")
+        .withArgs(86400, 100n, 2000);
+      expect(await filmBet.disputePeriod()).to.equal(86400);
+
+      await expect(
+        filmBet.setDisputeTerms(86400, 100n, 10001)
+      ).to.be.revertedWith("Max reward is 100%");
+      await expect(filmBet.setDisputeTerms(86400, 0, 0)).to.be.revertedWith(
+        "Dispute bond required"
+      );
+      await expect(filmBet.setDisputeTerms(0, 0, 0)).to.emit(
+        filmBet,
+        "DisputeTermsUpdated"
+      );
+      await expect(
+        filmBet.connect(account1).setDisputeTerms(0, 0, 0)
+      ).to.be.revertedWithCustomError(filmBet, "OwnableUnauthorizedAccount");
+    });
+  });
+
+  describe("Permit", function () {
+    async function signPermit(
+      fixture: Awaited<ReturnType<typeof deployFilmBetFixture>>,
+      account: HardhatEthersSigner,
+      amount: bigint,
+      deadline: number
+    ) {
+      const { filmBet, filmBetERC20 } = fixture;
+      const { chainId } = await hre.ethers.provider.getNetwork();
+
+      const signature = await account.signTypedData(
+        {
+          name: "FilmBet Token",
+          version: "1",
+          chainId,
+          verifyingContract: await filmBetERC20.getAddress(),
+        },
+        {
+          Permit: [
+            { name: "owner", type: "address" },
+            { name: "spender", type: "address" },
+            { name: "value", type: "uint256" },
+            { name: "nonce", type: "uint256" },
+            { name: "deadline", type: "uint256" },
+          ],
+        },
+        {
+          owner: account.address,
+          spender: await filmBet.getAddress(),
+          value: amount,
+          nonce: await filmBetERC20.nonces(account.address),
+          deadline,
+        }
+      );
+      return hre.ethers.Signature.from(signature);
+    }
+
+    async function permitPoolFixture() {
+      const fixture = await deployFilmBetFixture();
+      const { filmBet, filmBetERC20, account1 } = fixture;
+
+      const endTime = (await time.latest()) + 1000;
+      await filmBet.createBetPool(
+        "Will the trilogy finale open at number one?",
+        1,
+        endTime,
+        hre.ethers.ZeroAddress,
+        DEFAULT_TERMS
+      );
+      await filmBetERC20.transfer(account1.address, 1000n);
+
+      return { ...fixture, endTime };
+    }
+
+    it("Should place a bet without a separate approval", async function () {
+      const fixture = await loadFixture(permitPoolFixture);
+      const { filmBet, filmBetERC20, account1 } = fixture;
+
+      const deadline = (await time.latest()) + 600;
+      const { v, r, s } = await signPermit(fixture, account1, 100n, deadline);
+
+      const tx = filmBet
+        .connect(account1)
+        .placeBetWithPermit(1, true, 100n, deadline, v, r, s);
+      await expect(tx)
+        .to.emit(filmBet, "BetPlaced")
+        .withArgs(1, account1.address, 0, 100n);
+      await expect(tx).to.changeTokenBalance(filmBetERC20, account1, -100n);
+
+      expect(
+        await filmBetERC20.allowance(account1.address, filmBet.getAddress())
+      ).to.equal(0);
+      expect(await filmBetERC20.nonces(account1.address)).to.equal(1);
+    });
+
+    it("Should still place the bet when the permit was front-run", async function () {
+      const fixture = await loadFixture(permitPoolFixture);
+      const { filmBet, filmBetERC20, account1, account2 } = fixture;
+
+      const deadline = (await time.latest()) + 600;
+      const { v, r, s } = await signPermit(fixture, account1, 100n, deadline);
+      // Someone copies the signature from the mempool and submits it first
+      await filmBetERC20
+        .connect(account2)
+        .permit(
+          account1.address,
+          filmBet.getAddress(),
+          100n,
+          deadline,
+          v,
+          r,
+          s
+        );
+
+      const tx = filmBet
+        .connect(account1)
+        .placeBetWithPermit(1, true, 100n, deadline, v, r, s);
+      await expect(tx)
+        .to.emit(filmBet, "BetPlaced")
+        .withArgs(1, account1.address, 0, 100n);
+      await expect(tx).to.changeTokenBalance(filmBetERC20, account1, -100n);
+    });
+
+    it("Should reject an expired permit without an allowance", async function () {
+      const fixture = await loadFixture(permitPoolFixture);
+      const { filmBet, filmBetERC20, account1 } = fixture;
+
+      const deadline = (await time.latest()) + 10;
+      const { v, r, s } = await signPermit(fixture, account1, 100n, deadline);
+      await time.increaseTo(deadline + 1);
+
+      await expect(
+        filmBet
+          .connect(account1)
+          .placeBetWithPermit(1, true, 100n, deadline, v, r, s)
+      ).to.be.revertedWith("Permit failed");
+    });
+
+    it("Should reject a replayed permit once the allowance is spent", async function () {
+      const fixture = await loadFixture(permitPoolFixture);
+      const { filmBet, filmBetERC20, account1 } = fixture;
+
+      const deadline = (await time.latest()) + 600;
+      const { v, r, s } = await signPermit(fixture, account1, 100n, deadline);
+
+      await filmBet
+        .connect(account1)
+        .placeBetWithPermit(1, true, 100n, deadline, v, r, s);
+
+      await expect(
+        filmBet
+          .connect(account1)
+          .placeBetWithPermit(1, true, 100n, deadline, v, r, s)
+      ).to.be.revertedWith("Permit failed");
+    });
+
+    it("Should reject a permit signed by someone else", async function () {
+      const fixture = await loadFixture(permitPoolFixture);
+      const { filmBet, filmBetERC20, account1, account2 } = fixture;
+
+      const deadline = (await time.latest()) + 600;
+      const { v, r, s } = await signPermit(fixture, account1, 100n, deadline);
+
+      await expect(
+        filmBet
+          .connect(account2)
+          .placeBetWithPermit(1, true, 100n, deadline, v, r, s)
+      ).to.be.revertedWith("Permit failed");
+    });
+  });
+
+  describe("Stake tokens", function () {
+    // Pool 1 in FBT and pool 2 in a partner token, both resolved Yes
+    async function partnerTokenFixture() {
+      const fixture = await deployFilmBetFixture();
+      const { filmBet, account1, account2 } = fixture;
+
+      const FilmBetERC20 = await hre.ethers.getContractFactory("FilmBetERC20");
+      const partnerToken = await FilmBetERC20.deploy(
+        hre.ethers.parseEther("1000")
+      );
+      await filmBet.setTokenAllowed(partnerToken, true);
+
+      const endTime = (await time.latest()) + 1000;
+      await filmBet.createBetPool(
+        "FBT pool",
+        1,
+        endTime,
+        hre.ethers.ZeroAddress,
+        DEFAULT_TERMS
+      );
+      await filmBet.createBetPool(
+        "Partner promo pool",
+        1,
+        endTime,
+        hre.ethers.ZeroAddress,
+        { ...DEFAULT_TERMS, stakeToken: await partnerToken.getAddress() }
+      );
+
+      await placeBet(fixture, account1, 1, true, 100n);
+      await placeBet(fixture, account2, 1, false, 100n);
+      for (const [account, choice] of [
+        [account1, true],
+        [account2, false],
+      ] as const) {
+        await partnerToken.transfer(account.address, 100n);
+        await partnerToken.connect(account).approve(filmBet.getAddress(), 100n);
+        await filmBet.connect(account).placeBet(2, choice, 100n);
+      }
+
+      await time.increaseTo(endTime + 10);
+      await filmBet.resolveBetPool(1, true);
+      await filmBet.resolveBetPool(2, true);
+
+      return { ...fixture, partnerToken };
+    }
+
+    it("Should denominate pools in FBT by default", async function () {
+      const { filmBet, tokenAddress } = await loadFixture(deployFilmBetFixture);
+
+      await filmBet.createBetPool(
+        "Default token pool",
+        1,
+        (await time.latest()) + 1000,
+        hre.ethers.ZeroAddress,
+        DEFAULT_TERMS
+      );
+
+      const { stakeToken } = await filmBet.betPools(1);
+      expect(stakeToken).to.equal(tokenAddress);
+      expect(await filmBet.allowedTokens(tokenAddress)).to.equal(true);
+    });
+
+    it("Should only let the owner manage the allowlist", async function () {
+      const { filmBet, tokenAddress, account1 } = await loadFixture(
+        deployFilmBetFixture
+      );
+
+      await expect(
+        filmBet.connect(account1).setTokenAllowed(account1.address, true)
+      ).to.be.revertedWithCustomError(filmBet, "OwnableUnauthorizedAccount");
+      await expect(
+        filmBet.setTokenAllowed(tokenAddress, false)
+      ).to.be.revertedWith("Default token always allowed");
+
+      await expect(filmBet.setTokenAllowed(account1.address, true))
+        .to.emit(filmBet, "TokenAllowed")
+        .withArgs(account1.address, true);
+    });
+
+    it("Should only create pools in an allowlisted token", async function () {
+      const { filmBet, account2 } = await loadFixture(deployFilmBetFixture);
+      const endTime = (await time.latest()) + 1000;
+      const terms = { ...DEFAULT_TERMS, stakeToken: account2.address };
+
+      await expect(
+        filmBet.createBetPool(
+          "Partner promo pool",
+          1,
+          endTime,
+          hre.ethers.ZeroAddress,
+          terms
+        )
+      ).to.be.revertedWith("Token not allowed");
+
+      await filmBet.setTokenAllowed(account2.address, true);
+      await expect(
+        filmBet.createBetPool(
+          "Partner promo pool",
+          1,
+          endTime,
+          hre.ethers.ZeroAddress,
+          terms
+        )
+      )
+        .to.emit(filmBet, "PoolTokenSet")
+        .withArgs(1, account2.address);
+
+      const { stakeToken } = await filmBet.betPools(1);
+      expect(stakeToken).to.equal(account2.address);
+    });
+
+    it("Should pay exit penalties out in the pool's own token", async function () {
+      const fixture = await loadFixture(deployFilmBetFixture);
+      const { filmBet, filmBetERC20, account1, account2 } = fixture;
+
+      const FilmBetERC20 = await hre.ethers.getContractFactory("FilmBetERC20");
+      const partnerToken = await FilmBetERC20.deploy(
+        hre.ethers.parseEther("1000")
+      );
+      await filmBet.setTokenAllowed(partnerToken, true);
+      await filmBet.setExitPenalty(1000);
+
+      const endTime = (await time.latest()) + 1000;
+      await filmBet.createBetPool(
+        "Partner promo pool",
+        1,
+        endTime,
+        hre.ethers.ZeroAddress,
+        { ...DEFAULT_TERMS, stakeToken: await partnerToken.getAddress() }
+      );
+      for (const [account, choice] of [
+        [account1, true],
+        [account2, false],
+      ] as const) {
+        await partnerToken.transfer(account.address, 1000n);
+        await partnerToken
+          .connect(account)
+          .approve(filmBet.getAddress(), 1000n);
+        await filmBet.connect(account).placeBet(1, choice, 1000n);
+      }
+
+      // 10 of the 100 cashed out stay behind as a penalty, in the partner token
+      await filmBet.connect(account2).cashOut(1, 1, 100n);
+      await time.increaseTo(endTime + 10);
+      await filmBet.resolveBetPool(1, true);
+
+      const fbtBefore = await filmBetERC20.balanceOf(filmBet.getAddress());
+      await expect(
+        filmBet.connect(account1).claimWinnings(1)
+      ).to.changeTokenBalance(partnerToken, account1, 1872n);
+      expect(await filmBetERC20.balanceOf(filmBet.getAddress())).to.equal(
+        fbtBefore
+      );
+      // Only the fee is left, in the same token
+      expect(await partnerToken.balanceOf(filmBet.getAddress())).to.equal(38n);
+      expect(await filmBet.totalFeesCollected(partnerToken)).to.equal(38n);
+    });
+
+    it("Should not take bets when the token reports a failed transfer", async function () {
+      const { filmBet, owner } = await loadFixture(deployFilmBetFixture);
+
+      const FalseReturnERC20 = await hre.ethers.getContractFactory(
+        "FalseReturnERC20"
+      );
+      const falseToken = await FalseReturnERC20.deploy(1000n);
+      await filmBet.setTokenAllowed(falseToken, true);
+      await filmBet.createBetPool(
+        "Legacy token pool",
+        1,
+        (await time.latest()) + 1000,
+        hre.ethers.ZeroAddress,
+        { ...DEFAULT_TERMS, stakeToken: await falseToken.getAddress() }
+      );
+      await falseToken.approve(filmBet.getAddress(), 100n);
+
+      await expect(filmBet.placeBet(1, true, 100n))
+        .to.be.revertedWithCustomError(filmBet, "SafeERC20FailedOperation")
+        .withArgs(await falseToken.getAddress());
+      expect((await filmBet.getPool(1)).totalStake).to.equal(0);
+      expect(await falseToken.balanceOf(owner.address)).to.equal(1000n);
+    });
+
+    it("Should settle and collect fees in the pool's own token", async function () {
+      const { filmBet, filmBetERC20, partnerToken, owner, account1 } =
+        await loadFixture(partnerTokenFixture);
+
+      await expect(
+        filmBet.connect(account1).claimWinnings(2)
+      ).to.changeTokenBalance(partnerToken, account1, 196n);
+
+      expect(await filmBet.totalFeesCollected(partnerToken)).to.equal(4n);
+      expect(await filmBet.totalFeesCollected(filmBetERC20)).to.equal(0);
+
+      const FeeRouter = await hre.ethers.getContractFactory("FeeRouter");
+      const feeRouter = await FeeRouter.deploy(0, 0, [owner.address], [10000]);
+      await filmBet.setFeeRouter(feeRouter.getAddress());
+
+      const tx = filmBet.withdrawFees(partnerToken);
+      await expect(tx)
+        .to.emit(filmBet, "FeesWithdrawn")
+        .withArgs(await partnerToken.getAddress(), 4n);
+      await expect(tx).to.changeTokenBalance(partnerToken, feeRouter, 4n);
+      await expect(feeRouter.claim(partnerToken)).to.changeTokenBalance(
+        partnerToken,
+        owner,
+        4n
+      );
+    });
+
+    it("Should pay each token separately when claiming many pools", async function () {
+      const { filmBet, filmBetERC20, partnerToken, account1 } =
+        await loadFixture(partnerTokenFixture);
+
+      const tx = filmBet.connect(account1).claimMany([1, 2]);
+      await expect(tx).to.changeTokenBalance(filmBetERC20, account1, 196n);
+      await expect(tx).to.changeTokenBalance(partnerToken, account1, 196n);
+    });
+  });
+
+  describe("Emergency pause", function () {
+    // Pool 1: account1 100 Yes, account2 100 No, account3 50 Yes
+    async function pausedPoolFixture() {
+      const fixture = await deployFilmBetFixture();
+      const { filmBet, owner, account1, account2, account3 } = fixture;
+
+      await filmBet.grantRole(await filmBet.GUARDIAN_ROLE(), owner.address);
+
+      const endTime = (await time.latest()) + 1000;
+      await filmBet.createBetPool(
+        "Will the director's cut outgross the original?",
+        1,
+        endTime,
+        hre.ethers.ZeroAddress,
+        DEFAULT_TERMS
+      );
+      await placeBet(fixture, account1, 1, true, 100n);
+      await placeBet(fixture, account2, 1, false, 100n);
+      await placeBet(fixture, account3, 1, true, 50n);
+
+      await filmBet.pause();
+
+      return { ...fixture, endTime };
+    }
+
+    it("Should only let the guardian pause and unpause", async function () {
+      const { filmBet, owner, account1 } = await loadFixture(
+        deployFilmBetFixture
+      );
+
+      await expect(
+        filmBet.connect(account1).pause()
+      ).to.be.revertedWithCustomError(
+        filmBet,
+        "AccessControlUnauthorizedAccount"
+      );
+
+      await filmBet.grantRole(await filmBet.GUARDIAN_ROLE(), owner.address);
+      await expect(filmBet.pause())
+        .to.emit(filmBet, "Paused")
+        .withArgs(owner.address);
+      await expect(filmBet.unpause())
+        .to.emit(filmBet, "Unpaused")
+        .withArgs(owner.address);
+    });
+
+    it("Should block pool creation, betting, cash-outs and claims", async function () {
+      const fixture = await loadFixture(pausedPoolFixture);
+      const { filmBet, account1, endTime } = fixture;
+
+      await expect(
+        filmBet.createBetPool(
+          "Question",
+          1,
+          endTime,
+          hre.ethers.ZeroAddress,
+          DEFAULT_TERMS
+        )
+      ).to.be.revertedWithCustomError(filmBet, "EnforcedPause");
+      await expect(
+        placeBet(fixture, account1, 1, true, 100n)
+      ).to.be.revertedWithCustomError(filmBet, "EnforcedPause");
+      await expect(
+        filmBet.connect(account1).cashOut(1, 0, 100n)
+      ).to.be.revertedWithCustomError(filmBet, "EnforcedPause");
+
+      await time.increaseTo(endTime + 10);
+      await filmBet.resolveBetPool(1, true);
+
+      await expect(
+        filmBet.connect(account1).claimWinnings(1)
+      ).to.be.revertedWithCustomError(filmBet, "EnforcedPause");
+      await expect(
+        filmBet.connect(account1).claimMany([1])
+      ).to.be.revertedWithCustomError(filmBet, "EnforcedPause");
+      await expect(
+        filmBet.connect(account1).emergencyWithdraw(1)
+      ).to.be.revertedWith("Already resolved");
+    });
+
+    it("Should only allow emergency withdrawals while paused", async function () {
+      const { filmBet, account1 } = await loadFixture(pausedPoolFixture);
+
+      await filmBet.unpause();
+
+      await expect(
+        filmBet.connect(account1).emergencyWithdraw(1)
+      ).to.be.revertedWithCustomError(filmBet, "ExpectedPause");
+    });
+
+    it("Should return the original stake from an unresolved pool", async function () {
+      const { filmBet, filmBetERC20, account1, account4 } = await loadFixture(
+        pausedPoolFixture
+      );
+
+      const tx = filmBet.connect(account1).emergencyWithdraw(1);
+      await expect(tx)
+        .to.emit(filmBet, "EmergencyWithdrawal")
+        .withArgs(1, account1.address, 100n);
+      await expect(tx).to.changeTokenBalance(filmBetERC20, account1, 100n);
+
+      const pool = await filmBet.getPool(1);
+      expect(pool.totalStake).to.equal(150n);
+      expect(pool.outcomeStakes).to.deep.equal([50n, 100n]);
+
+      await expect(
+        filmBet.connect(account1).emergencyWithdraw(1)
+      ).to.be.revertedWith("No bet placed");
+      await expect(
+        filmBet.connect(account4).emergencyWithdraw(1)
+      ).to.be.revertedWith("No bet placed");
+    });
+
+    it("Should not withdraw once betting has closed", async function () {
+      const { filmBet, account1, endTime } = await loadFixture(
+        pausedPoolFixture
+      );
+
+      await time.increaseTo(endTime);
+
+      await expect(
+        filmBet.connect(account1).emergencyWithdraw(1)
+      ).to.be.revertedWith("Betting closed");
+    });
+
+    it("Should let the guardian void a closed pool so everyone is refunded alike", async function () {
+      const {
+        filmBet,
+        filmBetERC20,
+        owner,
+        account1,
+        account2,
+        account3,
+        endTime,
+      } = await loadFixture(pausedPoolFixture);
+
+      await time.increaseTo(endTime + 10);
+
+      await expect(
+        filmBet.connect(account1).emergencyVoid(1)
+      ).to.be.revertedWithCustomError(
+        filmBet,
+        "AccessControlUnauthorizedAccount"
+      );
+      await expect(filmBet.emergencyVoid(99)).to.be.revertedWith(
+        "Pool does not exist"
+      );
+      await expect(filmBet.emergencyVoid(1))
+        .to.emit(filmBet, "BetPoolCancelled")
+        .withArgs(1, owner.address)
+        .and.to.emit(filmBet, "BetPoolVoided")
+        .withArgs(1, owner.address);
+      await expect(filmBet.emergencyVoid(1)).to.be.revertedWith(
+        "Already resolved"
+      );
+
+      await filmBet.unpause();
+      await expect(filmBet.emergencyVoid(1)).to.be.revertedWithCustomError(
+        filmBet,
+        "ExpectedPause"
+      );
+
+      for (const [account, stake] of [
+        [account1, 100n],
+        [account2, 100n],
+        [account3, 50n],
+      ] as const) {
+        await expect(
+          filmBet.connect(account).claimRefund(1)
+        ).to.changeTokenBalance(filmBetERC20, account, stake);
+      }
+    });
+
+    it("Should stay solvent once unpaused and settled", async function () {
+      const { filmBet, filmBetERC20, account1, account2, account3, endTime } =
+        await loadFixture(pausedPoolFixture);
+
+      const filmBetAddress = await filmBet.getAddress();
+      const reserve = hre.ethers.parseEther("1000");
+
+      await filmBet.connect(account1).emergencyWithdraw(1);
+      await filmBet.unpause();
+
+      await time.increaseTo(endTime + 10);
+      await filmBet.resolveBetPool(1, true);
+
+      // account3 is the only Yes stake left and takes the whole 150 pot
+      await expect(
+        filmBet.connect(account3).claimWinnings(1)
+      ).to.changeTokenBalance(filmBetERC20, account3, 147n);
+      await expect(
+        filmBet.connect(account2).claimWinnings(1)
+      ).to.be.revertedWith("You did not win");
+      await expect(
+        filmBet.connect(account1).claimWinnings(1)
+      ).to.be.revertedWith("No bet placed");
+
+      expect(await filmBet.totalFeesCollected(filmBetERC20)).to.equal(3n);
+      expect(await filmBetERC20.balanceOf(filmBetAddress)).to.equal(
+        reserve + 3n
+      );
+    });
+  });
+
+});
@@ -0,0 +1,163 @@
+import {
+  time,
+  loadFixture,
+} from "@nomicfoundation/hardhat-toolbox/network-helpers";
+import { expect } from "chai";
+import hre from "hardhat";
+
+const HOUR = 60 * 60;
+
+describe("FilmBetERC20", function () {
+  async function deployTokenFixture() {
+    const [owner, minter, account1, account2] = await hre.ethers.getSigners();
+
+    const FilmBetERC20 = await hre.ethers.getContractFactory("FilmBetERC20");
+    const filmBetERC20 = await FilmBetERC20.deploy(
+      hre.ethers.parseEther("1000000.0")
+    );
+    await filmBetERC20.grantRole(
+      await filmBetERC20.MINTER_ROLE(),
+      minter.address
+    );
+
+    return { filmBetERC20, owner, minter, account1, account2 };
+  }
+
+  async function faucetFixture() {
+    const fixture = await deployTokenFixture();
+    await fixture.filmBetERC20.setFaucet(
+      true,
+      hre.ethers.parseEther("100"),
+      24 * HOUR
+    );
+    return fixture;
+  }
+
+  describe("Supply", function () {
+    it("Should mint the initial supply to the deployer", async function () {
+      const { filmBetERC20, owner } = await loadFixture(deployTokenFixture);
+
+      expect(await filmBetERC20.balanceOf(owner.address)).to.equal(
+        hre.ethers.parseEther("1000000.0")
+      );
+      expect(await filmBetERC20.cap()).to.equal(
+        await filmBetERC20.MAX_SUPPLY()
+      );
+    });
+
+    it("Should let minters mint up to the cap", async function () {
+      const { filmBetERC20, minter, account1 } = await loadFixture(
+        deployTokenFixture
+      );
+
+      await expect(
+        filmBetERC20.connect(minter).mint(account1.address, 500n)
+      ).to.changeTokenBalance(filmBetERC20, account1, 500n);
+
+      const room =
+        (await filmBetERC20.MAX_SUPPLY()) - (await filmBetERC20.totalSupply());
+      await filmBetERC20.connect(minter).mint(account1.address, room);
+      await expect(
+        filmBetERC20.connect(minter).mint(account1.address, 1n)
+      ).to.be.revertedWithCustomError(filmBetERC20, "ERC20ExceededCap");
+    });
+
+    it("Should not let anyone else mint", async function () {
+      const { filmBetERC20, owner, account1 } = await loadFixture(
+        deployTokenFixture
+      );
+
+      await expect(
+        filmBetERC20.connect(account1).mint(account1.address, 1n)
+      ).to.be.revertedWithCustomError(
+        filmBetERC20,
+        "AccessControlUnauthorizedAccount"
+      );
+      await expect(
+        filmBetERC20.mint(owner.address, 1n)
+      ).to.be.revertedWithCustomError(
+        filmBetERC20,
+        "AccessControlUnauthorizedAccount"
+      );
+    });
+
+    it("Should let holders burn and free up supply", async function () {
+      const { filmBetERC20, owner } = await loadFixture(deployTokenFixture);
+
+      const supply = await filmBetERC20.totalSupply();
+      await expect(filmBetERC20.burn(1000n)).to.changeTokenBalance(
+        filmBetERC20,
+        owner,
+        -1000n
+      );
+      expect(await filmBetERC20.totalSupply()).to.equal(supply - 1000n);
+    });
+  });
+
+  describe("Faucet", function () {
+    it("Should start disabled", async function () {
+      const { filmBetERC20, account1 } = await loadFixture(deployTokenFixture);
+
+      await expect(filmBetERC20.connect(account1).drip()).to.be.revertedWith(
+        "Faucet disabled"
+      );
+    });
+
+    it("Should hand out tokens once per cooldown", async function () {
+      const { filmBetERC20, account1, account2 } = await loadFixture(
+        faucetFixture
+      );
+      const amount = hre.ethers.parseEther("100");
+
+      await expect(filmBetERC20.connect(account1).drip())
+        .to.emit(filmBetERC20, "FaucetDrip")
+        .withArgs(account1.address, amount);
+      expect(await filmBetERC20.balanceOf(account1.address)).to.equal(amount);
+
+      await expect(filmBetERC20.connect(account1).drip()).to.be.revertedWith(
+        "Faucet cooldown active"
+      );
+      await expect(filmBetERC20.connect(account2).drip()).to.changeTokenBalance(
+        filmBetERC20,
+        account2,
+        amount
+      );
+
+      await time.increase(24 * HOUR);
+      await expect(filmBetERC20.connect(account1).drip()).to.changeTokenBalance(
+        filmBetERC20,
+        account1,
+        amount
+      );
+    });
+
+    it("Should only let the admin configure the faucet", async function () {
+      const { filmBetERC20, account1 } = await loadFixture(faucetFixture);
+
+      await expect(
+        filmBetERC20.connect(account1).setFaucet(true, 1n, 0)
+      ).to.be.revertedWithCustomError(
+        filmBetERC20,
+        "AccessControlUnauthorizedAccount"
+      );
+      await expect(filmBetERC20.setFaucet(false, 0, 0))
+        .to.emit(filmBetERC20, "FaucetUpdated")
+        .withArgs(false, 0, 0);
+      await expect(filmBetERC20.connect(account1).drip()).to.be.revertedWith(
+        "Faucet disabled"
+      );
+    });
+
+    it("Should only recognise known testnet chain ids", async function () {
+      const { filmBetERC20 } = await loadFixture(deployTokenFixture);
+
+      for (const chainId of [31337, 11155111, 43113, 84532, 421614, 11155420]) {
+        expect(await filmBetERC20.isTestnet(chainId)).to.equal(true);
+      }
+      // Mainnets, including ones nobody thought to list, keep the faucet shut
+      for (const chainId of [1, 10, 137, 8453, 42161, 43114, 324, 59144]) {
+        expect(await filmBetERC20.isTestnet(chainId)).to.equal(false);
+      }
+    });
+  });
+});
@@ -0,0 +1,312 @@
+import {
+  time,
+  loadFixture,
+} from "@nomicfoundation/hardhat-toolbox/network-helpers";
+import { HardhatEthersSigner } from "@nomicfoundation/hardhat-ethers/signers";
+import { expect } from "chai";
+import hre from "hardhat";
+import { DEFAULT_TERMS } from "./helpers";
+
+describe("FilmBetLens", function () {
+  async function deployLensFixture() {
+    const [owner, account1, account2, account3] = await hre.ethers.getSigners();
+
+    const FilmBetERC20 = await hre.ethers.getContractFactory("FilmBetERC20");
+    const filmBetERC20 = await FilmBetERC20.deploy(
+      hre.ethers.parseEther("1000000.0")
+    );
+    const FilmBet = await hre.ethers.getContractFactory("FilmBet");
+    const filmBet = await hre.upgrades.deployProxy(FilmBet, [
+      await filmBetERC20.getAddress(),
+    ]);
+    await filmBet.grantRole(await filmBet.RESOLVER_ROLE(), owner.address);
+
+    const FilmBetLens = await hre.ethers.getContractFactory("FilmBetLens");
+    const lens = await FilmBetLens.deploy(await filmBet.getAddress());
+
+    return { filmBet, filmBetERC20, lens, owner, account1, account2, account3 };
+  }
+
+  async function placeBet(
+    fixture: Awaited<ReturnType<typeof deployLensFixture>>,
+    account: HardhatEthersSigner,
+    poolId: number,
+    choice: boolean,
+    amount: bigint
+  ) {
+    const { filmBet, filmBetERC20 } = fixture;
+    await filmBetERC20.transfer(account.address, amount);
+    await filmBetERC20.connect(account).approve(filmBet.getAddress(), amount);
+    await filmBet.connect(account).placeBet(poolId, choice, amount);
+  }
+
+  describe("Claimable winnings", function () {
+    // Pools 1-3 resolve Yes; account1 wins 1 and 2 but loses 3, pool 4 stays open
+    async function manyPoolsFixture() {
+      const fixture = await deployLensFixture();
+      const { filmBet, account1, account2 } = fixture;
+
+      const endTime = (await time.latest()) + 1000;
+      for (let i = 0; i < 4; i++) {
+        await filmBet.createBetPool(
+          `Question ${i + 1}`,
+          i + 1,
+          endTime + (i === 3 ? 10000 : 0),
+          hre.ethers.ZeroAddress,
+          DEFAULT_TERMS
+        );
+      }
+
+      await placeBet(fixture, account1, 1, true, 100n);
+      await placeBet(fixture, account2, 1, false, 100n);
+      await placeBet(fixture, account1, 2, true, 300n);
+      await placeBet(fixture, account2, 2, false, 100n);
+      await placeBet(fixture, account1, 3, false, 100n);
+      await placeBet(fixture, account2, 3, true, 100n);
+      await placeBet(fixture, account1, 4, true, 100n);
+
+      await time.increaseTo(endTime + 10);
+      for (let poolId = 1; poolId <= 3; poolId++) {
+        await filmBet.resolveBetPool(poolId, true);
+      }
+
+      return fixture;
+    }
+
+    it("Should list every claimable pool and amount", async function () {
+      const { lens, account1, account2, account3 } = await loadFixture(
+        manyPoolsFixture
+      );
+
+      const [poolIds, amounts] = await lens.getClaimable(account1.address);
+      expect(poolIds).to.deep.equal([1n, 2n]);
+      expect(amounts).to.deep.equal([196n, 392n]);
+
+      const [otherPoolIds] = await lens.getClaimable(account2.address);
+      expect(otherPoolIds).to.deep.equal([3n]);
+
+      const [none] = await lens.getClaimable(account3.address);
+      expect(none).to.deep.equal([]);
+    });
+
+    it("Should match what claiming pays and drop claimed pools", async function () {
+      const { filmBet, filmBetERC20, lens, account1 } = await loadFixture(
+        manyPoolsFixture
+      );
+
+      await expect(
+        filmBet.connect(account1).claimWinnings(2)
+      ).to.changeTokenBalance(filmBetERC20, account1, 392n);
+
+      const [poolIds, amounts] = await lens.getClaimable(account1.address);
+      expect(poolIds).to.deep.equal([1n]);
+      expect(amounts).to.deep.equal([196n]);
+    });
+
+    it("Should not list pools until their dispute period ends", async function () {
+      const fixture = await loadFixture(deployLensFixture);
+      const { filmBet, lens, account1, account2 } = fixture;
+
+      await filmBet.setDisputeTerms(3600, 10n, 0);
+      const endTime = (await time.latest()) + 1000;
+      await filmBet.createBetPool(
+        "Question",
+        1,
+        endTime,
+        hre.ethers.ZeroAddress,
+        DEFAULT_TERMS
+      );
+      await placeBet(fixture, account1, 1, true, 100n);
+      await placeBet(fixture, account2, 1, false, 100n);
+      await time.increaseTo(endTime + 10);
+      await filmBet.resolveBetPool(1, true);
+
+      const [disputed] = await lens.getClaimable(account1.address);
+      expect(disputed).to.deep.equal([]);
+
+      const [disputeEnd] = await filmBet.getDispute(1);
+      await time.increaseTo(disputeEnd);
+      const [poolIds] = await lens.getClaimable(account1.address);
+      expect(poolIds).to.deep.equal([1n]);
+    });
+  });
+
+  describe("Pool terms", function () {
+    it("Should return the terms a pool was created with", async function () {
+      const { filmBet, filmBetERC20, lens } = await loadFixture(
+        deployLensFixture
+      );
+
+      await filmBet.setCreatorBond(50n);
+      await filmBetERC20.approve(filmBet.getAddress(), 50n);
+      await filmBet.createBetPool(
+        "Question",
+        1,
+        (await time.latest()) + 1000,
+        hre.ethers.ZeroAddress,
+        { ...DEFAULT_TERMS, minStake: 10n, maxStake: 1000n }
+      );
+
+      const [minStake, maxStake, creatorBond, stakeToken] =
+        await lens.getPoolTerms(1);
+      expect(minStake).to.equal(10n);
+      expect(maxStake).to.equal(1000n);
+      expect(creatorBond).to.equal(50n);
+      expect(stakeToken).to.equal(await filmBetERC20.getAddress());
+    });
+  });
+
+  describe("Discovery views", function () {
+    const PoolPhase = { Open: 0, Closed: 1, Settled: 2 };
+
+    // Pools 1, 3 and 4 are for movie 7; pool 1 settles, pool 2 closes, 3-4 stay open
+    async function discoveryFixture() {
+      const fixture = await deployLensFixture();
+      const { filmBet, account1, account2 } = fixture;
+
+      const endTime = (await time.latest()) + 1000;
+      const pools: [number, number][] = [
+        [7, endTime],
+        [8, endTime],
+        [7, endTime + 10000],
+        [7, endTime + 10000],
+      ];
+      for (const [movieId, poolEndTime] of pools) {
+        await filmBet.createBetPool(
+          "Question",
+          movieId,
+          poolEndTime,
+          hre.ethers.ZeroAddress,
+          DEFAULT_TERMS
+        );
+      }
+
+      await placeBet(fixture, account1, 1, true, 100n);
+      await placeBet(fixture, account2, 1, false, 100n);
+      await placeBet(fixture, account1, 3, true, 100n);
+      // Topping up or hedging does not list the pool twice
+      await placeBet(fixture, account1, 3, false, 100n);
+
+      await time.increaseTo(endTime + 10);
+      await filmBet.resolveBetPool(1, true);
+
+      return fixture;
+    }
+
+    it("Should page through the pools for a movie", async function () {
+      const { lens } = await loadFixture(discoveryFixture);
+
+      const [firstPage, total] = await lens.getPoolsByMovie(7, 0, 2);
+      expect(firstPage).to.deep.equal([1n, 3n]);
+      expect(total).to.equal(3);
+
+      const [secondPage] = await lens.getPoolsByMovie(7, 2, 2);
+      expect(secondPage).to.deep.equal([4n]);
+
+      const [pastTheEnd] = await lens.getPoolsByMovie(7, 5, 2);
+      expect(pastTheEnd).to.deep.equal([]);
+    });
+
+    it("Should list the pools a user has bet in", async function () {
+      const { lens, account1, account2, account3 } = await loadFixture(
+        discoveryFixture
+      );
+
+      const [pools, total] = await lens.getPoolsByUser(account1.address, 0, 10);
+      expect(pools).to.deep.equal([1n, 3n]);
+      expect(total).to.equal(2);
+
+      const [otherPools] = await lens.getPoolsByUser(account2.address, 0, 10);
+      expect(otherPools).to.deep.equal([1n]);
+
+      const [none, noneTotal] = await lens.getPoolsByUser(
+        account3.address,
+        0,
+        10
+      );
+      expect(none).to.deep.equal([]);
+      expect(noneTotal).to.equal(0);
+    });
+
+    it("Should list pools by phase", async function () {
+      const { lens } = await loadFixture(discoveryFixture);
+
+      const [open, openNext] = await lens.getPoolsByPhase(
+        PoolPhase.Open,
+        1,
+        10
+      );
+      expect(open).to.deep.equal([3n, 4n]);
+      expect(openNext).to.equal(0);
+
+      const [closed] = await lens.getPoolsByPhase(PoolPhase.Closed, 1, 10);
+      expect(closed).to.deep.equal([2n]);
+
+      const [settled] = await lens.getPoolsByPhase(PoolPhase.Settled, 0, 10);
+      expect(settled).to.deep.equal([1n]);
+    });
+
+    it("Should scan a bounded range of pool ids per call", async function () {
+      const { lens } = await loadFixture(discoveryFixture);
+
+      const [firstPage, nextId] = await lens.getPoolsByPhase(
+        PoolPhase.Open,
+        1,
+        3
+      );
+      expect(firstPage).to.deep.equal([3n]);
+      expect(nextId).to.equal(4);
+
+      const [secondPage, lastId] = await lens.getPoolsByPhase(
+        PoolPhase.Open,
+        nextId,
+        hre.ethers.MaxUint256
+      );
+      expect(secondPage).to.deep.equal([4n]);
+      expect(lastId).to.equal(0);
+
+      // Scanning nothing would never move the cursor on
+      await expect(
+        lens.getPoolsByPhase(PoolPhase.Open, 2, 0)
+      ).to.be.revertedWith("Count must be positive");
+
+      const [pastTheEnd, doneId] = await lens.getPoolsByPhase(
+        PoolPhase.Open,
+        5,
+        10
+      );
+      expect(pastTheEnd).to.deep.equal([]);
+      expect(doneId).to.equal(0);
+    });
+
+    it("Should treat disputed pools as closed", async function () {
+      const fixture = await loadFixture(deployLensFixture);
+      const { filmBet, lens, filmBetERC20, account1, account2, account3 } =
+        fixture;
+
+      await filmBet.setDisputeTerms(3600, 10n, 0);
+      await filmBetERC20.transfer(account3.address, 10n);
+      await filmBetERC20.connect(account3).approve(filmBet.getAddress(), 10n);
+      const endTime = (await time.latest()) + 1000;
+      await filmBet.createBetPool(
+        "Question",
+        1,
+        endTime,
+        hre.ethers.ZeroAddress,
+        DEFAULT_TERMS
+      );
+      await placeBet(fixture, account1, 1, true, 100n);
+      await placeBet(fixture, account2, 1, false, 100n);
+
+      expect(await lens.getPoolPhase(1)).to.equal(PoolPhase.Open);
+      await time.increaseTo(endTime + 10);
+      expect(await lens.getPoolPhase(1)).to.equal(PoolPhase.Closed);
+
+      await filmBet.resolveBetPool(1, true);
+      expect(await lens.getPoolPhase(1)).to.equal(PoolPhase.Settled);
+
+      await filmBet.connect(account3).challengeResolution(1);
+      expect(await lens.getPoolPhase(1)).to.equal(PoolPhase.Closed);
+    });
+  });
+});
@@ -0,0 +1,223 @@
+import {
+  time,
+  loadFixture,
+} from "@nomicfoundation/hardhat-toolbox/network-helpers";
+import { HardhatEthersSigner } from "@nomicfoundation/hardhat-ethers/signers";
+import { expect } from "chai";
+import hre from "hardhat";
+import { DEFAULT_TERMS } from "./helpers";
+
+const ONE = 10n ** 18n;
+
+describe("FilmBetQuoter", function () {
+  async function deployQuoterFixture() {
+    const [owner, account1, account2, account3] = await hre.ethers.getSigners();
+
+    const FilmBetERC20 = await hre.ethers.getContractFactory("FilmBetERC20");
+    const filmBetERC20 = await FilmBetERC20.deploy(
+      hre.ethers.parseEther("1000000.0")
+    );
+    const FilmBet = await hre.ethers.getContractFactory("FilmBet");
+    const filmBet = await hre.upgrades.deployProxy(FilmBet, [
+      await filmBetERC20.getAddress(),
+    ]);
+    await filmBet.grantRole(await filmBet.RESOLVER_ROLE(), owner.address);
+
+    const FilmBetQuoter = await hre.ethers.getContractFactory("FilmBetQuoter");
+    const quoter = await FilmBetQuoter.deploy(await filmBet.getAddress());
+
+    const endTime = (await time.latest()) + 1000;
+    await filmBet.createBetPool(
+      "Will the anime adaptation top the weekend chart?",
+      1,
+      endTime,
+      hre.ethers.ZeroAddress,
+      DEFAULT_TERMS
+    );
+
+    return {
+      filmBet,
+      filmBetERC20,
+      quoter,
+      owner,
+      account1,
+      account2,
+      account3,
+      endTime,
+    };
+  }
+
+  // Pool 1: 300 on Yes from account1, 100 on No from account2
+  async function pooledFixture() {
+    const fixture = await deployQuoterFixture();
+    await placeBet(fixture, fixture.account1, true, 300n);
+    await placeBet(fixture, fixture.account2, false, 100n);
+    return fixture;
+  }
+
+  async function placeBet(
+    fixture: Awaited<ReturnType<typeof deployQuoterFixture>>,
+    account: HardhatEthersSigner,
+    choice: boolean,
+    amount: bigint
+  ) {
+    const { filmBet, filmBetERC20 } = fixture;
+    await filmBetERC20.transfer(account.address, amount);
+    await filmBetERC20.connect(account).approve(filmBet.getAddress(), amount);
+    await filmBet.connect(account).placeBet(1, choice, amount);
+  }
+
+  describe("Odds", function () {
+    it("Should return the implied probability of each side", async function () {
+      const { quoter } = await loadFixture(pooledFixture);
+
+      expect(await quoter.getImpliedProbabilities(1)).to.deep.equal([
+        7500n,
+        2500n,
+      ]);
+    });
+
+    it("Should return the payout multiplier net of the fee", async function () {
+      const { quoter } = await loadFixture(pooledFixture);
+
+      // Yes: 400 / 300 less the 2% fee, No: 400 / 100 less the 2% fee
+      const yesShare = (ONE * 400n) / 300n;
+      const [yes, no] = await quoter.getPayoutMultipliers(1);
+      expect(yes).to.equal(yesShare - (yesShare * 200n) / 10000n);
+      expect(no).to.equal((ONE * 4n * 98n) / 100n);
+    });
+
+    it("Should return zeros for an empty pool", async function () {
+      const { filmBet, quoter, endTime } = await loadFixture(pooledFixture);
+
+      await filmBet.createBetPool(
+        "Empty pool",
+        1,
+        endTime,
+        hre.ethers.ZeroAddress,
+        DEFAULT_TERMS
+      );
+
+      expect(await quoter.getImpliedProbabilities(2)).to.deep.equal([0n, 0n]);
+      expect(await quoter.getPayoutMultipliers(2)).to.deep.equal([0n, 0n]);
+      await expect(quoter.getImpliedProbabilities(3)).to.be.revertedWith(
+        "Pool does not exist"
+      );
+    });
+  });
+
+  describe("Quotes", function () {
+    it("Should account for the bet moving the odds", async function () {
+      const { quoter } = await loadFixture(pooledFixture);
+
+      // 100 more on No: pot 500, No stake 200, so 250 back less the 2% fee
+      const [payout, multiplier] = await quoter.quoteBet(1, 1, 100n);
+      expect(payout).to.equal(245n);
+      expect(multiplier).to.equal((ONE * 245n) / 100n);
+
+      const [noMultiplier] = (await quoter.getPayoutMultipliers(1)).slice(1);
+      expect(multiplier).to.be.lessThan(noMultiplier);
+    });
+
+    it("Should quote exactly what the bet then claims", async function () {
+      const fixture = await loadFixture(pooledFixture);
+      const { filmBet, filmBetERC20, quoter, account3, endTime } = fixture;
+
+      const [quoted] = await quoter.quoteBet(1, 1, 100n);
+      await placeBet(fixture, account3, false, 100n);
+
+      await time.increaseTo(endTime + 10);
+      await filmBet.resolveBetPool(1, false);
+
+      await expect(
+        filmBet.connect(account3).claimWinnings(1)
+      ).to.changeTokenBalance(filmBetERC20, account3, quoted);
+    });
+
+    it("Should quote the refund when the bet would hold the whole pool", async function () {
+      const fixture = await loadFixture(deployQuoterFixture);
+      const { filmBet, filmBetERC20, quoter, account1, endTime } = fixture;
+
+      // An empty pool, then a bet on the only backed side
+      expect(await quoter.quoteBet(1, 0, 100n)).to.deep.equal([100n, ONE]);
+      await placeBet(fixture, account1, true, 300n);
+      expect(await quoter.quoteBet(1, 0, 100n)).to.deep.equal([100n, ONE]);
+      expect(await quoter.getPayoutMultipliers(1)).to.deep.equal([ONE, 0n]);
+
+      // Winning voids the pool and refunds the full stake with no fee
+      await time.increaseTo(endTime + 10);
+      await filmBet.resolveBetPool(1, true);
+      await expect(
+        filmBet.connect(account1).claimRefund(1)
+      ).to.changeTokenBalance(filmBetERC20, account1, 300n);
+    });
+
+    it("Should reject invalid quotes", async function () {
+      const { quoter } = await loadFixture(pooledFixture);
+
+      await expect(quoter.quoteBet(1, 2, 100n)).to.be.revertedWith(
+        "Invalid outcome"
+      );
+      await expect(quoter.quoteBet(1, 0, 0)).to.be.revertedWith(
+        "Amount must be positive"
+      );
+    });
+  });
+
+  describe("Position values", function () {
+    it("Should value a position for each possible result", async function () {
+      const { quoter, account1, account2, account3 } = await loadFixture(
+        pooledFixture
+      );
+
+      expect(await quoter.getPositionValues(1, account1.address)).to.deep.equal(
+        [392n, 0n]
+      );
+      expect(await quoter.getPositionValues(1, account2.address)).to.deep.equal(
+        [0n, 392n]
+      );
+      expect(await quoter.getPositionValues(1, account3.address)).to.deep.equal(
+        [0n, 0n]
+      );
+    });
+
+    it("Should value a one-sided pool at the refund", async function () {
+      const fixture = await loadFixture(pooledFixture);
+      const { filmBet, quoter, account1, account2 } = fixture;
+
+      await filmBet.connect(account2).cashOut(1, 1, 100n);
+
+      // Every result voids the pool; account1 also gets the 5 penalty
+      expect(await quoter.getPositionValues(1, account1.address)).to.deep.equal(
+        [305n, 305n]
+      );
+    });
+
+    it("Should match what the user claims once resolved", async function () {
+      const { filmBet, filmBetERC20, quoter, account1, endTime } =
+        await loadFixture(pooledFixture);
+
+      await time.increaseTo(endTime + 10);
+      await filmBet.resolveBetPool(1, true);
+
+      const [value] = await quoter.getPositionValues(1, account1.address);
+      await expect(
+        filmBet.connect(account1).claimWinnings(1)
+      ).to.changeTokenBalance(filmBetERC20, account1, value);
+
+      expect(await quoter.getPositionValues(1, account1.address)).to.deep.equal(
+        [0n, 0n]
+      );
+    });
+
+    it("Should value every entry at the refund once voided", async function () {
+      const { filmBet, quoter, account2 } = await loadFixture(pooledFixture);
+
+      await filmBet.cancelBetPool(1);
+
+      expect(await quoter.getPositionValues(1, account2.address)).to.deep.equal(
+        [100n, 100n]
+      );
+    });
+  });
+});
@@ -0,0 +1,228 @@
+import {
+  time,
+  loadFixture,
+} from "@nomicfoundation/hardhat-toolbox/network-helpers";
+import { expect } from "chai";
+import hre from "hardhat";
+import FilmBetModule from "../ignition/modules/FilmBet";
+import FilmBetUpgradeModule from "../ignition/modules/FilmBetUpgrade";
+import FilmBetQuoterModule from "../ignition/modules/FilmBetQuoter";
+import FilmBetLensModule from "../ignition/modules/FilmBetLens";
+import BoxOfficeResolverModule from "../ignition/modules/BoxOfficeResolver";
+import { DEFAULT_TERMS } from "./helpers";
+
+// Run before every upgrade: puts FilmBet behind a proxy with live pools,
+// upgrades it on the local network and checks FilmBet's storage against the
+// frozen layout of the deployed version in contracts/test/FilmBetV1.sol
+describe("FilmBet upgrades", function () {
+  async function deployProxyFixture() {
+    const [owner, account1, account2] = await hre.ethers.getSigners();
+
+    const FilmBetERC20 = await hre.ethers.getContractFactory("FilmBetERC20");
+    const filmBetERC20 = await FilmBetERC20.deploy(
+      hre.ethers.parseEther("1000000.0")
+    );
+    const tokenAddress = await filmBetERC20.getAddress();
+
+    const FilmBet = await hre.ethers.getContractFactory("FilmBet");
+    const filmBet = await hre.upgrades.deployProxy(FilmBet, [tokenAddress], {
+      kind: "transparent",
+    });
+
+    // Leave some live state behind to check it survives the upgrade
+    const endTime = (await time.latest()) + 1000;
+    await filmBet.createBetPool(
+      "Will the upgrade keep this pool?",
+      1,
+      endTime,
+      hre.ethers.ZeroAddress,
+      DEFAULT_TERMS
+    );
+    for (const [account, choice] of [
+      [account1, true],
+      [account2, false],
+    ] as const) {
+      await filmBetERC20.transfer(account.address, 100n);
+      await filmBetERC20.connect(account).approve(filmBet.getAddress(), 100n);
+      await filmBet.connect(account).placeBet(1, choice, 100n);
+    }
+    await filmBet.setPlatformFee(300);
+    await filmBet.grantRole(await filmBet.RESOLVER_ROLE(), owner.address);
+
+    return { filmBet, filmBetERC20, tokenAddress, owner, account1, endTime };
+  }
+
+  describe("Initialization", function () {
+    it("Should initialize the proxy once", async function () {
+      const { filmBet, tokenAddress, owner } = await loadFixture(
+        deployProxyFixture
+      );
+
+      expect(await filmBet.owner()).to.equal(owner.address);
+      expect(await filmBet.getTokenAddress()).to.equal(tokenAddress);
+      expect(await filmBet.exitPenaltyBasisPoints()).to.equal(500);
+
+      await expect(
+        filmBet.initialize(tokenAddress)
+      ).to.be.revertedWithCustomError(filmBet, "InvalidInitialization");
+    });
+
+    it("Should not let anyone initialize the implementation", async function () {
+      const { filmBet, tokenAddress } = await loadFixture(deployProxyFixture);
+
+      const implementation = await hre.ethers.getContractAt(
+        "FilmBet",
+        await hre.upgrades.erc1967.getImplementationAddress(
+          await filmBet.getAddress()
+        )
+      );
+
+      await expect(
+        implementation.initialize(tokenAddress)
+      ).to.be.revertedWithCustomError(implementation, "InvalidInitialization");
+    });
+  });
+
+  describe("Storage layout", function () {
+    // Validating against the proxy would compare FilmBet with itself, so
+    // the reference is the layout frozen when the current version shipped
+    async function validateAgainstDeployed(contractName: string) {
+      const deployed = await hre.ethers.getContractFactory("FilmBetV1");
+      const next = await hre.ethers.getContractFactory(contractName);
+      await hre.upgrades.validateUpgrade(deployed, next, {
+        kind: "transparent",
+      });
+    }
+
+    it("Should keep the storage layout of the deployed version", async function () {
+      await validateAgainstDeployed("FilmBet");
+    });
+
+    it("Should keep pools, balances and settings across an upgrade", async function () {
+      const { filmBet, account1, endTime } = await loadFixture(
+        deployProxyFixture
+      );
+
+      await validateAgainstDeployed("FilmBetV2Mock");
+      const FilmBetV2 = await hre.ethers.getContractFactory("FilmBetV2Mock");
+      const upgraded = await hre.upgrades.upgradeProxy(filmBet, FilmBetV2, {
+        call: "initializeV2",
+      });
+
+      expect(await upgraded.version()).to.equal("2");
+      expect(await upgraded.upgradeMarker()).to.equal(2);
+      expect(await upgraded.feeBasisPoints()).to.equal(300);
+      expect(await upgraded.betPoolCount()).to.equal(1);
+
+      const pool = await upgraded.getPool(1);
+      expect(pool.question).to.equal("Will the upgrade keep this pool?");
+      expect(pool.outcomeStakes).to.deep.equal([100n, 100n]);
+
+      await time.increaseTo(endTime + 10);
+      await upgraded.resolveBetPool(1, true);
+      await expect(upgraded.connect(account1).claimWinnings(1))
+        .to.emit(upgraded, "WinningsClaimed")
+        .withArgs(1, account1.address, 194n);
+    });
+
+    it("Should reject an implementation that moves existing storage", async function () {
+      await expect(
+        validateAgainstDeployed("FilmBetStorageClashMock")
+      ).to.be.rejectedWith(/New storage layout is incompatible/);
+    });
+
+    it("Should only let the owner upgrade", async function () {
+      const { filmBet, owner, account1 } = await loadFixture(
+        deployProxyFixture
+      );
+
+      const proxyAdmin = await hre.ethers.getContractAt(
+        "ProxyAdmin",
+        await hre.upgrades.erc1967.getAdminAddress(await filmBet.getAddress())
+      );
+      expect(await proxyAdmin.owner()).to.equal(owner.address);
+
+      const FilmBetV2 = await hre.ethers.getContractFactory("FilmBetV2Mock");
+      const implementation = await FilmBetV2.deploy();
+
+      await expect(
+        proxyAdmin
+          .connect(account1)
+          .upgradeAndCall(filmBet, implementation, "0x")
+      )
+        .to.be.revertedWithCustomError(proxyAdmin, "OwnableUnauthorizedAccount")
+        .withArgs(account1.address);
+    });
+  });
+
+  describe("Ignition", function () {
+    it("Should deploy and upgrade FilmBet through the Ignition modules", async function () {
+      const { tokenAddress, owner } = await loadFixture(deployProxyFixture);
+      const parameters = { FilmBetProxyModule: { tokenAddress } };
+
+      const { FilmBet } = await hre.ignition.deploy(FilmBetModule, {
+        parameters,
+      });
+      expect(await FilmBet.getTokenAddress()).to.equal(tokenAddress);
+      expect(await FilmBet.owner()).to.equal(owner.address);
+
+      const upgrade = await hre.ignition.deploy(FilmBetUpgradeModule, {
+        parameters,
+      });
+      expect(
+        await hre.upgrades.erc1967.getImplementationAddress(
+          await upgrade.proxy.getAddress()
+        )
+      ).to.equal(await upgrade.implementation.getAddress());
+      expect(await upgrade.FilmBet.getTokenAddress()).to.equal(tokenAddress);
+    });
+
+    it("Should point the periphery modules at the proxy", async function () {
+      const { tokenAddress, account1 } = await loadFixture(deployProxyFixture);
+      const parameters = { FilmBetProxyModule: { tokenAddress } };
+
+      const { FilmBetQuoter } = await hre.ignition.deploy(FilmBetQuoterModule, {
+        parameters,
+      });
+      const { FilmBetLens } = await hre.ignition.deploy(FilmBetLensModule, {
+        parameters,
+      });
+
+      // There is no safe default consumer to fall back on
+      await expect(
+        hre.ignition.deploy(BoxOfficeResolverModule, { parameters })
+      ).to.be.rejectedWith(/consumerAddress/);
+      // The resolver only reads the consumer when recording, so any address will do here
+      const consumerAddress = account1.address;
+      const { BoxOfficeResolver } = await hre.ignition.deploy(
+        BoxOfficeResolverModule,
+        {
+          parameters: {
+            ...parameters,
+            BoxOfficeResolverModule: { consumerAddress },
+          },
+        }
+      );
+      expect(await BoxOfficeResolver.boxOfficeConsumer()).to.equal(
+        consumerAddress
+      );
+
+      for (const peripheral of [
+        FilmBetQuoter,
+        FilmBetLens,
+        BoxOfficeResolver,
+      ]) {
+        const filmBetAddress = await peripheral.filmBet();
+        // Only the proxy has an implementation slot to read
+        expect(
+          await hre.upgrades.erc1967.getImplementationAddress(filmBetAddress)
+        ).to.be.properAddress;
+        const filmBet = await hre.ethers.getContractAt(
+          "FilmBet",
+          filmBetAddress
+        );
+        expect(await filmBet.getTokenAddress()).to.equal(tokenAddress);
+      }
+    });
+  });
+});
@@ -0,0 +1,225 @@
+import {
+  time,
+  loadFixture,
+} from "@nomicfoundation/hardhat-toolbox/network-helpers";
+import { expect } from "chai";
+import hre from "hardhat";
+import { DEFAULT_TERMS } from "./helpers";
+
+const DAY = 24 * 60 * 60;
+
+describe("MovieRegistry", function () {
+  async function deployRegistryFixture() {
+    const [owner, curator, stranger] = await hre.ethers.getSigners();
+
+    const MovieRegistry = await hre.ethers.getContractFactory("MovieRegistry");
+    const registry = await MovieRegistry.deploy();
+    await registry.grantRole(await registry.CURATOR_ROLE(), curator.address);
+
+    const releaseDate = (await time.latest()) + 30 * DAY;
+    await registry
+      .connect(curator)
+      .addMovie("Inside Out 2", releaseDate, "Walt Disney", "Inside Out 2");
+
+    const FilmBetERC20 = await hre.ethers.getContractFactory("FilmBetERC20");
+    const filmBetERC20 = await FilmBetERC20.deploy(
+      hre.ethers.parseEther("1000000.0")
+    );
+    const FilmBet = await hre.ethers.getContractFactory("FilmBet");
+    const filmBet = await hre.upgrades.deployProxy(FilmBet, [
+      await filmBetERC20.getAddress(),
+    ]);
+    await filmBet.setMovieRegistry(await registry.getAddress());
+
+    return { registry, filmBet, owner, curator, stranger, releaseDate };
+  }
+
+  describe("Curating movies", function () {
+    it("Should let curators add movies", async function () {
+      const { registry, curator, releaseDate } = await loadFixture(
+        deployRegistryFixture
+      );
+
+      await expect(
+        registry
+          .connect(curator)
+          .addMovie("Deadpool & Wolverine", releaseDate, "Disney", "Deadpool")
+      )
+        .to.emit(registry, "MovieAdded")
+        .withArgs(2, "Deadpool & Wolverine", releaseDate, "Disney", "Deadpool");
+
+      const movie = await registry.getMovie(2);
+      expect(movie.title).to.equal("Deadpool & Wolverine");
+      expect(movie.boxOfficeKey).to.equal("Deadpool");
+      expect(await registry.movieIdByKey(hre.ethers.id("Deadpool"))).to.equal(
+        2
+      );
+      expect(await registry.isRegistered(2)).to.equal(true);
+      expect(await registry.isRegistered(3)).to.equal(false);
+    });
+
+    it("Should not let anyone else add movies", async function () {
+      const { registry, stranger, releaseDate } = await loadFixture(
+        deployRegistryFixture
+      );
+
+      await expect(
+        registry
+          .connect(stranger)
+          .addMovie("Twisters", releaseDate, "Universal", "Twisters")
+      ).to.be.revertedWithCustomError(
+        registry,
+        "AccessControlUnauthorizedAccount"
+      );
+    });
+
+    it("Should not register the same box office key twice", async function () {
+      const { registry, curator, releaseDate } = await loadFixture(
+        deployRegistryFixture
+      );
+
+      await expect(
+        registry
+          .connect(curator)
+          .addMovie("Inside Out II", releaseDate, "Disney", "Inside Out 2")
+      ).to.be.revertedWith("Movie already registered");
+      await expect(
+        registry.connect(curator).addMovie("", releaseDate, "Disney", "Key")
+      ).to.be.revertedWith("Empty title");
+      await expect(
+        registry.connect(curator).addMovie("Title", releaseDate, "Disney", "")
+      ).to.be.revertedWith("Empty box office key");
+    });
+
+    it("Should let curators move a release date", async function () {
+      const { registry, curator, releaseDate } = await loadFixture(
+        deployRegistryFixture
+      );
+
+      await expect(
+        registry
+          .connect(curator)
+          .updateMovie(1, "Inside Out 2", releaseDate + DAY, "Walt Disney")
+      )
+        .to.emit(registry, "MovieUpdated")
+        .withArgs(1, "Inside Out 2", releaseDate + DAY, "Walt Disney");
+
+      expect((await registry.getMovie(1)).releaseDate).to.equal(
+        releaseDate + DAY
+      );
+      await expect(
+        registry.connect(curator).updateMovie(9, "Nope", releaseDate, "")
+      ).to.be.revertedWith("Unknown movie");
+    });
+
+    it("Should report whether a movie is released", async function () {
+      const { registry, releaseDate } = await loadFixture(
+        deployRegistryFixture
+      );
+
+      expect(await registry.isReleased(1)).to.equal(false);
+      await time.increaseTo(releaseDate);
+      expect(await registry.isReleased(1)).to.equal(true);
+    });
+  });
+
+  describe("FilmBet integration", function () {
+    it("Should only create pools for registered movies", async function () {
+      const { filmBet, releaseDate } = await loadFixture(deployRegistryFixture);
+
+      await expect(
+        filmBet.createBetPool(
+          "Will movie 999999 open above $100M?",
+          999999,
+          releaseDate,
+          hre.ethers.ZeroAddress,
+          DEFAULT_TERMS
+        )
+      ).to.be.revertedWith("Unknown movie");
+
+      await expect(
+        filmBet.createBetPool(
+          "Will Inside Out 2 open above $100M?",
+          1,
+          releaseDate,
+          hre.ethers.ZeroAddress,
+          DEFAULT_TERMS
+        )
+      ).to.emit(filmBet, "BetPoolCreated");
+    });
+
+    it("Should accept any movie when no registry is set", async function () {
+      const { filmBet, releaseDate } = await loadFixture(deployRegistryFixture);
+
+      await expect(filmBet.setMovieRegistry(hre.ethers.ZeroAddress))
+        .to.emit(filmBet, "MovieRegistryUpdated")
+        .withArgs(hre.ethers.ZeroAddress);
+
+      await expect(
+        filmBet.createBetPool(
+          "Will movie 999999 open above $100M?",
+          999999,
+          releaseDate,
+          hre.ethers.ZeroAddress,
+          DEFAULT_TERMS
+        )
+      ).to.emit(filmBet, "BetPoolCreated");
+    });
+
+    it("Should close pre-release pools by the release date", async function () {
+      const { filmBet, releaseDate } = await loadFixture(deployRegistryFixture);
+
+      await expect(
+        filmBet.createPreReleasePool(
+          "Will Inside Out 2 open above $100M?",
+          1,
+          releaseDate + 1,
+          hre.ethers.ZeroAddress,
+          DEFAULT_TERMS
+        )
+      ).to.be.revertedWith("Betting must close by release");
+
+      await expect(
+        filmBet.createPreReleasePool(
+          "Will Inside Out 2 open above $100M?",
+          1,
+          releaseDate,
+          hre.ethers.ZeroAddress,
+          DEFAULT_TERMS
+        )
+      ).to.emit(filmBet, "BetPoolCreated");
+    });
+
+    it("Should reject pre-release pools for released movies", async function () {
+      const { filmBet, releaseDate } = await loadFixture(deployRegistryFixture);
+
+      await time.increaseTo(releaseDate);
+
+      await expect(
+        filmBet.createPreReleasePool(
+          "Will Inside Out 2 open above $100M?",
+          1,
+          releaseDate + DAY,
+          hre.ethers.ZeroAddress,
+          DEFAULT_TERMS
+        )
+      ).to.be.revertedWith("Movie already released");
+    });
+
+    it("Should only create pre-release pools against a registry", async function () {
+      const { filmBet, releaseDate } = await loadFixture(deployRegistryFixture);
+
+      await filmBet.setMovieRegistry(hre.ethers.ZeroAddress);
+
+      await expect(
+        filmBet.createPreReleasePool(
+          "Will Inside Out 2 open above $100M?",
+          1,
+          releaseDate,
+          hre.ethers.ZeroAddress,
+          DEFAULT_TERMS
+        )
+      ).to.be.revertedWith("Movie registry not set");
+    });
+  });
+});
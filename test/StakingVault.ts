@@ -0,0 +1,347 @@
+import {
+  time,
+  loadFixture,
+} from "@nomicfoundation/hardhat-toolbox/network-helpers";
+import { HardhatEthersSigner } from "@nomicfoundation/hardhat-ethers/signers";
+import { expect } from "chai";
+import hre from "hardhat";
+import { DEFAULT_TERMS } from "./helpers";
+
+const DAY = 24 * 60 * 60;
+
+describe("StakingVault", function () {
+  async function deployVaultFixture() {
+    const [owner, treasury, staker1, staker2, bettor1, bettor2] =
+      await hre.ethers.getSigners();
+
+    const FilmBetERC20 = await hre.ethers.getContractFactory("FilmBetERC20");
+    const filmBetERC20 = await FilmBetERC20.deploy(
+      hre.ethers.parseEther("1000000.0")
+    );
+    const FilmBet = await hre.ethers.getContractFactory("FilmBet");
+    const filmBet = await hre.upgrades.deployProxy(FilmBet, [
+      await filmBetERC20.getAddress(),
+    ]);
+    await filmBet.grantRole(await filmBet.RESOLVER_ROLE(), owner.address);
+
+    const StakingVault = await hre.ethers.getContractFactory("StakingVault");
+    const vault = await StakingVault.deploy(filmBetERC20.getAddress(), 7 * DAY);
+
+    // Half of every fee to the treasury and half to stakers
+    const FeeRouter = await hre.ethers.getContractFactory("FeeRouter");
+    const feeRouter = await FeeRouter.deploy(
+      2 * DAY,
+      0,
+      [treasury.address, await vault.getAddress()],
+      [5000, 5000]
+    );
+    await vault.setFeeRouter(feeRouter.getAddress());
+    await filmBet.setFeeRouter(feeRouter.getAddress());
+
+    for (const staker of [staker1, staker2]) {
+      await filmBetERC20.transfer(staker.address, 1000n);
+      await filmBetERC20.connect(staker).approve(vault.getAddress(), 1000n);
+    }
+
+    return {
+      filmBet,
+      filmBetERC20,
+      vault,
+      feeRouter,
+      owner,
+      treasury,
+      staker1,
+      staker2,
+      bettor1,
+      bettor2,
+    };
+  }
+
+  // Settles a pool whose winning claim pays a fee of 80, 40 of it to stakers
+  async function payFee(
+    fixture: Awaited<ReturnType<typeof deployVaultFixture>>
+  ) {
+    const { filmBet, filmBetERC20, bettor1, bettor2 } = fixture;
+    const endTime = (await time.latest()) + 1000;
+    await filmBet.createBetPool(
+      "Will the horror sequel open above $40M?",
+      1,
+      endTime,
+      hre.ethers.ZeroAddress,
+      DEFAULT_TERMS
+    );
+    const poolId = await filmBet.betPoolCount();
+
+    await bet(fixture, bettor1, poolId, true, 3000n);
+    await bet(fixture, bettor2, poolId, false, 1000n);
+    await time.increaseTo(endTime);
+    await filmBet.resolveBetPool(poolId, true);
+    await filmBet.connect(bettor1).claimWinnings(poolId);
+  }
+
+  async function bet(
+    fixture: Awaited<ReturnType<typeof deployVaultFixture>>,
+    account: HardhatEthersSigner,
+    poolId: bigint,
+    choice: boolean,
+    amount: bigint
+  ) {
+    const { filmBet, filmBetERC20 } = fixture;
+    await filmBetERC20.transfer(account.address, amount);
+    await filmBetERC20.connect(account).approve(filmBet.getAddress(), amount);
+    await filmBet.connect(account).placeBet(poolId, choice, amount);
+  }
+
+  describe("Staking", function () {
+    it("Should stake and unstake straight away without a cooldown", async function () {
+      const { vault, filmBetERC20, staker1 } = await loadFixture(
+        deployVaultFixture
+      );
+      await vault.setUnstakeCooldown(0);
+
+      await expect(vault.connect(staker1).stake(400n))
+        .to.emit(vault, "Staked")
+        .withArgs(staker1.address, 400n);
+      expect(await vault.stakedBalance(staker1.address)).to.equal(400n);
+      expect(await vault.totalStaked()).to.equal(400n);
+
+      await expect(vault.connect(staker1).unstake(150n)).to.changeTokenBalance(
+        filmBetERC20,
+        staker1,
+        150n
+      );
+      expect(await vault.stakedBalance(staker1.address)).to.equal(250n);
+      expect(await vault.totalStaked()).to.equal(250n);
+    });
+
+    it("Should hold unstaked FBT until the cooldown passes", async function () {
+      const { vault, filmBetERC20, staker1 } = await loadFixture(
+        deployVaultFixture
+      );
+      await vault.connect(staker1).stake(400n);
+
+      const tx = await vault.connect(staker1).unstake(400n);
+      const unlockTime = (await time.latest()) + 7 * DAY;
+      await expect(tx)
+        .to.emit(vault, "Unstaked")
+        .withArgs(staker1.address, 400n, unlockTime);
+      expect(await vault.totalStaked()).to.equal(0);
+
+      await expect(vault.connect(staker1).withdraw()).to.be.revertedWith(
+        "Cooldown active"
+      );
+      await time.increaseTo(unlockTime);
+      await expect(vault.connect(staker1).withdraw()).to.changeTokenBalance(
+        filmBetERC20,
+        staker1,
+        400n
+      );
+      await expect(vault.connect(staker1).withdraw()).to.be.revertedWith(
+        "Nothing to withdraw"
+      );
+    });
+
+    it("Should reject invalid amounts", async function () {
+      const { vault, staker1 } = await loadFixture(deployVaultFixture);
+
+      await expect(vault.connect(staker1).stake(0)).to.be.revertedWith(
+        "Amount must be positive"
+      );
+      await vault.connect(staker1).stake(100n);
+      await expect(vault.connect(staker1).unstake(101n)).to.be.revertedWith(
+        "Insufficient stake"
+      );
+    });
+
+    it("Should only let the owner change settings", async function () {
+      const { vault, staker1 } = await loadFixture(deployVaultFixture);
+
+      await expect(
+        vault.connect(staker1).setUnstakeCooldown(0)
+      ).to.be.revertedWithCustomError(vault, "OwnableUnauthorizedAccount");
+      await expect(
+        vault.connect(staker1).addRewardToken(staker1.address)
+      ).to.be.revertedWithCustomError(vault, "OwnableUnauthorizedAccount");
+      await expect(
+        vault.connect(staker1).setFeeRouter(staker1.address)
+      ).to.be.revertedWithCustomError(vault, "OwnableUnauthorizedAccount");
+    });
+  });
+
+  describe("Rewards", function () {
+    const REWARDS_DURATION = 7 * DAY;
+
+    it("Should release fees pro rata between stakers over the rewards duration", async function () {
+      const fixture = await loadFixture(deployVaultFixture);
+      const { vault, feeRouter, filmBetERC20, staker1, staker2 } = fixture;
+      expect(await vault.REWARDS_DURATION()).to.equal(REWARDS_DURATION);
+      await vault.connect(staker1).stake(100n);
+      await vault.connect(staker2).stake(300n);
+
+      await payFee(fixture);
+      expect(await feeRouter.owed(filmBetERC20, vault)).to.equal(40n);
+
+      await expect(vault.pullRewards())
+        .to.emit(vault, "RewardsAdded")
+        .withArgs(await filmBetERC20.getAddress(), 40n);
+      expect(await vault.queuedRewards(filmBetERC20)).to.equal(40n);
+      expect(await vault.earned(staker1.address, filmBetERC20)).to.equal(0);
+
+      await time.increase(REWARDS_DURATION / 2);
+      expect(await vault.earned(staker1.address, filmBetERC20)).to.equal(5n);
+      expect(await vault.earned(staker2.address, filmBetERC20)).to.equal(15n);
+
+      await time.increase(REWARDS_DURATION / 2);
+      expect(await vault.earned(staker1.address, filmBetERC20)).to.equal(10n);
+      expect(await vault.earned(staker2.address, filmBetERC20)).to.equal(30n);
+
+      await expect(vault.connect(staker1).claimRewards())
+        .to.emit(vault, "RewardPaid")
+        .withArgs(staker1.address, await filmBetERC20.getAddress(), 10n);
+      await expect(vault.connect(staker2).claimRewards()).to.changeTokenBalance(
+        filmBetERC20,
+        staker2,
+        30n
+      );
+      expect(await vault.earned(staker1.address, filmBetERC20)).to.equal(0);
+      expect(await vault.queuedRewards(filmBetERC20)).to.equal(0);
+    });
+
+    it("Should only reward stake held while rewards are released", async function () {
+      const fixture = await loadFixture(deployVaultFixture);
+      const { vault, filmBetERC20, staker1, staker2 } = fixture;
+      await vault.connect(staker1).stake(100n);
+
+      await payFee(fixture);
+      await vault.pullRewards();
+      await time.increase(REWARDS_DURATION);
+      await vault.connect(staker2).stake(100n);
+      await payFee(fixture);
+      await vault.pullRewards();
+      await time.increase(REWARDS_DURATION);
+
+      await expect(vault.connect(staker1).claimRewards()).to.changeTokenBalance(
+        filmBetERC20,
+        staker1,
+        60n
+      );
+      await expect(vault.connect(staker2).claimRewards()).to.changeTokenBalance(
+        filmBetERC20,
+        staker2,
+        20n
+      );
+    });
+
+    it("Should not pay a stake held only around a fee", async function () {
+      const fixture = await loadFixture(deployVaultFixture);
+      const { vault, filmBetERC20, staker1, staker2 } = fixture;
+      await vault.setUnstakeCooldown(0);
+      await vault.connect(staker1).stake(100n);
+
+      // staker2 joins just before the winning claim and leaves just after
+      await vault.connect(staker2).stake(300n);
+      await payFee(fixture);
+      await vault.connect(staker2).unstake(300n);
+      expect(await vault.earned(staker2.address, filmBetERC20)).to.equal(0);
+
+      await time.increase(REWARDS_DURATION);
+      await expect(vault.connect(staker1).claimRewards()).to.changeTokenBalance(
+        filmBetERC20,
+        staker1,
+        40n
+      );
+      await expect(vault.connect(staker2).claimRewards()).to.changeTokenBalance(
+        filmBetERC20,
+        staker2,
+        0
+      );
+    });
+
+    it("Should stop earning once unstaked", async function () {
+      const fixture = await loadFixture(deployVaultFixture);
+      const { vault, filmBetERC20, staker1, staker2 } = fixture;
+      await vault.connect(staker1).stake(100n);
+      await vault.connect(staker2).stake(100n);
+
+      await vault.connect(staker1).unstake(100n);
+      await payFee(fixture);
+      await vault.pullRewards();
+      await time.increase(REWARDS_DURATION);
+
+      await expect(vault.connect(staker1).claimRewards()).to.changeTokenBalance(
+        filmBetERC20,
+        staker1,
+        0
+      );
+      await expect(vault.connect(staker2).claimRewards()).to.changeTokenBalance(
+        filmBetERC20,
+        staker2,
+        40n
+      );
+    });
+
+    it("Should keep fees paid while nothing is staked for the first staker", async function () {
+      const fixture = await loadFixture(deployVaultFixture);
+      const { vault, feeRouter, filmBetERC20, staker1 } = fixture;
+
+      await payFee(fixture);
+      await vault.connect(staker1).stake(100n);
+      expect(await feeRouter.owed(filmBetERC20, vault)).to.equal(40n);
+
+      await vault.pullRewards();
+      await time.increase(REWARDS_DURATION);
+      await expect(vault.connect(staker1).claimRewards()).to.changeTokenBalance(
+        filmBetERC20,
+        staker1,
+        40n
+      );
+    });
+
+    it("Should pause the release while nothing is staked", async function () {
+      const fixture = await loadFixture(deployVaultFixture);
+      const { vault, filmBetERC20, staker1, staker2 } = fixture;
+      await vault.setUnstakeCooldown(0);
+      await vault.connect(staker1).stake(100n);
+
+      await payFee(fixture);
+      await vault.pullRewards();
+      await time.increase(REWARDS_DURATION / 2);
+      await vault.connect(staker1).unstake(100n);
+      expect(await vault.earned(staker1.address, filmBetERC20)).to.equal(20n);
+      expect(await vault.queuedRewards(filmBetERC20)).to.equal(20n);
+
+      // The rest waits for the next staker rather than being lost
+      await time.increase(REWARDS_DURATION);
+      await vault.connect(staker2).stake(100n);
+      await time.increase(REWARDS_DURATION / 2);
+      expect(await vault.earned(staker2.address, filmBetERC20)).to.equal(20n);
+      expect(await vault.earned(staker1.address, filmBetERC20)).to.equal(20n);
+    });
+
+    it("Should not mix rewards with staked FBT", async function () {
+      const fixture = await loadFixture(deployVaultFixture);
+      const { vault, filmBetERC20, staker1 } = fixture;
+      await vault.setUnstakeCooldown(0);
+      await vault.connect(staker1).stake(100n);
+
+      await payFee(fixture);
+      await vault.pullRewards();
+      await time.increase(REWARDS_DURATION);
+      await vault.connect(staker1).unstake(100n);
+
+      expect(await filmBetERC20.balanceOf(vault)).to.equal(40n);
+      expect(await vault.earned(staker1.address, filmBetERC20)).to.equal(40n);
+    });
+
+    it("Should reject duplicate reward tokens", async function () {
+      const { vault, filmBetERC20 } = await loadFixture(deployVaultFixture);
+
+      expect(await vault.getRewardTokens()).to.deep.equal([
+        await filmBetERC20.getAddress(),
+      ]);
+      await expect(vault.addRewardToken(filmBetERC20)).to.be.revertedWith(
+        "Reward token already added"
+      );
+    });
+  });
+});
@@ -0,0 +1,8 @@
+import hre from "hardhat";
+
+// Pool terms in the default token with no stake limits
+export const DEFAULT_TERMS = {
+  stakeToken: hre.ethers.ZeroAddress,
+  minStake: 0,
+  maxStake: 0,
+};